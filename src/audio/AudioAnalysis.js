@@ -0,0 +1,149 @@
+// Live band energies and onsets for the audio-reactive visuals.
+// Reads the master analyser of the SurroundContext and the analyser of every loaded source once
+// per animation frame; ParticleSystem.update() turns the result into grain speed, solid glow
+// and grid lighting.
+
+// Frequency bands in Hz
+const BANDS = {
+    low: [20, 250],
+    mid: [250, 2000],
+    high: [2000, 12000]
+};
+// How much each band contributes to the overall energy
+const BAND_WEIGHTS = { low: 0.45, mid: 0.35, high: 0.2 };
+
+// Onsets: spectral flux above its recent average by this factor (and an absolute floor)
+const ONSET_HISTORY = 43;          // ~0.7 s at 60 fps
+const ONSET_THRESHOLD = 1.6;
+const ONSET_MIN_FLUX = 0.015;
+const ONSET_MIN_GAP_MS = 120;
+const ONSET_DECAY = 0.88;          // per frame, the onset pulse fades from 1 to 0
+
+// Energy follows rises quickly and falls slowly so the visuals do not flicker
+const ATTACK = 0.5;
+const RELEASE = 0.08;
+
+export function createSilentLevels() {
+    return { low: 0, mid: 0, high: 0, energy: 0, onset: 0 };
+}
+
+class BandTracker {
+    constructor(analyser) {
+        this.analyser = analyser;
+        this.bins = new Uint8Array(analyser.frequencyBinCount);
+        this.previous = new Float32Array(analyser.frequencyBinCount);
+        this.fluxHistory = [];
+        this.lastOnsetAt = -Infinity;
+        this.levels = createSilentLevels();
+        this._bandRanges = null;
+    }
+
+    _getBandRanges() {
+        if (this._bandRanges) return this._bandRanges;
+        const nyquist = this.analyser.context.sampleRate / 2;
+        const binCount = this.bins.length;
+        this._bandRanges = {};
+        Object.entries(BANDS).forEach(([band, [lowHz, highHz]]) => {
+            const start = Math.max(0, Math.floor(lowHz / nyquist * binCount));
+            const end = Math.min(binCount, Math.max(start + 1, Math.ceil(highHz / nyquist * binCount)));
+            this._bandRanges[band] = [start, end];
+        });
+        return this._bandRanges;
+    }
+
+    update(now) {
+        this.analyser.getByteFrequencyData(this.bins);
+
+        const levels = this.levels;
+        let energy = 0;
+        Object.entries(this._getBandRanges()).forEach(([band, [start, end]]) => {
+            let sum = 0;
+            for (let i = start; i < end; i++) sum += this.bins[i];
+            const target = sum / ((end - start) * 255);
+            const rate = target > levels[band] ? ATTACK : RELEASE;
+            levels[band] += (target - levels[band]) * rate;
+            energy += levels[band] * BAND_WEIGHTS[band];
+        });
+        levels.energy = energy;
+
+        // Spectral flux: how much the spectrum rose since the last frame
+        let flux = 0;
+        for (let i = 0; i < this.bins.length; i++) {
+            const value = this.bins[i] / 255;
+            const rise = value - this.previous[i];
+            if (rise > 0) flux += rise;
+            this.previous[i] = value;
+        }
+        flux /= this.bins.length;
+
+        const average = this.fluxHistory.length > 0
+            ? this.fluxHistory.reduce((a, b) => a + b, 0) / this.fluxHistory.length
+            : 0;
+        this.fluxHistory.push(flux);
+        if (this.fluxHistory.length > ONSET_HISTORY) this.fluxHistory.shift();
+
+        levels.onset *= ONSET_DECAY;
+        if (flux > ONSET_MIN_FLUX && flux > average * ONSET_THRESHOLD && now - this.lastOnsetAt > ONSET_MIN_GAP_MS) {
+            levels.onset = 1;
+            this.lastOnsetAt = now;
+        }
+        return levels;
+    }
+
+    // Source not playing: let everything settle back to silence
+    decay() {
+        const levels = this.levels;
+        Object.keys(BANDS).forEach(band => { levels[band] *= 1 - RELEASE; });
+        levels.energy *= 1 - RELEASE;
+        levels.onset *= ONSET_DECAY;
+        this.previous.fill(0);
+        this.fluxHistory.length = 0;
+        return levels;
+    }
+}
+
+export class AudioAnalysis {
+    constructor(surroundController) {
+        this.surroundController = surroundController;
+        this.master = new BandTracker(surroundController.ctx.masterAnalyser);
+        // Trackers by solution id, keyed on the analyser so reloaded sources get a fresh one
+        this._sourceTrackers = new Map();
+        this.frame = {
+            master: this.master.levels,
+            sources: new Map()
+        };
+    }
+
+    // Call once per animation frame; returns { master, sources: Map<solutionId, levels> }
+    update(now = performance.now()) {
+        const sc = this.surroundController;
+        const running = sc.audioContext.state === 'running';
+
+        if (running) this.master.update(now);
+        else this.master.decay();
+
+        this.frame.sources.clear();
+        for (const [id, sourceData] of sc.sources) {
+            const analyser = sourceData.spatialSource?.analyserNode;
+            if (!analyser) continue;
+
+            let tracker = this._sourceTrackers.get(id);
+            if (!tracker || tracker.analyser !== analyser) {
+                tracker = new BandTracker(analyser);
+                this._sourceTrackers.set(id, tracker);
+            }
+            const levels = running && sc._isSourcePlaying(sourceData) ? tracker.update(now) : tracker.decay();
+            this.frame.sources.set(id, levels);
+        }
+
+        // Sources of earlier generations
+        for (const id of this._sourceTrackers.keys()) {
+            if (!sc.sources.has(id)) this._sourceTrackers.delete(id);
+        }
+        return this.frame;
+    }
+
+    getSourceLevels(id) {
+        return this.frame.sources.get(id) || null;
+    }
+}
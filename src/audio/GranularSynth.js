@@ -0,0 +1,379 @@
+import { PARAMETER_RANGES } from '../components/GeometricSolid.js';
+import { loadWorkletModule, isWorkletSupported } from './worklets.js';
+
+// Granular resynthesis in the browser: grains of a source buffer (the sound the server
+// rendered for a solution) laid out by the solution's parameters, so a sound can be played
+// at any length, looped without a seam and tweaked without a server round trip.
+// The parameters are read the way MockEvolutionEngine._synthesize reads them:
+//   grain_duration - grain length (x0.3, at least 20 ms), Hann window
+//   overlap        - grains per grain length in each voice
+//   pitch_variance - random pitch per grain (x4)
+//   num_voices     - detuned grain streams, spread across the stereo field
+//   room_size      - feedback comb "room" (delay and feedback), mixed by wet_level
+const PROCESSOR_NAME = 'shard-granular';
+const GRAIN_SCALE = 0.3;
+const MIN_GRAIN_SECONDS = 0.02;
+const PITCH_SPREAD = 4;
+const VOICE_DETUNE = 0.006;
+// Start / stop ramps of the output, no clicks
+const FADE_SECONDS = 0.05;
+
+const PROCESSOR_SOURCE = `
+class GranularProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.source = null;
+        // Source frames per output frame (the buffer may have another sample rate)
+        this.sourceStep = 1;
+        this.settings = { grainFrames: 4800, overlap: 2, pitchVariance: 0, voices: 1 };
+        this.grains = [];
+        this.clocks = [];
+        this.playhead = 0;
+        this.rate = 1;
+        this.loop = false;
+        this.running = false;
+        this.endReported = true;
+        this.seed = 1;
+        this.port.onmessage = (event) => this.onMessage(event.data);
+        // Source, settings and start known when the node is created: in place before the first
+        // render quantum, which port messages are not (offline rendering starts right away)
+        (options?.processorOptions?.messages || []).forEach(message => this.onMessage(message));
+    }
+
+    onMessage(message) {
+        if (message.type === 'source') {
+            this.source = message.data;
+            this.sourceStep = message.sampleRate / sampleRate;
+            this.grains = [];
+        } else if (message.type === 'settings') {
+            this.settings = message.settings;
+        } else if (message.type === 'start') {
+            this.playhead = 0;
+            this.rate = message.rate;
+            this.loop = message.loop;
+            this.seed = (message.seed >>> 0) || 1;
+            this.grains = [];
+            this.clocks = [];
+            this.running = !!this.source;
+            this.endReported = !this.running;
+        } else if (message.type === 'stop') {
+            this.running = false;
+            this.grains = [];
+            this.endReported = true;
+        }
+    }
+
+    // xorshift32: the same seed gives the same grains
+    random() {
+        let x = this.seed;
+        x ^= x << 13;
+        x ^= x >>> 17;
+        x ^= x << 5;
+        this.seed = x >>> 0;
+        return this.seed / 4294967296;
+    }
+
+    spawn(voice) {
+        const { grainFrames, pitchVariance, voices } = this.settings;
+        const detune = 1 + (voice - (voices - 1) / 2) * ${VOICE_DETUNE};
+        const pitch = detune * (1 + (this.random() * 2 - 1) * pitchVariance * ${PITCH_SPREAD});
+        const step = pitch * this.sourceStep;
+        // Scattered read position, overlapping grains would comb otherwise
+        let position = this.playhead + (this.random() - 0.5) * grainFrames * this.sourceStep * 0.5;
+        if (!this.loop) {
+            position = Math.min(Math.max(0, position), Math.max(0, this.source.length - grainFrames * step));
+        }
+        const pan = voices > 1 ? (voice / (voices - 1) * 2 - 1) * 0.6 : 0;
+        const angle = (pan + 1) * Math.PI / 4;
+        this.grains.push({
+            position,
+            step,
+            age: 0,
+            frames: grainFrames,
+            left: Math.cos(angle),
+            right: Math.sin(angle)
+        });
+    }
+
+    // Linear interpolation, wrapping around the end so a loop has no seam
+    read(position) {
+        const source = this.source;
+        const length = source.length;
+        let p = position % length;
+        if (p < 0) p += length;
+        const i = Math.floor(p);
+        const a = source[i];
+        const b = source[i + 1 < length ? i + 1 : 0];
+        return a + (b - a) * (p - i);
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0];
+        const left = output[0];
+        const right = output[1];
+        if (!this.source || (!this.running && this.grains.length === 0)) return true;
+
+        const { grainFrames, overlap, voices } = this.settings;
+        const hop = grainFrames / overlap;
+        const gain = 1 / (Math.max(1, overlap * 0.5) * Math.sqrt(voices));
+        const length = this.source.length;
+
+        for (let f = 0; f < left.length; f++) {
+            if (this.running) {
+                for (let v = 0; v < voices; v++) {
+                    // Voices start staggered
+                    if (this.clocks[v] === undefined) this.clocks[v] = this.random() * hop;
+                    this.clocks[v] -= 1;
+                    if (this.clocks[v] <= 0) {
+                        this.spawn(v);
+                        // Slightly irregular hop, no buzz at the grain rate
+                        this.clocks[v] += hop * (0.9 + this.random() * 0.2);
+                    }
+                }
+                this.playhead += this.rate * this.sourceStep;
+                if (this.playhead >= length) {
+                    if (this.loop) this.playhead -= length;
+                    else this.running = false;
+                }
+            }
+
+            let l = 0;
+            let r = 0;
+            for (let g = this.grains.length - 1; g >= 0; g--) {
+                const grain = this.grains[g];
+                const sample = this.read(grain.position) *
+                    (0.5 - 0.5 * Math.cos(2 * Math.PI * grain.age / grain.frames));
+                l += sample * grain.left;
+                r += sample * grain.right;
+                grain.position += grain.step;
+                if (++grain.age >= grain.frames) {
+                    this.grains[g] = this.grains[this.grains.length - 1];
+                    this.grains.pop();
+                }
+            }
+            left[f] = l * gain;
+            if (right) right[f] = r * gain;
+        }
+
+        if (!this.running && this.grains.length === 0 && !this.endReported) {
+            this.endReported = true;
+            this.port.postMessage({ type: 'ended' });
+        }
+        return true;
+    }
+}
+registerProcessor('${PROCESSOR_NAME}', GranularProcessor);
+`;
+
+// Solution parameters limited to the ranges the evolution engine works in
+export function clampGranularParameters(parameters = {}) {
+    const result = {};
+    Object.entries(PARAMETER_RANGES).forEach(([name, { min, max, integer }]) => {
+        const raw = Number(parameters[name]);
+        let value = Number.isFinite(raw) ? Math.min(max, Math.max(min, raw)) : (min + max) / 2;
+        if (integer) value = Math.round(value);
+        result[name] = value;
+    });
+    return result;
+}
+
+export function grainSeconds(parameters) {
+    return Math.max(MIN_GRAIN_SECONDS, parameters.grain_duration * GRAIN_SCALE);
+}
+
+// Comb delay and feedback of the room, as in the mock engine
+function roomSettings(roomSize) {
+    return { delay: 0.02 + roomSize * 0.2, feedback: 0.4 + roomSize };
+}
+
+export class GranularSynth {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.node = null;
+        this.buffer = null;
+        this.parameters = clampGranularParameters();
+        this.isPlaying = false;
+        // Called when a playback that does not loop has played out
+        this.onEnded = null;
+
+        // node -> dry ----------------------------> output
+        //      -> comb (delay / feedback loop) -> wet -^
+        const ctx = audioContext;
+        this.output = ctx.createGain();
+        this.output.gain.value = 0;
+        this.dryGain = ctx.createGain();
+        this.wetGain = ctx.createGain();
+        this.combInput = ctx.createGain();
+        this.combDelay = ctx.createDelay(1);
+        this.combFeedback = ctx.createGain();
+        this.combInput.connect(this.combDelay);
+        this.combDelay.connect(this.combFeedback);
+        this.combFeedback.connect(this.combInput);
+        this.combInput.connect(this.wetGain);
+        this.dryGain.connect(this.output);
+        this.wetGain.connect(this.output);
+        this._sendSettings();
+    }
+
+    static isSupported(audioContext) {
+        return isWorkletSupported(audioContext);
+    }
+
+    // start: options of start(), for a playback that has to begin with the first rendered
+    // frame (renderGranular); it is handed to the processor with the source and settings
+    async init({ start = null } = {}) {
+        if (this.node) return;
+        if (!GranularSynth.isSupported(this.audioContext)) {
+            throw new Error('Granular synthesis needs AudioWorklet support');
+        }
+        await loadWorkletModule(this.audioContext, PROCESSOR_SOURCE);
+
+        const messages = [this._settingsMessage()];
+        if (this.buffer) messages.push(this._sourceMessage(this.buffer));
+        const startMessage = start && this.buffer ? this._startMessage(start) : null;
+        if (startMessage) messages.push(startMessage);
+
+        this.node = new AudioWorkletNode(this.audioContext, PROCESSOR_NAME, {
+            numberOfInputs: 0,
+            numberOfOutputs: 1,
+            outputChannelCount: [2],
+            processorOptions: { messages }
+        });
+        this.node.port.onmessage = (event) => {
+            if (event.data?.type === 'ended') {
+                this.isPlaying = false;
+                if (this.onEnded) this.onEnded();
+            }
+        };
+        this.node.connect(this.dryGain);
+        this.node.connect(this.combInput);
+        if (startMessage) this._fadeIn(start.when ?? 0, startMessage.loop, startMessage.rate);
+    }
+
+    setSource(buffer) {
+        this.buffer = buffer;
+        if (!this.node || !buffer) return;
+        const message = this._sourceMessage(buffer);
+        this.node.port.postMessage(message, [message.data.buffer]);
+    }
+
+    // Grains are read from the mono sum of the buffer
+    _sourceMessage(buffer) {
+        const data = new Float32Array(buffer.length);
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const channel = buffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) data[i] += channel[i] / buffer.numberOfChannels;
+        }
+        return { type: 'source', data, sampleRate: buffer.sampleRate };
+    }
+
+    // Takes effect from the next grain, also while playing
+    setParameters(parameters) {
+        this.parameters = clampGranularParameters({ ...this.parameters, ...parameters });
+        this._sendSettings();
+    }
+
+    getParameters() {
+        return { ...this.parameters };
+    }
+
+    _sendSettings() {
+        const p = this.parameters;
+        const now = this.audioContext.currentTime;
+        const room = roomSettings(p.room_size);
+        this.combDelay.delayTime.setTargetAtTime(room.delay, now, 0.02);
+        this.combFeedback.gain.setTargetAtTime(room.feedback, now, 0.02);
+        this.dryGain.gain.setTargetAtTime(1 - p.wet_level, now, 0.02);
+        this.wetGain.gain.setTargetAtTime(p.wet_level, now, 0.02);
+        if (this.node) this.node.port.postMessage(this._settingsMessage());
+    }
+
+    _settingsMessage() {
+        const p = this.parameters;
+        return {
+            type: 'settings',
+            settings: {
+                grainFrames: Math.round(grainSeconds(p) * this.audioContext.sampleRate),
+                overlap: p.overlap,
+                pitchVariance: p.pitch_variance,
+                voices: p.num_voices
+            }
+        };
+    }
+
+    // length: seconds one pass through the source takes (stretched or squeezed; default
+    // the length of the buffer). loop: start over without a seam until stop().
+    // seed: the same seed and parameters give the same sound.
+    start({ when = 0, length = null, loop = false, seed = null } = {}) {
+        if (!this.node || !this.buffer) return false;
+        const message = this._startMessage({ length, loop, seed });
+        this.node.port.postMessage(message);
+        this._fadeIn(when, loop, message.rate);
+        return true;
+    }
+
+    _startMessage({ length = null, loop = false, seed = null }) {
+        return {
+            type: 'start',
+            rate: length > 0 ? this.buffer.duration / length : 1,
+            loop,
+            seed: seed ?? Math.floor(Math.random() * 4294967296)
+        };
+    }
+
+    _fadeIn(when, loop, rate) {
+        const startAt = Math.max(when, this.audioContext.currentTime);
+        this.output.gain.cancelScheduledValues(startAt);
+        this.output.gain.setValueAtTime(0, startAt);
+        this.output.gain.linearRampToValueAtTime(1, startAt + FADE_SECONDS);
+        this.isPlaying = true;
+        console.log(`🌾 Granular playback (${loop ? 'loop' : `${(this.buffer.duration / rate).toFixed(1)}s`})`);
+    }
+
+    stop() {
+        if (!this.node || !this.isPlaying) return;
+        const now = this.audioContext.currentTime;
+        this.output.gain.cancelScheduledValues(now);
+        this.output.gain.setValueAtTime(this.output.gain.value, now);
+        this.output.gain.linearRampToValueAtTime(0, now + FADE_SECONDS);
+        this.isPlaying = false;
+        setTimeout(() => this.node?.port.postMessage({ type: 'stop' }), FADE_SECONDS * 1000 + 20);
+    }
+
+    connect(destination) {
+        this.output.connect(destination);
+    }
+
+    dispose() {
+        if (this.node) {
+            this.node.port.postMessage({ type: 'stop' });
+            this.node.port.onmessage = null;
+            this.node.disconnect();
+            this.node = null;
+        }
+        this.combFeedback.disconnect();
+        this.combInput.disconnect();
+        this.output.disconnect();
+        this.buffer = null;
+        this.isPlaying = false;
+    }
+}
+
+// Renders one pass of `length` seconds (plus the grain and room tail) to a stereo AudioBuffer
+export async function renderGranular(buffer, parameters, { length = buffer.duration, seed = 1 } = {}) {
+    const clamped = clampGranularParameters(parameters);
+    const tail = grainSeconds(clamped) + 1;
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const offline = new OfflineContext(2, Math.ceil((length + tail) * buffer.sampleRate), buffer.sampleRate);
+
+    const synth = new GranularSynth(offline);
+    synth.setParameters(clamped);
+    synth.setSource(buffer);
+    // Started through the processor options: port messages might arrive after rendering began
+    await synth.init({ start: { length, seed } });
+    synth.connect(offline.destination);
+
+    const rendered = await offline.startRendering();
+    synth.dispose();
+    return rendered;
+}
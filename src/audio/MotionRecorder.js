@@ -0,0 +1,128 @@
+// Records where each solid has been, so an offline render (SceneRenderer.js) can move the
+// sources along the same paths. Positions are sampled at SAMPLE_RATE and kept for the last
+// MAX_SECONDS in a ring buffer per solution id; a new generation starts from scratch.
+// Only motion of the soundscape is recorded: while paused (Save / Library lay the solids out
+// for the UI) nothing is sampled and the recording clock stops.
+export const MOTION_SAMPLE_RATE = 20;
+const MAX_SECONDS = 600;
+const CAPACITY = MOTION_SAMPLE_RATE * MAX_SECONDS;
+
+class MotionTrack {
+    constructor() {
+        // time (s), x, y, z per sample
+        this.data = new Float32Array(CAPACITY * 4);
+        this.start = 0;
+        this.length = 0;
+    }
+
+    push(time, x, y, z) {
+        const index = (this.start + this.length) % CAPACITY;
+        this.data.set([time, x, y, z], index * 4);
+        if (this.length < CAPACITY) this.length++;
+        else this.start = (this.start + 1) % CAPACITY;
+    }
+
+    get duration() {
+        if (this.length < 2) return 0;
+        const last = ((this.start + this.length - 1) % CAPACITY) * 4;
+        return this.data[last] - this.data[this.start * 4];
+    }
+
+    // Samples oldest first, times relative to the first one: [{ t, x, y, z }]
+    toPath() {
+        const path = [];
+        let t0 = null;
+        for (let i = 0; i < this.length; i++) {
+            const offset = ((this.start + i) % CAPACITY) * 4;
+            if (t0 === null) t0 = this.data[offset];
+            path.push({
+                t: this.data[offset] - t0,
+                x: this.data[offset + 1],
+                y: this.data[offset + 2],
+                z: this.data[offset + 3]
+            });
+        }
+        return path;
+    }
+}
+
+export class MotionRecorder {
+    constructor() {
+        this.tracks = new Map();
+        this.generation = null;
+        this._lastSampleAt = -Infinity;
+        // Float32 keeps times relative to this to stay precise over a long session
+        this._epoch = performance.now();
+        this.paused = false;
+        this._pausedAt = 0;
+    }
+
+    // Paths continue where they left off instead of holding still for the pause
+    setPaused(paused, now = performance.now()) {
+        if (paused === this.paused) return;
+        this.paused = paused;
+        if (paused) this._pausedAt = now;
+        else this._epoch += now - this._pausedAt;
+    }
+
+    // Called every frame; takes a sample of every solid at most MOTION_SAMPLE_RATE times a second
+    sample(now, ids, getPosition) {
+        if (this.paused || now - this._lastSampleAt < 1000 / MOTION_SAMPLE_RATE) return;
+        this._lastSampleAt = now;
+        const time = (now - this._epoch) / 1000;
+
+        for (const id of ids) {
+            const position = getPosition(id);
+            if (!position) continue;
+            let track = this.tracks.get(id);
+            if (!track) {
+                track = new MotionTrack();
+                this.tracks.set(id, track);
+            }
+            track.push(time, position.x, position.y, position.z);
+        }
+    }
+
+    // Paths of one generation only; solution ids repeat between generations
+    setGeneration(generation) {
+        if (generation === this.generation) return;
+        this.generation = generation;
+        this.tracks.clear();
+    }
+
+    getPath(id) {
+        return this.tracks.get(id)?.toPath() || [];
+    }
+
+    // Longest recorded path in seconds
+    getRecordedSeconds() {
+        let longest = 0;
+        for (const track of this.tracks.values()) longest = Math.max(longest, track.duration);
+        return longest;
+    }
+}
+
+// Position on a recorded path at time t (seconds), looping the recording; linear in between
+export function positionOnPath(path, t) {
+    if (path.length === 0) return null;
+    if (path.length === 1) return path[0];
+    const duration = path[path.length - 1].t;
+    if (duration <= 0) return path[0];
+    const time = t % duration;
+
+    let lo = 0;
+    let hi = path.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (path[mid].t <= time) lo = mid;
+        else hi = mid;
+    }
+    const a = path[lo];
+    const b = path[hi];
+    const f = b.t > a.t ? (time - a.t) / (b.t - a.t) : 0;
+    return {
+        x: a.x + (b.x - a.x) * f,
+        y: a.y + (b.y - a.y) * f,
+        z: a.z + (b.z - a.z) * f
+    };
+}
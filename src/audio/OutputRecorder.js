@@ -0,0 +1,187 @@
+import { loadWorkletModule, isWorkletSupported } from './worklets.js';
+
+// Records the output bus (after the limiter, what is heard) with an AudioWorklet. The bus
+// outlives sources and mode switches, so a recording runs on across modeManager.goTo().
+// Samples are collected on the main thread in blocks and turned into a WAV on stop();
+// markers are kept as frame offsets into the recording.
+const PROCESSOR_NAME = 'shard-output-recorder';
+// Frames per message from the audio thread (about 85 ms at 48 kHz)
+const BLOCK_FRAMES = 4096;
+// Float samples stay in memory until the recording is saved
+export const MAX_RECORDING_SECONDS = 20 * 60;
+// stop() does not wait longer than this for the audio thread to hand over its last block
+const STOP_TIMEOUT_MS = 1000;
+
+const PROCESSOR_SOURCE = `
+class OutputRecorderProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.channels = options.processorOptions.channels;
+        this.blockFrames = options.processorOptions.blockFrames;
+        this.stopped = false;
+        this.started = false;
+        this.resetBlock();
+        this.port.onmessage = (event) => {
+            if (event.data === 'stop') {
+                this.flush();
+                this.stopped = true;
+                this.port.postMessage({ type: 'done' });
+            }
+        };
+    }
+
+    resetBlock() {
+        this.block = Array.from({ length: this.channels }, () => new Float32Array(this.blockFrames));
+        this.filled = 0;
+    }
+
+    flush() {
+        if (this.filled === 0) return;
+        const data = this.block.map(channel => channel.slice(0, this.filled));
+        this.port.postMessage({ type: 'data', data }, data.map(channel => channel.buffer));
+        this.resetBlock();
+    }
+
+    process(inputs) {
+        if (this.stopped) return false;
+        if (!this.started) {
+            this.started = true;
+            this.port.postMessage({ type: 'start', frame: currentFrame });
+        }
+        const input = inputs[0] || [];
+        const frames = input[0]?.length || 128;
+        for (let c = 0; c < this.channels; c++) {
+            // Disconnected or missing channels record as silence
+            if (input[c]) this.block[c].set(input[c], this.filled);
+            else this.block[c].fill(0, this.filled, this.filled + frames);
+        }
+        this.filled += frames;
+        if (this.filled + 128 > this.blockFrames) this.flush();
+        return true;
+    }
+}
+registerProcessor('${PROCESSOR_NAME}', OutputRecorderProcessor);
+`;
+
+export class OutputRecorder {
+    constructor(surroundContext) {
+        this.surroundContext = surroundContext;
+        this.audioContext = surroundContext.audioContext;
+        this.node = null;
+        this.chunks = [];
+        this.frames = 0;
+        this.channels = 0;
+        this.startFrame = null;
+        this.markers = [];
+        this._pendingMarkers = [];
+        this._onDone = null;
+        this._limitReported = false;
+        // Called once when the recording reaches MAX_RECORDING_SECONDS; the owner should stop()
+        this.onLimit = null;
+    }
+
+    get isRecording() {
+        return this.node !== null;
+    }
+
+    get seconds() {
+        return this.frames / this.audioContext.sampleRate;
+    }
+
+    static isSupported(audioContext) {
+        return isWorkletSupported(audioContext);
+    }
+
+    // Records as many channels as the output bus has now (more after a switch to the
+    // speaker array are folded into these)
+    async start() {
+        if (this.isRecording) return;
+        if (!OutputRecorder.isSupported(this.audioContext)) {
+            throw new Error('Recording needs AudioWorklet support');
+        }
+        await loadWorkletModule(this.audioContext, PROCESSOR_SOURCE);
+        if (this.audioContext.state === 'suspended') await this.audioContext.resume();
+
+        this.channels = this.surroundContext.outputChannels;
+        this.chunks = [];
+        this.frames = 0;
+        this.startFrame = null;
+        this.markers = [];
+        this._pendingMarkers = [];
+        this._limitReported = false;
+
+        this.node = new AudioWorkletNode(this.audioContext, PROCESSOR_NAME, {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: this.channels,
+            channelCountMode: 'explicit',
+            channelInterpretation: 'discrete',
+            processorOptions: { channels: this.channels, blockFrames: BLOCK_FRAMES }
+        });
+        this.node.port.onmessage = (event) => this._onMessage(event.data);
+        this.surroundContext.outputGain.connect(this.node);
+        console.log(`⏺️ Recording output (${this.channels} channels)`);
+    }
+
+    _onMessage(message) {
+        if (message.type === 'start') {
+            this.startFrame = message.frame;
+            this._pendingMarkers.forEach(({ time, label }) => this.addMarker(label, time));
+            this._pendingMarkers = [];
+        } else if (message.type === 'data') {
+            this.chunks.push(message.data);
+            this.frames += message.data[0].length;
+            if (this.seconds >= MAX_RECORDING_SECONDS && !this._limitReported) {
+                this._limitReported = true;
+                console.warn(`⚠️ Recording reached ${MAX_RECORDING_SECONDS / 60} minutes`);
+                if (this.onLimit) this.onLimit();
+            }
+        } else if (message.type === 'done' && this._onDone) {
+            this._onDone();
+        }
+    }
+
+    // time in AudioContext seconds (defaults to now)
+    addMarker(label, time = this.audioContext.currentTime) {
+        if (!this.isRecording) return;
+        if (this.startFrame === null) {
+            this._pendingMarkers.push({ time, label });
+            return;
+        }
+        const frame = Math.max(0, Math.round(time * this.audioContext.sampleRate) - this.startFrame);
+        this.markers.push({ frame, label });
+    }
+
+    // Resolves with { channelData, sampleRate, markers } once the last block has arrived
+    async stop() {
+        if (!this.isRecording) return null;
+        const node = this.node;
+        await new Promise((resolve) => {
+            const timer = setTimeout(resolve, STOP_TIMEOUT_MS);
+            this._onDone = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            node.port.postMessage('stop');
+        });
+        this._onDone = null;
+        this.surroundContext.outputGain.disconnect(node);
+        node.port.onmessage = null;
+        this.node = null;
+
+        const channelData = Array.from({ length: this.channels }, () => new Float32Array(this.frames));
+        let offset = 0;
+        for (const chunk of this.chunks) {
+            chunk.forEach((data, c) => channelData[c].set(data, offset));
+            offset += chunk[0].length;
+        }
+        this.chunks = [];
+        console.log(`⏹️ Recorded ${this.seconds.toFixed(1)}s with ${this.markers.length} markers`);
+
+        return {
+            channelData,
+            sampleRate: this.audioContext.sampleRate,
+            markers: this.markers.filter(m => m.frame <= this.frames)
+        };
+    }
+}
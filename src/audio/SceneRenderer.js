@@ -0,0 +1,202 @@
+import { SurroundContext, SPATIAL_RENDERERS } from './surround-sound-context.js';
+import { MOTION_SAMPLE_RATE, positionOnPath } from './MotionRecorder.js';
+import { WAV_CHANNEL_MASKS } from '../utils/wav.js';
+
+// Renders the soundscape of the loaded generation through an OfflineAudioContext: the same
+// spatial renderers as live playback, with every solid moving along its recorded path
+// (MotionRecorder.js, looped when the render is longer than the recording).
+//   binaural - stereo, rendered with the live renderer (the HRTF panner when the array is live)
+//   bformat - first-order ambisonics, 4 channels ACN/SN3D (AmbiX), without compressor / limiter
+//   multichannel - one channel per speaker of the live speaker layout (array renderer)
+export const EXPORT_FORMATS = Object.freeze({
+    BINAURAL: 'binaural',
+    BFORMAT: 'bformat',
+    MULTICHANNEL: 'multichannel'
+});
+
+export const EXPORT_PLAYBACK = Object.freeze({
+    SEQUENTIAL: 'sequential',
+    SIMULTANEOUS: 'simultaneous'
+});
+
+// 10 minutes of 8 channels is already close to a gigabyte of float samples
+export const MAX_EXPORT_SECONDS = 600;
+// Pause between sounds of the sequence, as the soundscape button plays it
+export const DEFAULT_GAP_SECONDS = 5;
+const END_FADE_SECONDS = 1;
+// Rendered before the soundscape and cut off: the filters, reverb and dynamics settle there, and the
+// render waits at its end until the ambisonic decoder is wired in (SurroundContext.whenScenesReady)
+const PRE_ROLL_SECONDS = 0.5;
+
+// Sources of the live controller that have audio, in soundscape order
+function exportEntries(controller) {
+    return Array.from(controller.sources, ([id, data]) => ({ id, data }))
+        .filter(({ data }) => data?.buffer);
+}
+
+// Length of one pass of the sequence: every sound once, each followed by the gap
+export function sequenceDuration(controller, gapSeconds) {
+    return exportEntries(controller)
+        .reduce((total, { data }) => total + data.buffer.duration + gapSeconds, 0);
+}
+
+export function exportChannelCount(controller, format) {
+    if (format === EXPORT_FORMATS.BFORMAT) return 4;
+    if (format === EXPORT_FORMATS.MULTICHANNEL) return controller.ctx.getSpeakerLayout().speakers.length;
+    return 2;
+}
+
+// Channel mask for the WAV header (0: channels not assigned to standard speakers)
+export function exportChannelMask(controller, format) {
+    if (format !== EXPORT_FORMATS.MULTICHANNEL) return 0;
+    return WAV_CHANNEL_MASKS[controller.ctx.getSpeakerLayout().preset] || 0;
+}
+
+function setupRenderer(scene, live, format) {
+    if (format === EXPORT_FORMATS.BFORMAT) {
+        scene.setRenderer(SPATIAL_RENDERERS.FOA);
+        return SPATIAL_RENDERERS.FOA;
+    }
+    if (format === EXPORT_FORMATS.MULTICHANNEL) {
+        scene.setSpeakerLayout(live.getSpeakerLayout());
+        scene.setRenderer(SPATIAL_RENDERERS.ARRAY);
+        return SPATIAL_RENDERERS.ARRAY;
+    }
+
+    const renderer = live.getRenderer();
+    if (renderer === SPATIAL_RENDERERS.SOFA && live.getHrtfFilters()) {
+        scene.setHrtfFilters(live.getHrtfFilters(), live.getHrtfName());
+        return renderer;
+    }
+    const binaural = renderer === SPATIAL_RENDERERS.ARRAY || renderer === SPATIAL_RENDERERS.SOFA
+        ? SPATIAL_RENDERERS.PANNER
+        : renderer;
+    scene.setRenderer(binaural);
+    return binaural;
+}
+
+// Resolves with { buffer, format, renderer }. onProgress(fraction) follows the render.
+export async function renderSoundscape(controller, {
+    format = EXPORT_FORMATS.BINAURAL,
+    playback = EXPORT_PLAYBACK.SEQUENTIAL,
+    duration,
+    gapSeconds = DEFAULT_GAP_SECONDS,
+    onProgress = null
+} = {}) {
+    const entries = exportEntries(controller);
+    if (entries.length === 0) throw new Error('No sounds loaded to render');
+    if (!(duration > 0)) throw new Error('Duration must be longer than 0 seconds');
+    duration = Math.min(duration, MAX_EXPORT_SECONDS);
+
+    const live = controller.ctx;
+    const sampleRate = live.audioContext.sampleRate;
+    const channels = exportChannelCount(controller, format);
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    // Whole render quanta, so the suspend at the end of the pre-roll lands exactly there
+    const preRollFrames = Math.ceil(PRE_ROLL_SECONDS * sampleRate / 128) * 128;
+    const preRoll = preRollFrames / sampleRate;
+    const frames = Math.ceil(duration * sampleRate);
+    const offline = new OfflineContext(channels, preRollFrames + frames, sampleRate);
+
+    const scene = new SurroundContext(window, live.roomWidth, live.roomHeight, live.roomDepth, {
+        context: offline,
+        ambisonicOutput: format === EXPORT_FORMATS.BFORMAT,
+        dynamics: format !== EXPORT_FORMATS.BFORMAT
+    });
+    const renderer = setupRenderer(scene, live, format);
+
+    // Heard from where the camera is now
+    const { position, forward, up } = live.getListenerPose();
+    scene.setListenerPosition(...position);
+    scene.setListenerOrientation(...forward, ...up);
+
+    const tracks = entries.map(({ id, data }) => {
+        const source = scene.createSource(0, 0, 0, true);
+        controller.configureSpatialSource(source);
+        source.setBuffer(data.buffer);
+        source.setNormalizationGain(data.normalization ?? 1);
+        const { x, y, z } = data.spatialSource || { x: 0, y: 0, z: 0 };
+        return {
+            source,
+            data,
+            path: controller.motionRecorder.getPath(id),
+            // Nothing recorded yet: where the live source is
+            fallback: { x, y, z }
+        };
+    });
+
+    const moveTo = (time) => {
+        tracks.forEach(({ source, path, fallback }) => {
+            const p = positionOnPath(path, time) || fallback;
+            source.setPosition(p.x, p.y, p.z);
+        });
+    };
+    moveTo(0);
+
+    // Playback schedule, as SurroundController plays the soundscape; times below are
+    // soundscape time, the context's clock runs preRoll ahead
+    const fadeIn = controller.sequenceFadeInMs / 1000;
+    if (playback === EXPORT_PLAYBACK.SIMULTANEOUS) {
+        tracks.forEach(({ source, data }) => {
+            source.playAt(preRoll, { gain: data.targetGain ?? 1, fadeIn, loop: true, until: preRoll + duration });
+        });
+    } else {
+        let time = 0;
+        for (let i = 0; time < duration; i++) {
+            const { source, data } = tracks[i % tracks.length];
+            source.playAt(preRoll + time, { gain: data.targetGain ?? 1, fadeIn });
+            time += data.buffer.duration + gapSeconds;
+        }
+    }
+
+    const fadeStart = Math.max(0, duration - END_FADE_SECONDS);
+    scene.outputGain.gain.setValueAtTime(1, preRoll + fadeStart);
+    scene.outputGain.gain.linearRampToValueAtTime(0, preRoll + duration);
+
+    if (typeof offline.suspend === 'function') {
+        // Nothing plays in the pre-roll; the soundscape starts once the decoder is in place
+        offline.suspend(preRoll).then(async () => {
+            try {
+                await scene.whenScenesReady();
+            } catch (error) {
+                console.warn('⚠️ Rendering without the ambisonic decoder:', error);
+            }
+            offline.resume();
+        });
+
+        // Motion: the render pauses at every motion sample to move the sources
+        const step = 1 / MOTION_SAMPLE_RATE;
+        for (let i = 1; i * step < duration; i++) {
+            const time = i * step;
+            offline.suspend(preRoll + time).then(() => {
+                moveTo(time);
+                if (onProgress) onProgress(time / duration);
+                offline.resume();
+            });
+        }
+    } else {
+        console.warn('⚠️ This browser cannot pause offline rendering, solids stay where they are now');
+        await scene.whenScenesReady();
+    }
+
+    console.log(`🎬 Rendering ${duration.toFixed(1)}s of soundscape (${playback}, ${format}, ${renderer}, ${channels} channels)`);
+    const rendered = await offline.startRendering();
+    if (onProgress) onProgress(1);
+
+    const buffer = trimStart(rendered, preRollFrames, frames);
+    console.log('✅ Soundscape rendered');
+    return { buffer, format, renderer };
+}
+
+// The rendered soundscape without the pre-roll
+function trimStart(rendered, offset, length) {
+    const buffer = new AudioBuffer({
+        numberOfChannels: rendered.numberOfChannels,
+        length,
+        sampleRate: rendered.sampleRate
+    });
+    for (let channel = 0; channel < rendered.numberOfChannels; channel++) {
+        buffer.copyToChannel(rendered.getChannelData(channel).subarray(offset, offset + length), channel);
+    }
+    return buffer;
+}
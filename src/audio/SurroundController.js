@@ -1,5 +1,17 @@
 import * as THREE from 'three';
 import { SurroundContext } from './surround-sound-context.js';
+import { measureLoudness, normalizationGain } from './loudness.js';
+import { MotionRecorder } from './MotionRecorder.js';
+import { restingEmissiveIntensity } from '../components/GeometricSolid.js';
+
+// How many solutions loadAll() decodes at the same time (setDecodeConcurrency() to change)
+export const DEFAULT_DECODE_CONCURRENCY = 4;
+// Dispatched on window as a generation's sounds become ready or fail:
+// { generation, total, ready, failed: [{ id, reason }] }
+export const SOUND_LOAD_PROGRESS_EVENT = 'surround-load-progress';
+// Dispatched on window whenever a sound starts playing (soundscape, one-shots, drag):
+// { id, generation, time } with time in AudioContext seconds
+export const SOURCE_TRIGGER_EVENT = 'surround-source-trigger';
 
 export class SurroundController {
     constructor(roomWidth = 50, roomHeight = 70, roomDepth = 50) {
@@ -29,10 +41,23 @@ export class SurroundController {
         
         // ADDED: Store pending solutions for reloading when mode changes
         this._pendingSolutions = null;
+
+        // Decoded buffers by "generation:id", so mode switches and the generation history
+        // do not decode the same audio again. Trimmed with retainBuffers().
+        this._bufferCache = new Map();
+        // Integrated loudness (LUFS) per decoded buffer, measured once at load time
+        this._bufferLoudness = new WeakMap();
+        this._loadToken = 0;
+        this.decodeConcurrency = DEFAULT_DECODE_CONCURRENCY;
+        // Ready / failed sounds of the generation being loaded, see SOUND_LOAD_PROGRESS_EVENT
+        this.loadProgress = null;
         
         // ADDED: Store last sequence index to resume from same position
         this._lastSeqIdx = 0;
 
+        // Paths of the solids, replayed by offline renders of the soundscape
+        this.motionRecorder = new MotionRecorder();
+
         // Animation loop for updating positions and listener
         this._animationFrameId = null;
         this._startPositionUpdateLoop();
@@ -74,9 +99,21 @@ export class SurroundController {
         );
     }
 
+    // Motion of the soundscape happens in the scene and in Evolve; Save and Library (and the
+    // transitions into them) move the solids around for their layout
+    _recordsMotion() {
+        const modes = window.modeManager;
+        if (window.__modeTransitioning) return false;
+        return !modes?.isActive('save') && !modes?.isActive('library');
+    }
+
     _startPositionUpdateLoop() {
         const update = () => {
             this._updateListenerFromCamera();
+            const now = performance.now();
+            this.motionRecorder.setPaused(!this._recordsMotion(), now);
+            this.motionRecorder.sample(now, this.sources.keys(),
+                (id) => this._getSolidRootForId(id)?.position);
             
             for (const [id, sourceData] of this.sources) {
                 if (sourceData.spatialSource?.isPlaying && sourceData.spatialSource?.isSpatial) {
@@ -109,9 +146,20 @@ export class SurroundController {
         return null;
     }
 
-    async loadAll(solutions) {
+    setDecodeConcurrency(limit) {
+        this.decodeConcurrency = Math.max(1, Math.floor(limit) || 1);
+    }
+
+    // Decodes up to `concurrency` solutions at a time; each source is usable as soon as its own
+    // audio is decoded and onSourceReady(id, readyCount) fires for it. Solutions whose audio has
+    // not arrived yet are added later by attachAudio().
+    // reportProgress starts a new SOUND_LOAD_PROGRESS_EVENT count (new generation, not mode switches).
+    async loadAll(solutions, { onSourceReady = null, concurrency = this.decodeConcurrency, reportProgress = false } = {}) {
         // ADDED: Store solutions for potential reload
         this._pendingSolutions = solutions;
+        this.motionRecorder.setGeneration(solutions[0]?.generation ?? null);
+        // A newer loadAll() (new generation, mode switch) makes this one stop
+        const loadToken = ++this._loadToken;
         
         // Dispose old sources properly
         for (const [id, sourceData] of this.sources) {
@@ -125,59 +173,222 @@ export class SurroundController {
         }
         this.sources.clear();
 
+        if (reportProgress) {
+            this.loadProgress = {
+                generation: solutions[0]?.generation ?? null,
+                total: solutions.length,
+                ready: new Set(),
+                failed: new Map()
+            };
+            this._emitLoadProgress();
+        }
+
         // Determine if we should use spatial audio based on mode
         const useSpatial = this.currentMode === 'main';
 
-        console.log(`🔄 Loading audio for ${solutions.length} solutions (mode: ${this.currentMode}, spatial: ${useSpatial})`);
+        // Audio that will never arrive (missing, failed fetch) is reported rather than left pending
+        solutions.filter(s => s.audio?.error && !this._hasAudio(s))
+            .forEach(s => this._recordLoadResult(s, s.audio.error));
+
+        const queue = solutions.filter(s => this._hasAudio(s));
+        const workers = Math.max(1, Math.min(concurrency, queue.length));
+        console.log(`🔄 Loading audio for ${queue.length}/${solutions.length} solutions (mode: ${this.currentMode}, spatial: ${useSpatial}, ${workers} at a time)`);
+
+        let next = 0;
+        const worker = async () => {
+            while (next < queue.length && loadToken === this._loadToken) {
+                const s = queue[next++];
+                const loaded = await this._loadSource(s, useSpatial, loadToken);
+                if (loaded && typeof onSourceReady === 'function') {
+                    onSourceReady(s.id, this.sources.size);
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: workers }, worker));
+        if (loadToken !== this._loadToken) return;
 
-        for (const s of solutions) {
-            if (s.audio && s.audio.data) {
-                try {
-                    const rawBuffer = await this._decodeBase64ToBuffer(s.audio.data);
-                    const decodedBuffer = await new Promise((resolve, reject) => {
-                        this.audioContext.decodeAudioData(rawBuffer.slice(0), resolve, reject);
-                    });
-
-                    const solid = this._getSolidRootForId(s.id);
-                    const initialPos = solid ? solid.position : { x: 0, y: 0, z: 0 };
-                    
-                    // Create spatial or stereo source based on mode
-                    const spatialSource = this.ctx.createSource(
-                        initialPos.x, 
-                        initialPos.y, 
-                        initialPos.z, 
-                        useSpatial
-                    );
-                    spatialSource.setBuffer(decodedBuffer);
-                    
-                    if (useSpatial) {
-                        // Configure spatial audio parameters for main mode
-                        spatialSource.setDistanceModel('linear');
-                        spatialSource.setRefDistance(1);
-                        spatialSource.setMaxDistance(this.ctx.longestSide * 2);
-                        spatialSource.setRolloffFactor(10);
-                    }
+        console.log(`[SurroundController] Loaded ${this.sources.size} sources (mode: ${this.currentMode}).`);
+    }
 
-                    this.sources.set(s.id, {
-                        spatialSource,
-                        buffer: decodedBuffer,
-                        targetGain: 1.0
-                    });
+    // Audio delivered after loadAll() (binary frame or fetch) for a solution of the loaded generation
+    async attachAudio(generation, solutionId) {
+        const solution = this._findPendingSolution(generation, solutionId);
+        if (!solution || this.sources.has(solution.id)) return false;
+        if (!this._hasAudio(solution)) {
+            if (solution.audio?.error) this._recordLoadResult(solution, solution.audio.error);
+            return false;
+        }
+        return this._loadSource(solution, this.currentMode === 'main', this._loadToken);
+    }
 
-                    console.log(`✅ Loaded source ${s.id} (${useSpatial ? 'spatial 3D' : 'stereo'})`);
-                } catch (error) {
-                    console.error(`❌ Failed to load source ${s.id}:`, error);
-                }
+    _findPendingSolution(generation, solutionId) {
+        return this._pendingSolutions?.find(s =>
+            s.generation === generation && String(s.id) === String(solutionId)) || null;
+    }
+
+    _hasAudio(solution) {
+        return !!(solution.audio?.bytes || solution.audio?.data) || this._bufferCache.has(this._bufferKey(solution));
+    }
+
+    async _getDecodedBuffer(solution) {
+        const cacheKey = this._bufferKey(solution);
+        const cached = this._bufferCache.get(cacheKey);
+        if (cached) return cached;
+
+        const rawBuffer = solution.audio?.bytes || await this._decodeBase64ToBuffer(solution.audio.data);
+        const decodedBuffer = await new Promise((resolve, reject) => {
+            this.audioContext.decodeAudioData(rawBuffer.slice(0), resolve, reject);
+        });
+        this._bufferCache.set(cacheKey, decodedBuffer);
+        return decodedBuffer;
+    }
+
+    getLoudness(buffer) {
+        if (!buffer) return -Infinity;
+        if (!this._bufferLoudness.has(buffer)) {
+            this._bufferLoudness.set(buffer, measureLoudness(buffer));
+        }
+        return this._bufferLoudness.get(buffer);
+    }
+
+    async _loadSource(s, useSpatial, loadToken) {
+        let decodedBuffer;
+        try {
+            decodedBuffer = await this._getDecodedBuffer(s);
+        } catch (error) {
+            console.error(`❌ Failed to decode audio for source ${s.id}:`, error);
+            this._recordLoadResult(s, error?.message || 'could not decode audio');
+            return false;
+        }
+
+        try {
+            // Superseded meanwhile, or already added by attachAudio()
+            if (loadToken !== this._loadToken || this.sources.has(s.id)) return false;
+
+            const solid = this._getSolidRootForId(s.id);
+            const initialPos = solid ? solid.position : { x: 0, y: 0, z: 0 };
+            
+            // Create spatial or stereo source based on mode
+            const spatialSource = this.ctx.createSource(
+                initialPos.x, 
+                initialPos.y, 
+                initialPos.z, 
+                useSpatial
+            );
+            spatialSource.setBuffer(decodedBuffer);
+            // Every generation reaches the master bus at a similar loudness
+            const loudness = this.getLoudness(decodedBuffer);
+            const normalization = normalizationGain(loudness);
+            spatialSource.setNormalizationGain(normalization);
+            
+            if (useSpatial) {
+                this.configureSpatialSource(spatialSource);
             }
+
+            this.sources.set(s.id, {
+                id: s.id,
+                generation: s.generation ?? null,
+                spatialSource,
+                buffer: decodedBuffer,
+                loudness,
+                normalization,
+                targetGain: 1.0
+            });
+            this._orderSources();
+            this._recordLoadResult(s);
+
+            console.log(`✅ Loaded source ${s.id} (${useSpatial ? 'spatial 3D' : 'stereo'}, ${Number.isFinite(loudness) ? loudness.toFixed(1) : '-∞'} LUFS → ${(20 * Math.log10(normalization)).toFixed(1)} dB)`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to load source ${s.id}:`, error);
+            this._recordLoadResult(s, error?.message || 'could not create source');
+            return false;
         }
+    }
 
-        console.log(`[SurroundController] Loaded ${this.sources.size} sources (mode: ${this.currentMode}).`);
+    // Distance behaviour of the main mode; offline renders (SceneRenderer.js) configure their sources the same way
+    configureSpatialSource(spatialSource) {
+        spatialSource.setDistanceModel('linear');
+        spatialSource.setRefDistance(1);
+        spatialSource.setMaxDistance(spatialSource.bus.longestSide * 2);
+        spatialSource.setRolloffFactor(10);
+    }
+
+    // Decodes finish in any order; sequential playback follows the order of the solutions
+    _orderSources() {
+        const ordered = (this._pendingSolutions || [])
+            .filter(s => this.sources.has(s.id))
+            .map(s => [s.id, this.sources.get(s.id)]);
+        if (ordered.length === this.sources.size) this.sources = new Map(ordered);
+    }
+
+    // reason === null marks the solution ready, anything else marks it failed
+    _recordLoadResult(solution, reason = null) {
+        const progress = this.loadProgress;
+        if (!progress || progress.generation !== (solution.generation ?? null)) return;
+
+        const key = String(solution.id);
+        if (reason === null) {
+            if (progress.ready.has(key)) return;
+            progress.ready.add(key);
+            progress.failed.delete(key);
+        } else {
+            if (progress.ready.has(key) || progress.failed.get(key) === reason) return;
+            progress.failed.set(key, reason);
+        }
+        this._emitLoadProgress();
+    }
+
+    _emitLoadProgress() {
+        const progress = this.loadProgress;
+        if (!progress) return;
+        try {
+            window.dispatchEvent(new CustomEvent(SOUND_LOAD_PROGRESS_EVENT, {
+                detail: {
+                    generation: progress.generation,
+                    total: progress.total,
+                    ready: progress.ready.size,
+                    failed: Array.from(progress.failed, ([id, reason]) => ({ id, reason }))
+                }
+            }));
+        } catch {}
+    }
+
+    _bufferKey(solution) {
+        return `${solution.generation ?? '-'}:${solution.id}`;
+    }
+
+    // Drops cached buffers of generations that are no longer in the history
+    retainBuffers(generations) {
+        const keep = new Set(generations.filter(g => g !== null && g !== undefined).map(String));
+        let dropped = 0;
+        for (const key of this._bufferCache.keys()) {
+            if (!keep.has(key.slice(0, key.indexOf(':')))) {
+                this._bufferCache.delete(key);
+                dropped++;
+            }
+        }
+        if (dropped > 0) {
+            console.log(`🗑️ Released ${dropped} cached audio buffers`);
+        }
     }
 
     _playSource(sourceData) {
         if (!sourceData?.spatialSource) return;
         sourceData.spatialSource.setLoop(sourceData.shouldLoop || false);
+        const wasPlaying = sourceData.spatialSource.isPlaying;
         sourceData.spatialSource.play();
+        if (!wasPlaying && sourceData.spatialSource.isPlaying) {
+            try {
+                window.dispatchEvent(new CustomEvent(SOURCE_TRIGGER_EVENT, {
+                    detail: {
+                        id: sourceData.id,
+                        generation: sourceData.generation,
+                        time: this.audioContext.currentTime
+                    }
+                }));
+            } catch {}
+        }
     }
 
     _stopSource(sourceData, fadeOut = false) {
@@ -683,7 +894,9 @@ export class SurroundController {
                 if ('emissive' in tinted && tinted.emissive && typeof tinted.emissive.copy === 'function') {
                     try {
                         tinted.emissive.copy(highlightColor);
-                        tinted.emissiveIntensity = Math.max(0.5, tinted.emissiveIntensity ?? 0);
+                        tinted.emissiveIntensity = Math.max(0.5, restingEmissiveIntensity(tinted));
+                        // The audio glow scales the highlight from here
+                        tinted.userData.baseEmissiveIntensity = tinted.emissiveIntensity;
                     } catch (e) {
                         console.warn('Failed to set emissive:', e);
                     }
@@ -0,0 +1,101 @@
+import { HRIRloader_ircam } from 'ambisonics';
+
+// Custom HRTFs for the "sofa" renderer. HRIRs are read with serve-sofa-hrir (through the
+// ambisonics HRIR loader) and turned into third-order ambisonic binaural decoding filters.
+export const HRTF_ORDER = 3;
+
+// Download and parse errors are reported right away; this only bounds the filter computation
+const LOAD_TIMEOUT_MS = 30000;
+
+// Dropped files are kept in Cache Storage so the choice survives a reload
+const CUSTOM_CACHE = 'shard-hrtf';
+const CUSTOM_KEY = '/hrtf/custom';
+
+// Fetches a SOFA set in JSON form (blob URL of the chosen file) and checks it before the loader sees it:
+// the loader reports neither network nor parse errors and would only leave the timeout.
+async function fetchSofaJson(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new Error(`could not download the HRTF (${error.message})`);
+    }
+    if (!response.ok) {
+        throw new Error(`HRTF request failed with ${response.status} ${response.statusText}`.trim());
+    }
+    const text = await response.text();
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('not a SOFA file in JSON form');
+    }
+    if (!data || typeof data !== 'object') throw new Error('not a SOFA file in JSON form');
+    return text;
+}
+
+// Resolves with the ambisonic decoding filters (an AudioBuffer with (order + 1)^2 channels)
+export async function loadHrtfFilters(audioContext, url, order = HRTF_ORDER) {
+    const text = await fetchSofaJson(url);
+    // A blob URL has no .sofa extension, so the loader reads it as JSON as it is
+    const blobUrl = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    try {
+        return await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(new Error(`HRTF filters were not ready within ${LOAD_TIMEOUT_MS / 1000}s`));
+            }, LOAD_TIMEOUT_MS);
+
+            try {
+                const loader = new HRIRloader_ircam(audioContext, order, (filters) => {
+                    clearTimeout(timer);
+                    resolve(filters);
+                });
+                loader.load(blobUrl);
+            } catch (error) {
+                clearTimeout(timer);
+                reject(error);
+            }
+        });
+    } finally {
+        URL.revokeObjectURL(blobUrl);
+    }
+}
+
+export async function storeCustomHrtf(file) {
+    if (!window.caches) return false;
+    try {
+        const cache = await caches.open(CUSTOM_CACHE);
+        await cache.put(CUSTOM_KEY, new Response(file, {
+            headers: { 'X-Filename': encodeURIComponent(file.name || 'custom.sofa') }
+        }));
+        return true;
+    } catch (error) {
+        console.warn('⚠️ Could not keep the HRTF file for the next session:', error);
+        return false;
+    }
+}
+
+// Returns { blob, name } of the stored file, or null
+export async function loadStoredCustomHrtf() {
+    if (!window.caches) return null;
+    try {
+        const cache = await caches.open(CUSTOM_CACHE);
+        const response = await cache.match(CUSTOM_KEY);
+        if (!response) return null;
+        const name = decodeURIComponent(response.headers.get('X-Filename') || 'custom.sofa');
+        return { blob: await response.blob(), name };
+    } catch (error) {
+        console.warn('⚠️ Could not read the stored HRTF file:', error);
+        return null;
+    }
+}
+
+export async function clearStoredCustomHrtf() {
+    if (!window.caches) return;
+    try {
+        const cache = await caches.open(CUSTOM_CACHE);
+        await cache.delete(CUSTOM_KEY);
+    } catch (error) {
+        console.warn('⚠️ Could not remove the stored HRTF file:', error);
+    }
+}
@@ -0,0 +1,101 @@
+// Integrated loudness of an AudioBuffer, following ITU-R BS.1770 (the measure behind LUFS):
+// K-weighting filter, 400 ms blocks with 75% overlap, absolute gate at -70 LUFS and a relative
+// gate 10 LU below the ungated level. Channels are weighted equally (no surround weights).
+
+// Level every source is brought to before it reaches the master bus
+export const TARGET_LUFS = -20;
+// Quiet sounds are not lifted (or loud ones cut) by more than this
+export const MAX_NORMALIZATION_DB = 12;
+
+const SEGMENT_SECONDS = 0.1;   // blocks are 4 segments long and advance by 1
+const SEGMENTS_PER_BLOCK = 4;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// Pre-filter (high shelf) and RLB high-pass, coefficients derived for any sample rate
+function kWeightingCoefficients(sampleRate) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    const Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+        b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+        a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    };
+
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    const Qh = 0.5003270373238773;
+    a0 = 1 + K / Qh + K * K;
+    const highpass = {
+        b: [1, -2, 1],
+        a: [2 * (K * K - 1) / a0, (1 - K / Qh + K * K) / a0]
+    };
+    return [shelf, highpass];
+}
+
+function toLoudness(meanSquare) {
+    return meanSquare > 0 ? -0.691 + 10 * Math.log10(meanSquare) : -Infinity;
+}
+
+// Sum of squared K-weighted samples per 100 ms segment, added up over all channels
+function segmentEnergies(buffer) {
+    const segmentLength = Math.max(1, Math.round(buffer.sampleRate * SEGMENT_SECONDS));
+    const segmentCount = Math.ceil(buffer.length / segmentLength);
+    const energies = new Float64Array(segmentCount);
+    const filters = kWeightingCoefficients(buffer.sampleRate);
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel);
+        // Direct form I state per filter stage
+        const state = filters.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+
+        for (let i = 0; i < data.length; i++) {
+            let sample = data[i];
+            for (let f = 0; f < filters.length; f++) {
+                const { b, a } = filters[f];
+                const s = state[f];
+                const out = b[0] * sample + b[1] * s.x1 + b[2] * s.x2 - a[0] * s.y1 - a[1] * s.y2;
+                s.x2 = s.x1; s.x1 = sample;
+                s.y2 = s.y1; s.y1 = out;
+                sample = out;
+            }
+            energies[Math.floor(i / segmentLength)] += sample * sample;
+        }
+    }
+    return { energies, segmentLength };
+}
+
+// Returns the integrated loudness in LUFS, or -Infinity for silence
+export function measureLoudness(buffer) {
+    if (!buffer || buffer.length === 0) return -Infinity;
+    const { energies, segmentLength } = segmentEnergies(buffer);
+
+    // Mean square of each block; sounds shorter than one block are measured as a whole
+    const blocks = [];
+    const blockCount = Math.max(1, energies.length - SEGMENTS_PER_BLOCK + 1);
+    for (let start = 0; start < blockCount; start++) {
+        const end = Math.min(energies.length, start + SEGMENTS_PER_BLOCK);
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += energies[i];
+        const samples = Math.min(buffer.length - start * segmentLength, (end - start) * segmentLength);
+        blocks.push(sum / samples);
+    }
+
+    const gatedMean = (threshold) => {
+        const kept = blocks.filter(ms => toLoudness(ms) > threshold);
+        return kept.length > 0 ? kept.reduce((a, b) => a + b, 0) / kept.length : 0;
+    };
+
+    const absoluteMean = gatedMean(ABSOLUTE_GATE);
+    if (absoluteMean === 0) return -Infinity;
+    const relativeThreshold = toLoudness(absoluteMean) + RELATIVE_GATE;
+    return toLoudness(gatedMean(Math.max(ABSOLUTE_GATE, relativeThreshold)));
+}
+
+// Linear gain that brings a sound measured at `lufs` to the target level
+export function normalizationGain(lufs, target = TARGET_LUFS) {
+    if (!Number.isFinite(lufs)) return 1;
+    const db = Math.max(-MAX_NORMALIZATION_DB, Math.min(MAX_NORMALIZATION_DB, target - lufs));
+    return Math.pow(10, db / 20);
+}
@@ -0,0 +1,138 @@
+// Speaker layouts and 2D VBAP panning for the multichannel "array" renderer.
+// Speaker positions are in room coordinates (Three.js units, origin at the room centre on the
+// floor, -Z is the front wall); the listening position is the room centre, not the camera.
+// Speakers are used in the order of the output channels of the audio interface.
+
+// Level with the solids hovering above the floor
+const SPEAKER_HEIGHT = 10;
+
+// Azimuths in degrees, counter-clockwise from the front; channel order as Web Audio expects it
+const PRESETS = {
+    quad: {
+        label: 'Quad (4.0)',
+        speakers: [
+            { label: 'FL', azimuth: 45 },
+            { label: 'FR', azimuth: -45 },
+            { label: 'RL', azimuth: 135 },
+            { label: 'RR', azimuth: -135 }
+        ]
+    },
+    octagon: {
+        label: 'Octagon (8.0)',
+        speakers: [0, -45, -90, -135, 180, 135, 90, 45].map((azimuth, i) => ({ label: `${i + 1}`, azimuth }))
+    },
+    '5.1': {
+        label: '5.1',
+        // L, R, C, LFE, SL, SR
+        speakers: [
+            { label: 'L', azimuth: 30 },
+            { label: 'R', azimuth: -30 },
+            { label: 'C', azimuth: 0 },
+            { label: 'LFE', azimuth: 0, lfe: true },
+            { label: 'SL', azimuth: 110 },
+            { label: 'SR', azimuth: -110 }
+        ]
+    }
+};
+
+export const SPEAKER_PRESETS = Object.fromEntries(
+    Object.entries(PRESETS).map(([id, preset]) => [id, preset.label])
+);
+
+export function speakerAzimuth(x, z) {
+    return Math.atan2(-x, -z) * 180 / Math.PI;
+}
+
+// Places the preset's speakers on the walls of the room
+export function createSpeakerLayout(presetId, roomWidth, roomDepth) {
+    const preset = PRESETS[presetId] || PRESETS.quad;
+    const halfW = roomWidth / 2;
+    const halfD = roomDepth / 2;
+
+    const speakers = preset.speakers.map(({ label, azimuth, lfe = false }) => {
+        const rad = azimuth * Math.PI / 180;
+        // Direction vector in Three.js coordinates, scaled until it meets a wall
+        const dx = -Math.sin(rad);
+        const dz = -Math.cos(rad);
+        const scale = Math.min(
+            Math.abs(dx) > 1e-6 ? halfW / Math.abs(dx) : Infinity,
+            Math.abs(dz) > 1e-6 ? halfD / Math.abs(dz) : Infinity
+        );
+        return {
+            label,
+            x: Math.round(dx * scale * 100) / 100,
+            y: SPEAKER_HEIGHT,
+            z: Math.round(dz * scale * 100) / 100,
+            lfe
+        };
+    });
+    return { preset: PRESETS[presetId] ? presetId : 'quad', speakers };
+}
+
+// Ensures a stored layout is usable; falls back to the quad preset
+export function normalizeSpeakerLayout(layout, roomWidth, roomDepth) {
+    const valid = layout && Array.isArray(layout.speakers) && layout.speakers.length > 0 &&
+        layout.speakers.every(s => [s.x, s.y, s.z].every(Number.isFinite));
+    if (!valid) return createSpeakerLayout('quad', roomWidth, roomDepth);
+    return {
+        preset: layout.preset || 'custom',
+        speakers: layout.speakers.map((s, i) => ({
+            label: String(s.label ?? i + 1),
+            x: s.x,
+            y: s.y,
+            z: s.z,
+            lfe: !!s.lfe
+        }))
+    };
+}
+
+// Pairwise 2D VBAP (Pulkki). Returns one gain per speaker, power-normalized; LFE speakers and
+// speakers past `channelCount` get 0. Elevation is ignored, the array is treated as a ring.
+export function vbapGains(layout, azimuth, channelCount = layout.speakers.length) {
+    const gains = new Array(layout.speakers.length).fill(0);
+    const ring = layout.speakers
+        .map((s, index) => ({ index, azimuth: speakerAzimuth(s.x, s.z), lfe: s.lfe }))
+        .filter(s => !s.lfe && s.index < channelCount)
+        .sort((a, b) => a.azimuth - b.azimuth);
+
+    if (ring.length === 0) return gains;
+    if (ring.length === 1) {
+        gains[ring[0].index] = 1;
+        return gains;
+    }
+
+    const toRad = Math.PI / 180;
+    const p = [Math.cos(azimuth * toRad), Math.sin(azimuth * toRad)];
+    let best = null;
+
+    for (let i = 0; i < ring.length; i++) {
+        const a = ring[i];
+        const b = ring[(i + 1) % ring.length];
+        const la = [Math.cos(a.azimuth * toRad), Math.sin(a.azimuth * toRad)];
+        const lb = [Math.cos(b.azimuth * toRad), Math.sin(b.azimuth * toRad)];
+        const det = la[0] * lb[1] - la[1] * lb[0];
+        if (Math.abs(det) < 1e-9) continue;
+
+        // g = p * L^-1, with L the matrix of the two speaker direction vectors
+        const ga = (p[0] * lb[1] - p[1] * lb[0]) / det;
+        const gb = (la[0] * p[1] - la[1] * p[0]) / det;
+        // The active pair is the one with both gains positive; keep the least negative otherwise
+        const score = Math.min(ga, gb);
+        if (!best || score > best.score) best = { score, a: a.index, b: b.index, ga, gb };
+        if (score >= -1e-9) break;
+    }
+
+    const ga = best ? Math.max(0, best.ga) : 0;
+    const gb = best ? Math.max(0, best.gb) : 0;
+    if (ga + gb < 1e-6) {
+        // Outside every pair (a gap wider than 180°): the nearest speaker takes it
+        const gap = (s) => Math.abs(((azimuth - s.azimuth) % 360 + 540) % 360 - 180);
+        const nearest = ring.reduce((a, b) => (gap(b) < gap(a) ? b : a));
+        gains[nearest.index] = 1;
+        return gains;
+    }
+    const norm = Math.hypot(ga, gb);
+    gains[best.a] = ga / norm;
+    gains[best.b] = gb / norm;
+    return gains;
+}
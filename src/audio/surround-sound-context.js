@@ -1,12 +1,82 @@
+import { ResonanceAudio } from 'resonance-audio';
+import { monoEncoder, binDecoder } from 'ambisonics';
+import { HRTF_ORDER, loadHrtfFilters } from './hrtf.js';
+import { createSpeakerLayout, normalizeSpeakerLayout, vbapGains, speakerAzimuth } from './speakerArray.js';
+
+// Spatial renderers, switchable at runtime with setRenderer():
+//   panner - Web Audio PannerNode with HRTF
+//   foa / toa - first / third order ambisonics with binaural decode (resonance-audio, decoded with omnitone)
+//   room - third order ambisonics plus early reflections and reverb of the roomWidth x roomHeight x roomDepth room
+//   sofa - third order ambisonics decoded with a custom HRTF loaded by setHrtf() (see hrtf.js)
+//   array - multichannel output for speaker installations, VBAP over the speakers of setSpeakerLayout()
+//           (see speakerArray.js), heard from the centre of the room rather than from the camera
+export const SPATIAL_RENDERERS = Object.freeze({
+  PANNER: 'panner',
+  FOA: 'foa',
+  TOA: 'toa',
+  ROOM: 'room',
+  SOFA: 'sofa',
+  ARRAY: 'array'
+});
+const RENDERER_NAMES = Object.values(SPATIAL_RENDERERS);
+
+// Surfaces of the room model (resonance-audio material names)
+const ROOM_MATERIALS = {
+  left: 'plaster-smooth',
+  right: 'plaster-smooth',
+  front: 'plaster-smooth',
+  back: 'plaster-smooth',
+  down: 'parquet-on-concrete',
+  up: 'acoustic-ceiling-tiles'
+};
+
+// resonance-audio has no way to remove a source from its scene, and a source left wired in keeps
+// its ambisonic encoder and room sends running. Unwire its nodes (resonance-audio 1.0.0 internals,
+// see resonance-audio/src/source.js; the version is pinned in package.json) and drop it from the
+// sources the scene updates on listener moves.
+function releaseResonanceSource(source) {
+  if (!source.input || !source._encoder || !Array.isArray(source._scene?._sources)) {
+    console.warn('⚠️ resonance-audio internals differ from 1.0.0, a removed source may keep running');
+  }
+  [
+    source.input,
+    source._toLate,
+    source._toEarly,
+    source._attenuation?.output,
+    source._directivity?.output,
+    source._encoder?.output
+  ].forEach(node => node?.disconnect());
+  const sources = source._scene?._sources;
+  const index = sources ? sources.indexOf(source) : -1;
+  if (index !== -1) sources.splice(index, 1);
+}
+
 export class SurroundContext {
-  constructor(w, roomWidth, roomHeight, roomDepth) {
-    this.actx = new (w.AudioContext || w.webkitAudioContext)();
+  // Options for offline rendering (see SceneRenderer.js):
+  //   context - render into this (Offline)AudioContext instead of creating one
+  //   ambisonicOutput - ambisonic scenes output first-order B-format (4 channels, ACN/SN3D) instead of binaural
+  //   dynamics - false leaves out the compressor / limiter
+  constructor(w, roomWidth, roomHeight, roomDepth, { context = null, ambisonicOutput = false, dynamics = true } = {}) {
+    this.actx = context || new (w.AudioContext || w.webkitAudioContext)();
+    this.ambisonicOutput = ambisonicOutput;
+    this.useDynamics = dynamics;
     
     // Store room dimensions (Three.js: X=width, Y=height, Z=depth)
     this.roomWidth = roomWidth;
     this.roomHeight = roomHeight;
     this.roomDepth = roomDepth;
     this.longestSide = Math.max(roomWidth, roomHeight, roomDepth);
+
+    // Active spatial renderer; ambisonic scenes are created the first time they are selected
+    this.renderer = SPATIAL_RENDERERS.PANNER;
+    this._scenes = {};
+    this._sources = new Set();
+    this._listenerPose = { position: [0, 0, 0], forward: [0, 0, -1], up: [0, 1, 0] };
+    // Binaural decoder of the custom HRTF: { decoder, name }, null until setHrtf() succeeds
+    this._hrtf = null;
+    // Speakers of the array renderer and how many output channels it currently drives
+    this.speakerLayout = createSpeakerLayout('quad', roomWidth, roomDepth);
+    this.outputChannels = 2;
     
     // Create listener (represents the user's ears)
     this.listener = this.actx.listener;
@@ -33,6 +103,23 @@ export class SurroundContext {
     } else {
       this.listener.setOrientation(0, 0, -1, 0, 1, 0);
     }
+
+    // Master bus: sources -> masterGain -> compressor -> limiter -> outputGain -> destination.
+    // The compressor evens out overlapping sounds, the limiter keeps the sum from clipping.
+    this.masterGain = this.actx.createGain();
+    this.outputGain = this.actx.createGain();
+    // One compressor / limiter pair per channel group, see _routeMasterBus()
+    this._dynamics = [];
+    this._busSplitter = null;
+    this._busMerger = null;
+    this._routeMasterBus(ambisonicOutput ? 4 : 2);
+    this.outputGain.connect(this.actx.destination);
+
+    // Tap after the limiter: what is actually heard, for the visuals and the output meter
+    this.masterAnalyser = this.actx.createAnalyser();
+    this.masterAnalyser.fftSize = 1024;
+    this.masterAnalyser.smoothingTimeConstant = 0.6;
+    this.outputGain.connect(this.masterAnalyser);
     
     console.log(`🎧 Web Audio 3D Spatialization initialized`);
     console.log(`   Room: ${roomWidth} x ${roomHeight} x ${roomDepth}`);
@@ -40,10 +127,321 @@ export class SurroundContext {
   }
   
   createSource(x = 0, y = 0, z = 0, spatial = true) {
-    return new SpatialSource(this.actx, x, y, z, this.longestSide, spatial);
+    const source = new SpatialSource(this, x, y, z, this.longestSide, spatial);
+    this._sources.add(source);
+    return source;
+  }
+
+  _createDynamics() {
+    const now = this.actx.currentTime;
+    const compressor = this.actx.createDynamicsCompressor();
+    compressor.threshold.setValueAtTime(-18, now);
+    compressor.knee.setValueAtTime(12, now);
+    compressor.ratio.setValueAtTime(3, now);
+    compressor.attack.setValueAtTime(0.01, now);
+    compressor.release.setValueAtTime(0.25, now);
+
+    const limiter = this.actx.createDynamicsCompressor();
+    limiter.threshold.setValueAtTime(-1, now);
+    limiter.knee.setValueAtTime(0, now);
+    limiter.ratio.setValueAtTime(20, now);
+    limiter.attack.setValueAtTime(0.001, now);
+    limiter.release.setValueAtTime(0.1, now);
+
+    compressor.connect(limiter);
+    return { compressor, limiter };
+  }
+
+  // DynamicsCompressorNode handles at most two channels, so with more output channels the bus
+  // is split and every channel gets its own compressor / limiter pair
+  _routeMasterBus(channels) {
+    this.masterGain.disconnect();
+    this._dynamics.forEach(({ compressor, limiter }) => {
+      compressor.disconnect();
+      limiter.disconnect();
+    });
+    if (this._busSplitter) this._busSplitter.disconnect();
+    if (this._busMerger) this._busMerger.disconnect();
+    this._dynamics = [];
+    this._busSplitter = null;
+    this._busMerger = null;
+
+    const multichannel = channels > 2;
+    [this.masterGain, this.outputGain].forEach(node => {
+      node.channelCount = multichannel ? channels : 2;
+      node.channelCountMode = multichannel ? 'explicit' : 'max';
+      node.channelInterpretation = multichannel ? 'discrete' : 'speakers';
+    });
+    const destination = this.actx.destination;
+    destination.channelCount = multichannel ? channels : 2;
+    destination.channelCountMode = 'explicit';
+    destination.channelInterpretation = multichannel ? 'discrete' : 'speakers';
+
+    if (!this.useDynamics) {
+      this.masterGain.connect(this.outputGain);
+    } else if (!multichannel) {
+      const pair = this._createDynamics();
+      this.masterGain.connect(pair.compressor);
+      pair.limiter.connect(this.outputGain);
+      this._dynamics.push(pair);
+    } else {
+      this._busSplitter = this.actx.createChannelSplitter(channels);
+      this._busMerger = this.actx.createChannelMerger(channels);
+      this.masterGain.connect(this._busSplitter);
+      for (let channel = 0; channel < channels; channel++) {
+        const pair = this._createDynamics();
+        this._busSplitter.connect(pair.compressor, channel);
+        pair.limiter.connect(this._busMerger, 0, channel);
+        this._dynamics.push(pair);
+      }
+      this._busMerger.connect(this.outputGain);
+    }
+    this.outputChannels = multichannel ? channels : 2;
+  }
+
+  // Channels the array renderer drives: one per speaker, as far as the audio device allows
+  _arrayChannelCount() {
+    const available = this.actx.destination.maxChannelCount || 2;
+    return Math.max(1, Math.min(available, this.speakerLayout.speakers.length));
+  }
+
+  // Moves every live spatial source to another renderer; playback continues uninterrupted
+  setRenderer(renderer) {
+    if (!RENDERER_NAMES.includes(renderer)) {
+      console.warn(`⚠️ Unknown spatial renderer "${renderer}"`);
+      return false;
+    }
+    if (renderer === SPATIAL_RENDERERS.SOFA && !this._hrtf) {
+      console.warn('⚠️ Load an HRTF before selecting the sofa renderer');
+      return false;
+    }
+    if (renderer === this.renderer) return true;
+
+    const wasArray = this.renderer === SPATIAL_RENDERERS.ARRAY;
+    this.renderer = renderer;
+    if (renderer === SPATIAL_RENDERERS.ARRAY) {
+      this._routeMasterBus(this._arrayChannelCount());
+    } else if (wasArray) {
+      this._routeMasterBus(this.ambisonicOutput ? 4 : 2);
+    }
+    for (const source of this._sources) {
+      if (source.isSpatial) source._connectRenderer(renderer);
+    }
+    console.log(`🎧 Spatial renderer: ${renderer}`);
+    return true;
+  }
+
+  // Replaces the speakers of the array renderer (positions in room coordinates, see speakerArray.js)
+  setSpeakerLayout(layout) {
+    this.speakerLayout = normalizeSpeakerLayout(layout, this.roomWidth, this.roomDepth);
+    if (this.renderer === SPATIAL_RENDERERS.ARRAY) {
+      const channels = this._arrayChannelCount();
+      if (channels !== this.outputChannels) this._routeMasterBus(channels);
+      for (const source of this._sources) {
+        if (source.isSpatial) source._connectRenderer(SPATIAL_RENDERERS.ARRAY);
+      }
+    }
+    console.log(`🔈 Speaker layout: ${this.speakerLayout.preset}, ${this.speakerLayout.speakers.length} speakers`);
+    return this.speakerLayout;
+  }
+
+  getSpeakerLayout() {
+    return this.speakerLayout;
+  }
+
+  // Output channels of the audio device (what the array renderer can drive at most)
+  getMaxOutputChannels() {
+    return this.actx.destination.maxChannelCount || 2;
+  }
+
+  // Per-channel VBAP gains for a point of the scene; the array is heard from the room centre
+  getSpeakerGains(x, z) {
+    const channels = this._arrayChannelCount();
+    return vbapGains(this.speakerLayout, speakerAzimuth(x, z), channels).slice(0, channels);
+  }
+
+  // Speaker test: a burst of pink noise on one output channel only. Needs the array renderer,
+  // otherwise the output has just two (speaker-interpreted) channels. Resolves when it ends.
+  testSpeaker(index, duration = 1.5) {
+    if (this.renderer !== SPATIAL_RENDERERS.ARRAY || index < 0 || index >= this.outputChannels) {
+      return Promise.resolve(false);
+    }
+    const length = Math.round(this.actx.sampleRate * duration);
+    const buffer = this.actx.createBuffer(1, length, this.actx.sampleRate);
+    const data = buffer.getChannelData(0);
+    // Paul Kellet's economy pink noise filter
+    let b0 = 0, b1 = 0, b2 = 0;
+    for (let i = 0; i < length; i++) {
+      const white = Math.random() * 2 - 1;
+      b0 = 0.99765 * b0 + white * 0.0990460;
+      b1 = 0.96300 * b1 + white * 0.2965164;
+      b2 = 0.57000 * b2 + white * 1.0526913;
+      data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.05;
+    }
+
+    const now = this.actx.currentTime;
+    const noise = this.actx.createBufferSource();
+    noise.buffer = buffer;
+    const envelope = this.actx.createGain();
+    envelope.gain.setValueAtTime(0, now);
+    envelope.gain.linearRampToValueAtTime(1, now + 0.05);
+    envelope.gain.setValueAtTime(1, now + duration - 0.05);
+    envelope.gain.linearRampToValueAtTime(0, now + duration);
+    const merger = this.actx.createChannelMerger(this.outputChannels);
+
+    noise.connect(envelope);
+    envelope.connect(merger, 0, index);
+    merger.connect(this.masterGain);
+
+    return new Promise(resolve => {
+      noise.onended = () => {
+        merger.disconnect();
+        envelope.disconnect();
+        resolve(true);
+      };
+      noise.start(now);
+      noise.stop(now + duration);
+    });
+  }
+
+  getRenderer() {
+    return this.renderer;
+  }
+
+  // Loads a SOFA HRTF (URL, or blob URL of a dropped file) and, unless activate is false,
+  // renders every spatial source with it. The previous HRTF stays active if loading fails.
+  async setHrtf(url, name = url, { activate = true } = {}) {
+    const filters = await loadHrtfFilters(this.actx, url, HRTF_ORDER);
+    return this.setHrtfFilters(filters, name, { activate });
+  }
+
+  // Decoding filters as loaded by setHrtf(); an offline render reuses those of the live context
+  setHrtfFilters(filters, name, { activate = true } = {}) {
+    if (!this._hrtf) {
+      const decoder = new binDecoder(this.actx, HRTF_ORDER);
+      decoder.out.connect(this.masterGain);
+      this._hrtf = { decoder, name, filters };
+    }
+    this._hrtf.decoder.updateFilters(filters);
+    this._hrtf.name = name;
+    this._hrtf.filters = filters;
+    console.log(`🎧 HRTF loaded: ${name}`);
+
+    if (activate) this.setRenderer(SPATIAL_RENDERERS.SOFA);
+    return true;
+  }
+
+  getHrtfName() {
+    return this._hrtf?.name || null;
+  }
+
+  getHrtfFilters() {
+    return this._hrtf?.filters || null;
+  }
+
+  // Direction of a point as seen by the listener, in ambisonic convention (degrees,
+  // azimuth counter-clockwise from the front, elevation up) plus its distance
+  getListenerRelativeDirection(x, y, z) {
+    const { position, forward, up } = this._listenerPose;
+    const rel = [x - position[0], y - position[1], z - position[2]];
+    const right = [
+      forward[1] * up[2] - forward[2] * up[1],
+      forward[2] * up[0] - forward[0] * up[2],
+      forward[0] * up[1] - forward[1] * up[0]
+    ];
+    const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    const front = dot(rel, forward);
+    const side = dot(rel, right);
+    const height = dot(rel, up);
+
+    return {
+      azimuth: Math.atan2(-side, front) * 180 / Math.PI,
+      elevation: Math.atan2(height, Math.hypot(front, side)) * 180 / Math.PI,
+      distance: Math.hypot(rel[0], rel[1], rel[2])
+    };
+  }
+
+  getListenerPose() {
+    const { position, forward, up } = this._listenerPose;
+    return { position: [...position], forward: [...forward], up: [...up] };
+  }
+
+  _updateHrtfSources() {
+    if (this.renderer !== SPATIAL_RENDERERS.SOFA) return;
+    for (const source of this._sources) source._updateEncoder();
+  }
+
+  getResonanceScene(renderer) {
+    if (!this._scenes[renderer]) {
+      const isRoom = renderer === SPATIAL_RENDERERS.ROOM;
+      const scene = new ResonanceAudio(this.actx, {
+        ambisonicOrder: renderer === SPATIAL_RENDERERS.FOA ? 1 : 3,
+        // Without dimensions resonance-audio renders free field (no reflections)
+        dimensions: isRoom ? { width: this.roomWidth, height: this.roomHeight, depth: this.roomDepth } : undefined,
+        materials: isRoom ? { ...ROOM_MATERIALS } : undefined
+      });
+      (this.ambisonicOutput ? scene.ambisonicOutput : scene.output).connect(this.masterGain);
+      this._scenes[renderer] = scene;
+      this._applyListenerPose(renderer);
+      console.log(`🎧 Created ${renderer} ambisonic scene`);
+    }
+    return this._scenes[renderer];
+  }
+
+  // resonance-audio loads its binaural decoder (omnitone) asynchronously and wires it in once the
+  // HRIRs are decoded, without exposing a promise. Resolves when every ambisonic scene created so
+  // far has it (the ready flag of the omnitone bundled with resonance-audio 1.0.0, then the
+  // listener's connect that follows it). Rejects when the flag is not there to read.
+  async whenScenesReady(timeoutMs = 10000) {
+    const started = performance.now();
+    const ready = () => Object.values(this._scenes).every(scene => {
+      const flag = scene._listener?._renderer?._isRendererReady;
+      if (typeof flag !== 'boolean') {
+        throw new Error('Cannot tell when the ambisonic decoder is ready (resonance-audio internals differ from 1.0.0)');
+      }
+      return flag;
+    });
+    while (!ready()) {
+      if (performance.now() - started > timeoutMs) throw new Error('The ambisonic decoder did not load');
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  // The room model is centred on the origin, the Three.js scene stands on its floor (y = 0)
+  toSceneSpace(renderer, x, y, z) {
+    return renderer === SPATIAL_RENDERERS.ROOM ? [x, y - this.roomHeight / 2, z] : [x, y, z];
+  }
+
+  _applyListenerPose(renderer) {
+    const scene = this._scenes[renderer];
+    if (!scene) return;
+    const { position, forward, up } = this._listenerPose;
+    scene.setListenerPosition(...this.toSceneSpace(renderer, ...position));
+    scene.setListenerOrientation(...forward, ...up);
+  }
+  
+  // Current gain reduction of compressor + limiter in dB (positive number);
+  // with one pair per channel, the channel that is reduced most
+  getGainReduction() {
+    const read = (node) => {
+      const r = node.reduction;
+      return typeof r === 'number' ? r : (r?.value ?? 0);
+    };
+    return this._dynamics.reduce((max, { compressor, limiter }) => {
+      return Math.max(max, Math.abs(read(compressor)) + Math.abs(read(limiter)));
+    }, 0);
+  }
+
+  setOutputGain(value) {
+    this.outputGain.gain.setValueAtTime(value, this.actx.currentTime);
   }
   
   setListenerPosition(x, y, z) {
+    this._listenerPose.position = [x, y, z];
+    if (this._scenes[this.renderer]) this._applyListenerPose(this.renderer);
+    this._updateHrtfSources();
+
     if (this.listener.positionX) {
       this.listener.positionX.setValueAtTime(x, this.actx.currentTime);
       this.listener.positionY.setValueAtTime(y, this.actx.currentTime);
@@ -54,6 +452,11 @@ export class SurroundContext {
   }
   
   setListenerOrientation(forwardX, forwardY, forwardZ, upX, upY, upZ) {
+    this._listenerPose.forward = [forwardX, forwardY, forwardZ];
+    this._listenerPose.up = [upX, upY, upZ];
+    if (this._scenes[this.renderer]) this._applyListenerPose(this.renderer);
+    this._updateHrtfSources();
+
     if (this.listener.forwardX) {
       this.listener.forwardX.setValueAtTime(forwardX, this.actx.currentTime);
       this.listener.forwardY.setValueAtTime(forwardY, this.actx.currentTime);
@@ -72,46 +475,54 @@ export class SurroundContext {
 }
 
 class SpatialSource {
-  constructor(audioContext, x, y, z, longestSide, spatial = true) {
-    this.ctx = audioContext;
+  constructor(bus, x, y, z, longestSide, spatial = true) {
+    this.bus = bus;
+    this.ctx = bus.actx;
     this.longestSide = longestSide;
     this.isSpatial = spatial;
     
-    // Create audio nodes
+    // Create audio nodes: normalizationNode (loudness, set once per buffer) -> gainNode (volume, fades)
+    this.normalizationNode = this.ctx.createGain();
     this.gainNode = this.ctx.createGain();
-    
-    if (spatial) {
-      // Create panner for 3D spatialization
-      this.pannerNode = this.ctx.createPanner();
-      
-      // Configure panner for 3D spatialization - natural settings
-      this.pannerNode.panningModel = 'HRTF';
-      this.pannerNode.distanceModel = 'linear';
-      this.pannerNode.refDistance = 1;
-      this.pannerNode.maxDistance = longestSide * 2;
-      this.pannerNode.rolloffFactor = 3;
-      this.pannerNode.coneInnerAngle = 360;
-      this.pannerNode.coneOuterAngle = 360;
-      this.pannerNode.coneOuterGain = 0;
-      
-      // Connect: gain -> panner -> destination
-      this.gainNode.connect(this.pannerNode);
-      this.pannerNode.connect(this.ctx.destination);
-    } else {
-      // Non-spatial: just connect gain directly to destination (stereo)
-      this.gainNode.connect(this.ctx.destination);
-      this.pannerNode = null;
-    }
+    this.normalizationNode.connect(this.gainNode);
+
+    // Per-source tap after the gain (follows fades, not distance) for the visuals
+    this.analyserNode = this.ctx.createAnalyser();
+    this.analyserNode.fftSize = 256;
+    this.analyserNode.smoothingTimeConstant = 0.6;
+    this.gainNode.connect(this.analyserNode);
     
     // Natural gain (no boost)
     this.gainNode.gain.setValueAtTime(1.0, this.ctx.currentTime);
+
+    // Distance settings - natural settings, kept here so they survive a renderer switch
+    this.distanceModel = 'linear';
+    this.refDistance = 1;
+    this.maxDistance = longestSide * 2;
+    this.rolloffFactor = 3;
     
     // Position (Three.js coordinates) - only used for spatial sources
     this.x = x;
     this.y = y;
     this.z = z;
+
+    // Spatializer of the active renderer: a PannerNode, a resonance-audio source,
+    // (sofa) a distance gain feeding an ambisonic encoder, or (array) a distance gain
+    // feeding one gain per speaker into a channel merger
+    this.renderer = null;
+    this.pannerNode = null;
+    this.resonanceSource = null;
+    this.distanceNode = null;
+    this.encoder = null;
+    this.speakerGains = null;
+    this.speakerMerger = null;
+    
     if (spatial) {
-      this.setPosition(x, y, z);
+      // Connect: gain -> spatializer -> master
+      this._connectRenderer(bus.renderer);
+    } else {
+      // Non-spatial: just connect gain directly to master (stereo)
+      this.gainNode.connect(bus.masterGain);
     }
     
     // Playback state
@@ -123,20 +534,153 @@ class SpatialSource {
     this.isFadingOut = false;
     this.fadeOutTimer = null;
     
-    const mode = spatial ? 'spatial 3D' : 'stereo';
+    const mode = spatial ? `spatial 3D, ${this.renderer}` : 'stereo';
     console.log(`🔊 SpatialSource created in ${mode} mode`);
   }
+
+  _connectRenderer(renderer) {
+    this._disconnectRenderer();
+    this.renderer = renderer;
+
+    if (renderer === SPATIAL_RENDERERS.PANNER) {
+      // Create panner for 3D spatialization
+      this.pannerNode = this.ctx.createPanner();
+      this.pannerNode.panningModel = 'HRTF';
+      this.pannerNode.distanceModel = this.distanceModel;
+      this.pannerNode.refDistance = this.refDistance;
+      this.pannerNode.maxDistance = this.maxDistance;
+      this.pannerNode.rolloffFactor = this.rolloffFactor;
+      this.pannerNode.coneInnerAngle = 360;
+      this.pannerNode.coneOuterAngle = 360;
+      this.pannerNode.coneOuterGain = 0;
+
+      this.gainNode.connect(this.pannerNode);
+      this.pannerNode.connect(this.bus.masterGain);
+    } else if (renderer === SPATIAL_RENDERERS.SOFA) {
+      this.distanceNode = this.ctx.createGain();
+      this.encoder = new monoEncoder(this.ctx, HRTF_ORDER);
+      this.gainNode.connect(this.distanceNode);
+      this.distanceNode.connect(this.encoder.in);
+      this.encoder.out.connect(this.bus._hrtf.decoder.in);
+    } else if (renderer === SPATIAL_RENDERERS.ARRAY) {
+      const channels = this.bus.outputChannels;
+      this.distanceNode = this.ctx.createGain();
+      this.speakerMerger = this.ctx.createChannelMerger(channels);
+      this.speakerGains = [];
+      for (let channel = 0; channel < channels; channel++) {
+        const gain = this.ctx.createGain();
+        gain.gain.value = 0;
+        this.distanceNode.connect(gain);
+        gain.connect(this.speakerMerger, 0, channel);
+        this.speakerGains.push(gain);
+      }
+      this.gainNode.connect(this.distanceNode);
+      this.speakerMerger.connect(this.bus.masterGain);
+    } else {
+      this.resonanceSource = this.bus.getResonanceScene(renderer).createSource();
+      this._applyResonanceDistance();
+      this.gainNode.connect(this.resonanceSource.input);
+    }
+
+    this.setPosition(this.x, this.y, this.z);
+  }
+
+  // Sofa renderer: direction into the encoder, distance attenuation as a PannerNode would apply it
+  _updateEncoder() {
+    if (!this.encoder) return;
+    const { azimuth, elevation, distance } = this.bus.getListenerRelativeDirection(this.x, this.y, this.z);
+    this.encoder.azim = azimuth;
+    this.encoder.elev = elevation;
+    this.encoder.updateGains();
+    this.distanceNode.gain.setValueAtTime(this._distanceGain(distance), this.ctx.currentTime);
+  }
+
+  // Array renderer: VBAP gains for the direction from the room centre, distance
+  // attenuation (in the horizontal plane the array covers) as for the other renderers
+  _updateSpeakerGains() {
+    if (!this.speakerGains) return;
+    const now = this.ctx.currentTime;
+    const gains = this.bus.getSpeakerGains(this.x, this.z);
+    this.speakerGains.forEach((node, channel) => {
+      node.gain.setTargetAtTime(gains[channel] || 0, now, 0.02);
+    });
+    this.distanceNode.gain.setValueAtTime(this._distanceGain(Math.hypot(this.x, this.z)), now);
+  }
+
+  _distanceGain(distance) {
+    const ref = this.refDistance;
+    const d = Math.max(distance, ref);
+    if (this.distanceModel === 'linear') {
+      const max = Math.max(this.maxDistance, ref + 1e-6);
+      return Math.max(0, 1 - this.rolloffFactor * (Math.min(d, max) - ref) / (max - ref));
+    }
+    if (this.distanceModel === 'exponential') {
+      return Math.pow(d / ref, -this.rolloffFactor);
+    }
+    return ref / (ref + this.rolloffFactor * (d - ref));
+  }
+
+  _disconnectRenderer() {
+    if (this.pannerNode) {
+      this.gainNode.disconnect(this.pannerNode);
+      this.pannerNode.disconnect();
+      this.pannerNode = null;
+    }
+    if (this.resonanceSource) {
+      this.gainNode.disconnect(this.resonanceSource.input);
+      releaseResonanceSource(this.resonanceSource);
+      this.resonanceSource = null;
+    }
+    if (this.encoder) {
+      this.gainNode.disconnect(this.distanceNode);
+      this.distanceNode.disconnect();
+      this.encoder.out.disconnect();
+      this.distanceNode = null;
+      this.encoder = null;
+    }
+    if (this.speakerMerger) {
+      this.gainNode.disconnect(this.distanceNode);
+      this.distanceNode.disconnect();
+      this.speakerGains.forEach(gain => gain.disconnect());
+      this.speakerMerger.disconnect();
+      this.distanceNode = null;
+      this.speakerGains = null;
+      this.speakerMerger = null;
+    }
+  }
+
+  // resonance-audio only knows linear and logarithmic rolloff and has no rolloff factor
+  _applyResonanceDistance() {
+    if (!this.resonanceSource) return;
+    this.resonanceSource.setRolloff(this.distanceModel === 'linear' ? 'linear' : 'logarithmic');
+    this.resonanceSource.setMinDistance(this.refDistance);
+    this.resonanceSource.setMaxDistance(this.maxDistance);
+  }
   
   get input() {
-    return this.gainNode;
+    return this.normalizationNode;
   }
   
   setPosition(x, y, z) {
-    if (!this.isSpatial || !this.pannerNode) return;
+    if (!this.isSpatial) return;
     
     this.x = x;
     this.y = y;
     this.z = z;
+
+    if (this.resonanceSource) {
+      this.resonanceSource.setPosition(...this.bus.toSceneSpace(this.renderer, x, y, z));
+      return;
+    }
+    if (this.encoder) {
+      this._updateEncoder();
+      return;
+    }
+    if (this.speakerGains) {
+      this._updateSpeakerGains();
+      return;
+    }
+    if (!this.pannerNode) return;
     
     // Update panner position using Three.js coordinates
     if (this.pannerNode.positionX) {
@@ -151,7 +695,12 @@ class SpatialSource {
   }
   
   setOrientation(x, y, z) {
-    if (!this.isSpatial || !this.pannerNode) return;
+    if (!this.isSpatial) return;
+    if (this.resonanceSource) {
+      this.resonanceSource.setOrientation(x, y, z, 0, 1, 0);
+      return;
+    }
+    if (!this.pannerNode) return;
     
     // Set the direction the source is pointing (for directional sources)
     if (this.pannerNode.orientationX) {
@@ -168,6 +717,12 @@ class SpatialSource {
     this.audioBuffer = buffer;
   }
   
+  // Linear gain from the loudness measurement of the buffer, see loudness.js
+  setNormalizationGain(value) {
+    if (this.disposed) return;
+    this.normalizationNode.gain.setValueAtTime(value, this.ctx.currentTime);
+  }
+  
   setLoop(loop) {
     this.looping = loop;
     if (this.bufferSource) {
@@ -187,25 +742,40 @@ class SpatialSource {
   
   // Distance model configuration
   setDistanceModel(model) {
-    if (!this.isSpatial || !this.pannerNode) return;
-    this.pannerNode.distanceModel = model;
+    if (!this.isSpatial) return;
+    this.distanceModel = model;
+    if (this.pannerNode) this.pannerNode.distanceModel = model;
+    this._applyResonanceDistance();
+    this._updateEncoder();
+    this._updateSpeakerGains();
   }
   
   setRefDistance(distance) {
-    if (!this.isSpatial || !this.pannerNode) return;
-    this.pannerNode.refDistance = distance;
+    if (!this.isSpatial) return;
+    this.refDistance = distance;
+    if (this.pannerNode) this.pannerNode.refDistance = distance;
+    this._applyResonanceDistance();
+    this._updateEncoder();
+    this._updateSpeakerGains();
     console.log(`🔊 RefDistance set to: ${distance}`);
   }
   
   setMaxDistance(distance) {
-    if (!this.isSpatial || !this.pannerNode) return;
-    this.pannerNode.maxDistance = distance;
+    if (!this.isSpatial) return;
+    this.maxDistance = distance;
+    if (this.pannerNode) this.pannerNode.maxDistance = distance;
+    this._applyResonanceDistance();
+    this._updateEncoder();
+    this._updateSpeakerGains();
     console.log(`🔊 MaxDistance set to: ${distance}`);
   }
   
   setRolloffFactor(factor) {
-    if (!this.isSpatial || !this.pannerNode) return;
-    this.pannerNode.rolloffFactor = factor;
+    if (!this.isSpatial) return;
+    this.rolloffFactor = factor;
+    if (this.pannerNode) this.pannerNode.rolloffFactor = factor;
+    this._updateEncoder();
+    this._updateSpeakerGains();
     console.log(`🔊 Rolloff factor set to: ${factor}`);
   }
   
@@ -236,8 +806,8 @@ class SpatialSource {
     this.bufferSource.buffer = this.audioBuffer;
     this.bufferSource.loop = this.looping;
     
-    // Connect to gain node
-    this.bufferSource.connect(this.gainNode);
+    // Connect through the loudness normalization to the gain node
+    this.bufferSource.connect(this.normalizationNode);
     
     // Handle end
     this.bufferSource.onended = () => {
@@ -258,6 +828,23 @@ class SpatialSource {
     }
   }
   
+  // Scheduled start for offline rendering: fades in from silence at `when` (context time)
+  // and plays to the end of the buffer, or until `until` when looping
+  playAt(when, { gain = 1, fadeIn = 0, loop = false, until = null } = {}) {
+    if (this.disposed || !this.audioBuffer) return null;
+
+    const source = this.ctx.createBufferSource();
+    source.buffer = this.audioBuffer;
+    source.loop = loop;
+    source.connect(this.normalizationNode);
+
+    this.gainNode.gain.setValueAtTime(fadeIn > 0 ? 0 : gain, when);
+    if (fadeIn > 0) this.gainNode.gain.linearRampToValueAtTime(gain, when + fadeIn);
+    source.start(when);
+    if (until !== null) source.stop(until);
+    return source;
+  }
+  
   fadeOut(duration = 500) {
     if (!this.bufferSource || !this.isPlaying || this.isFadingOut) return;
     
@@ -304,10 +891,11 @@ class SpatialSource {
     if (this.disposed) return;
     
     this.stop();
+    this._disconnectRenderer();
+    this.normalizationNode.disconnect();
     this.gainNode.disconnect();
-    if (this.pannerNode) {
-      this.pannerNode.disconnect();
-    }
+    this.analyserNode.disconnect();
+    this.bus._sources.delete(this);
     this.disposed = true;
     this.audioBuffer = null;
     
@@ -0,0 +1,21 @@
+// AudioWorklet processors of the app are inline sources (no extra files to serve); each
+// is added from a Blob URL once per context.
+const moduleLoads = new WeakMap();
+
+export function loadWorkletModule(audioContext, source) {
+    if (!moduleLoads.has(audioContext)) moduleLoads.set(audioContext, new Map());
+    const loads = moduleLoads.get(audioContext);
+    if (!loads.has(source)) {
+        const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+        const load = audioContext.audioWorklet.addModule(url)
+            .finally(() => URL.revokeObjectURL(url));
+        // A failed load may be retried
+        load.catch(() => loads.delete(source));
+        loads.set(source, load);
+    }
+    return loads.get(source);
+}
+
+export function isWorkletSupported(audioContext) {
+    return !!(audioContext?.audioWorklet && window.AudioWorkletNode);
+}
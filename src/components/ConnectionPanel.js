@@ -0,0 +1,345 @@
+import {
+    CONNECTION_STATES,
+    CONNECTION_STATE_EVENT,
+    PROTOCOL_ERROR_EVENT,
+    HANDSHAKE_EVENT,
+    SESSION_EVENT,
+    MOCK_ENDPOINT
+} from './PythonCommunication.js';
+import { PROTOCOL_VERSION } from '../protocol/messages.js';
+
+// Small bottom-left panel showing which evolution server we talk to and its connection state,
+// and letting the user point the app at another one without a reload.
+const STATE_LABELS = {
+    [CONNECTION_STATES.CONNECTING]: 'Connecting',
+    [CONNECTION_STATES.CONNECTED]: 'Connected',
+    [CONNECTION_STATES.RECONNECTING]: 'Reconnecting',
+    [CONNECTION_STATES.FAILED]: 'Connection failed',
+    [CONNECTION_STATES.OFFLINE]: 'Offline',
+    [CONNECTION_STATES.UNCONFIGURED]: 'No server set'
+};
+
+const REPLAY_SPEEDS = [
+    { label: '1×', value: 1 },
+    { label: '4×', value: 4 },
+    { label: '16×', value: 16 },
+    { label: 'Instant', value: Infinity }
+];
+
+const SOURCE_LABELS = {
+    query: 'from URL (?server=)',
+    settings: 'saved',
+    session: 'this session',
+    default: 'build default',
+    none: 'not set'
+};
+
+export class ConnectionPanel {
+    constructor(pythonComm) {
+        this.pythonComm = pythonComm;
+        this.container = null;
+        this.isOpen = false;
+        this.elements = {};
+        this._countdownInterval = null;
+
+        this.createPanel();
+
+        this._onStateChange = () => this.render();
+        window.addEventListener(CONNECTION_STATE_EVENT, this._onStateChange);
+        window.addEventListener(HANDSHAKE_EVENT, this._onStateChange);
+        window.addEventListener(SESSION_EVENT, this._onStateChange);
+
+        // Protocol errors name the offending field, show them where people look for connection issues
+        this._onProtocolError = (event) => {
+            this.showMessage(event.detail?.message || 'Protocol error', true);
+            this.container.classList.add('has-protocol-error');
+            this.render();
+        };
+        window.addEventListener(PROTOCOL_ERROR_EVENT, this._onProtocolError);
+
+        this.render();
+        // Nothing to connect to yet: ask for a server right away
+        if (this.pythonComm.connectionStatus === CONNECTION_STATES.UNCONFIGURED) this.toggle(true);
+    }
+
+    createPanel() {
+        this.container = document.createElement('div');
+        this.container.className = 'connection-panel';
+
+        // Collapsed chip: always visible, toggles the form
+        const chip = document.createElement('button');
+        chip.className = 'connection-chip';
+        chip.title = 'Evolution server';
+        chip.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggle();
+        });
+
+        const dot = document.createElement('span');
+        dot.className = 'connection-dot';
+        const chipLabel = document.createElement('span');
+        chipLabel.className = 'connection-chip-label';
+        chip.append(dot, chipLabel);
+
+        // Expanded body
+        const body = document.createElement('div');
+        body.className = 'connection-body';
+
+        const title = document.createElement('h4');
+        title.textContent = 'Evolution server';
+
+        const status = document.createElement('div');
+        status.className = 'connection-status';
+
+        const retryBtn = document.createElement('button');
+        retryBtn.type = 'button';
+        retryBtn.className = 'connection-btn retry';
+        retryBtn.textContent = 'Retry now';
+        retryBtn.addEventListener('click', () => {
+            this.pythonComm.retryNow();
+            this.showMessage('');
+        });
+
+        const active = document.createElement('div');
+        active.className = 'connection-active';
+
+        const protocol = document.createElement('div');
+        protocol.className = 'connection-active connection-protocol';
+
+        const form = document.createElement('form');
+        form.className = 'connection-form';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'connection-input';
+        input.placeholder = 'ws://localhost:8765';
+        input.spellcheck = false;
+
+        const buttons = document.createElement('div');
+        buttons.className = 'connection-buttons';
+
+        const connectBtn = document.createElement('button');
+        connectBtn.type = 'submit';
+        connectBtn.className = 'connection-btn primary';
+        connectBtn.textContent = 'Connect';
+
+        const resetBtn = document.createElement('button');
+        resetBtn.type = 'button';
+        resetBtn.className = 'connection-btn';
+        resetBtn.textContent = 'Use default';
+        resetBtn.addEventListener('click', () => this.handleReset());
+
+        const mockBtn = document.createElement('button');
+        mockBtn.type = 'button';
+        mockBtn.className = 'connection-btn';
+        mockBtn.textContent = 'Offline mock';
+        mockBtn.title = 'Use the in-browser mock evolution engine';
+        mockBtn.addEventListener('click', () => {
+            this.elements.input.value = MOCK_ENDPOINT;
+            this.handleConnect();
+        });
+
+        buttons.append(connectBtn, resetBtn, mockBtn);
+        form.append(input, buttons);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleConnect();
+        });
+
+        const message = document.createElement('div');
+        message.className = 'connection-message';
+
+        const session = this.createSessionControls();
+
+        body.append(title, status, retryBtn, active, protocol, form, message, session);
+        this.container.append(chip, body);
+
+        // Keep clicks inside the panel from reaching the scene click handlers
+        this.container.addEventListener('pointerdown', (e) => e.stopPropagation());
+        this.container.addEventListener('click', (e) => e.stopPropagation());
+
+        document.body.appendChild(this.container);
+
+        this.elements = { ...this.elements, chip, dot, chipLabel, status, retryBtn, active, protocol, input, message };
+    }
+
+    // Record the live session to a file, or replay a recorded one without the backend
+    createSessionControls() {
+        const section = document.createElement('div');
+        section.className = 'connection-session';
+
+        const heading = document.createElement('h4');
+        heading.textContent = 'Session';
+
+        const sessionStatus = document.createElement('div');
+        sessionStatus.className = 'connection-active';
+
+        const row = document.createElement('div');
+        row.className = 'connection-buttons';
+
+        const recordBtn = document.createElement('button');
+        recordBtn.type = 'button';
+        recordBtn.className = 'connection-btn';
+        recordBtn.addEventListener('click', () => {
+            if (this.pythonComm.getSessionState().recording) {
+                this.pythonComm.stopRecording({ download: true });
+            } else {
+                this.pythonComm.startRecording();
+            }
+        });
+
+        const speedSelect = document.createElement('select');
+        speedSelect.className = 'connection-select';
+        REPLAY_SPEEDS.forEach(({ label, value }) => {
+            const option = document.createElement('option');
+            option.value = String(value);
+            option.textContent = label;
+            speedSelect.appendChild(option);
+        });
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                const text = await file.text();
+                this.pythonComm.replaySession(text, { speed: Number(speedSelect.value) });
+                this.showMessage(`Replaying ${file.name}`);
+            } catch (err) {
+                this.showMessage(err.message, true);
+            }
+        });
+
+        const replayBtn = document.createElement('button');
+        replayBtn.type = 'button';
+        replayBtn.className = 'connection-btn';
+        replayBtn.addEventListener('click', () => {
+            if (this.pythonComm.isReplaying()) {
+                this.pythonComm.stopReplay();
+            } else {
+                fileInput.click();
+            }
+        });
+
+        row.append(recordBtn, replayBtn, speedSelect);
+        section.append(heading, sessionStatus, row, fileInput);
+
+        this.elements.recordBtn = recordBtn;
+        this.elements.replayBtn = replayBtn;
+        this.elements.sessionStatus = sessionStatus;
+        return section;
+    }
+
+    toggle(force) {
+        this.isOpen = typeof force === 'boolean' ? force : !this.isOpen;
+        this.container.classList.toggle('open', this.isOpen);
+        if (this.isOpen) {
+            this.render();
+            this.elements.input.value = this.pythonComm.getEndpoint().url || '';
+            this.elements.input.focus();
+            this.elements.input.select();
+        }
+    }
+
+    handleConnect() {
+        const value = this.elements.input.value;
+        try {
+            const url = this.pythonComm.setEndpoint(value);
+            this.showMessage(`Connecting to ${url}`);
+            this.render();
+        } catch (err) {
+            this.showMessage(err.message, true);
+        }
+    }
+
+    handleReset() {
+        const url = this.pythonComm.resetEndpoint();
+        this.elements.input.value = url || '';
+        this.showMessage(url ? `Connecting to ${url}` : 'No default server, enter an address or use the offline mock');
+        this.render();
+    }
+
+    showMessage(text, isError = false) {
+        const { message } = this.elements;
+        if (!isError) this.container.classList.remove('has-protocol-error');
+        message.textContent = text;
+        message.classList.toggle('error', isError);
+    }
+
+    describeState() {
+        const { state, attempt, maxRetries, nextRetryAt } = this.pythonComm.getConnectionState();
+        let text = STATE_LABELS[state] || state;
+        if (state === CONNECTION_STATES.RECONNECTING) {
+            const seconds = nextRetryAt ? Math.max(0, Math.ceil((nextRetryAt - Date.now()) / 1000)) : 0;
+            text += seconds > 0 ? ` in ${seconds}s` : '';
+            text += ` (${attempt}/${maxRetries})`;
+        }
+        return { state, text };
+    }
+
+    render() {
+        const { url, source } = this.pythonComm.getEndpoint();
+        let host = url || 'Evolution server';
+        try { host = new URL(url).host; } catch (err) { /* keep raw url */ }
+        if (url?.startsWith('mock:')) host = 'mock engine';
+
+        const { state, text } = this.describeState();
+        Object.values(CONNECTION_STATES).forEach(s => {
+            this.container.classList.toggle(`state-${s}`, s === state);
+        });
+
+        this.elements.chipLabel.textContent = state === CONNECTION_STATES.CONNECTED ? host : `${host} · ${text}`;
+        this.elements.chip.title = `Evolution server: ${text}`;
+        this.elements.status.textContent = text;
+        this.elements.active.textContent = url
+            ? `${url} · ${SOURCE_LABELS[source] || source}`
+            : 'Enter the address of an evolution server';
+
+        const serverInfo = this.pythonComm.serverInfo;
+        this.elements.protocol.textContent = serverInfo
+            ? `Protocol ${PROTOCOL_VERSION} · server ${serverInfo.server} ${serverInfo.protocolVersion} · ${serverInfo.audioTransport || 'inline'} audio`
+            : `Protocol ${PROTOCOL_VERSION} · no handshake yet`;
+
+        const session = this.pythonComm.getSessionState();
+        this.elements.recordBtn.textContent = session.recording ? 'Stop & save' : 'Record';
+        this.elements.recordBtn.classList.toggle('active', session.recording);
+        this.elements.replayBtn.textContent = session.replaying ? 'Stop replay' : 'Replay…';
+        if (session.replaying) {
+            const speed = Number.isFinite(session.replaySpeed) ? `${session.replaySpeed}×` : 'instant';
+            this.elements.sessionStatus.textContent = `Replaying ${session.replayIndex}/${session.replayTotal} (${speed})`;
+        } else if (session.recording) {
+            this.elements.sessionStatus.textContent = `Recording · ${session.recordedMessages} messages`;
+        } else {
+            this.elements.sessionStatus.textContent = 'Not recording';
+        }
+        this.container.classList.toggle('recording', session.recording);
+
+        const canRetry = state === CONNECTION_STATES.RECONNECTING ||
+                         state === CONNECTION_STATES.FAILED ||
+                         state === CONNECTION_STATES.OFFLINE;
+        this.elements.retryBtn.style.display = canRetry ? '' : 'none';
+
+        // Tick the countdown only while a retry is pending
+        if (state === CONNECTION_STATES.RECONNECTING && !this._countdownInterval) {
+            this._countdownInterval = setInterval(() => this.render(), 1000);
+        } else if (state !== CONNECTION_STATES.RECONNECTING && this._countdownInterval) {
+            clearInterval(this._countdownInterval);
+            this._countdownInterval = null;
+        }
+    }
+
+    dispose() {
+        window.removeEventListener(CONNECTION_STATE_EVENT, this._onStateChange);
+        window.removeEventListener(HANDSHAKE_EVENT, this._onStateChange);
+        window.removeEventListener(SESSION_EVENT, this._onStateChange);
+        window.removeEventListener(PROTOCOL_ERROR_EVENT, this._onProtocolError);
+        clearInterval(this._countdownInterval);
+        this._countdownInterval = null;
+        this.container?.remove();
+        this.container = null;
+    }
+}
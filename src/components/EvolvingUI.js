@@ -1,5 +1,10 @@
 import * as THREE from 'three';
 import { Button } from './Button.js';
+import { FEEDBACK_STATES, FEEDBACK_STATE_EVENT, EVOLUTION_PROGRESS_EVENT } from './PythonCommunication.js';
+import { ParameterInspector } from './ParameterInspector.js';
+
+// Generations whose unsubmitted scores are kept around
+const MAX_STASHED_GENERATIONS = 5;
 
 export class EvolvingUI {
     constructor(mainRenderer, mainCamera, controls, particleSystem, pythonCommunication, library) {
@@ -61,6 +66,38 @@ export class EvolvingUI {
         // ADDED: Submission flag
         this._isSubmitting = false;
 
+        // Unsubmitted drags per generation, kept when the mode closes or the scene is regenerated
+        this.scoreStash = new Map(); // generation -> [{ solutionId, category, centerY }]
+
+        // NEW: Parameter inspector, opened by clicking a solid without dragging it (created on
+        // first use, the surround controller is attached to the particle system later)
+        this.inspector = null;
+
+        // Feedback id of the last submission, tracked until the server acknowledges it
+        this.pendingFeedbackId = null;
+        window.addEventListener(FEEDBACK_STATE_EVENT, (event) => {
+            const { feedbackId, state } = event.detail || {};
+            if (!feedbackId || feedbackId !== this.pendingFeedbackId) return;
+            if (state === FEEDBACK_STATES.ACKNOWLEDGED) {
+                this.pendingFeedbackId = null;
+                if (this.isEvolvingMode) {
+                    this.showSubmissionMessage('Scores submitted successfully, wait for new sounds to generate!');
+                }
+            }
+        });
+
+        // A cancelled or failed evolution produced no new generation, so allow submitting again
+        window.addEventListener(EVOLUTION_PROGRESS_EVENT, (event) => {
+            const { active, aborted, failed } = event.detail || {};
+            if (active || !(aborted || failed)) return;
+            this.submissionLocked = false;
+            this.lastSubmittedGeneration = null;
+            this.updateSubmitButton();
+            if (this.isEvolvingMode) {
+                this.showSubmissionMessage(aborted ? 'Evolution cancelled, you can adjust and submit again' : 'Evolution failed, please submit again', !!failed);
+            }
+        });
+
         // 'auto-average' = average center-Y of all solids at enterEvolvingMode (default)
         
         this.baselineMode = 'auto-average';
@@ -361,7 +398,9 @@ worldToScreen(worldPos) {
 
         this.loadSolutionsFromParticleSystem();
 
-        
+        // Bring back drags left unsubmitted the last time Evolve was open on this generation
+        const restored = this.restoreStashedScores();
+
         this.alignAllSolidsToBaselineOrSaved();
 
         this.transitionToEvolvingLayout();
@@ -382,6 +421,10 @@ worldToScreen(worldPos) {
         }
         
         this.createSubmitButton();
+
+        if (restored > 0) {
+            this.showSubmissionMessage(`Restored ${restored} unsubmitted score${restored === 1 ? '' : 's'}`);
+        }
     }
 
     // NEW: Align the vertical center of ALL solids to saved Y (per-tab) or baseline
@@ -448,6 +491,9 @@ worldToScreen(worldPos) {
     exitEvolvingMode() {
         if (!this.isEvolvingMode) return;
         console.log('🚪 Exiting evolving mode');
+
+        // Must run before the layout is restored, while saved Y values still match the meshes
+        this.stashScores();
         
         this.isEvolvingMode = false;
 
@@ -470,6 +516,8 @@ worldToScreen(worldPos) {
         this.restoreOriginalLayout();
         this.solidMeshes.forEach(m => { delete m.userData.evolvingManualY; });
 
+        this.inspector?.close();
+
         if (this.submitButton) {
             this.submitButton.remove();
             this.submitButton = null;
@@ -698,6 +746,7 @@ worldToScreen(worldPos) {
             e.stopPropagation();
 
             // Stop anything that might still be playing (mirrors SaveMode)
+            this.inspector?.granular.stop();
             try {
                 this.particleSystem?.surroundController?.stopAllManualPlayback();
             } catch (err) {
@@ -709,6 +758,7 @@ worldToScreen(worldPos) {
 
             this.drag.active = true;
             this.drag.mesh = mesh;
+            this.drag.moved = false;
             this.drag.startPointerY = e.clientY;
             this.drag.startY = mesh.position.y;
 
@@ -761,7 +811,10 @@ worldToScreen(worldPos) {
 
             
             const moved = Math.abs((this.drag.mesh.userData.dragStartCenterY ?? newCenter.y) - newCenter.y) > 0.05;
-            if (moved) this.drag.mesh.userData.hasUserDragged = true;
+            if (moved) {
+                this.drag.mesh.userData.hasUserDragged = true;
+                this.drag.moved = true;
+            }
 
             // Update grains distribution mapping only (keep peak XZ locked)
             if (Number.isInteger(this.drag.peakIndex) && this.drag.peakIndex >= 0) {
@@ -795,6 +848,11 @@ worldToScreen(worldPos) {
                 if (moved) this.drag.mesh.userData.hasUserDragged = true;
                 delete this.drag.mesh.userData.dragStartCenterY;
 
+                // NEW: A click without dragging inspects the solid
+                if (!moved && !this.drag.moved && e?.type === 'pointerup') {
+                    this.openInspector(this.drag.mesh);
+                }
+
                 // REMOVED: Stop audio on drag end - let it continue playing
                 // try {
                 //     this.particleSystem?.surroundController?.stopAllManualPlayback();
@@ -823,6 +881,82 @@ window.addEventListener('resize', () => {
 });
     }
 
+    openInspector(mesh) {
+        const sc = this.particleSystem?.surroundController;
+        if (!sc) return;
+        if (!this.inspector) this.inspector = new ParameterInspector(sc, this.pythonCommunication);
+        this.inspector.open(mesh);
+    }
+
+    // Generation number of the solids currently in the scene
+    getSceneGeneration() {
+        const solids = this.particleSystem.getSolids ? this.particleSystem.getSolids() : this.solidMeshes;
+        const solution = solids.find(m => m.userData?.solution)?.userData.solution;
+        return solution?.generation ?? null;
+    }
+
+    isGenerationSubmitted(generation) {
+        return !!this.submissionLocked && this.lastSubmittedGeneration?.generation === generation;
+    }
+
+    // Dragged solids whose scores have not been submitted yet
+    getUnsubmittedScoreCount() {
+        if (this.isGenerationSubmitted(this.getSceneGeneration())) return 0;
+        return this.solidMeshes.filter(m => m.userData?.hasUserDragged === true).length;
+    }
+
+    stashScores() {
+        const generation = this.getSceneGeneration();
+        if (generation === null) return;
+
+        const entries = [];
+        ['low', 'mid', 'high', 'rhythmic'].forEach(tabId => {
+            this.getSolidsByTab(tabId).forEach(mesh => {
+                if (mesh.userData.hasUserDragged !== true) return;
+                const centerY = this.savedYByTab.get(`${tabId}_${mesh.uuid}`);
+                if (typeof centerY !== 'number') return;
+                entries.push({ solutionId: mesh.userData.solution.id, category: tabId, centerY });
+            });
+        });
+
+        if (entries.length === 0 || this.isGenerationSubmitted(generation)) {
+            this.scoreStash.delete(generation);
+            return;
+        }
+
+        this.scoreStash.set(generation, entries);
+        while (this.scoreStash.size > MAX_STASHED_GENERATIONS) {
+            this.scoreStash.delete(this.scoreStash.keys().next().value);
+        }
+        console.log(`📦 Stashed ${entries.length} unsubmitted scores of generation ${generation}`);
+    }
+
+    // Returns the number of restored scores
+    restoreStashedScores() {
+        const generation = this.getSceneGeneration();
+        const entries = this.scoreStash.get(generation);
+        if (!entries || this.isGenerationSubmitted(generation)) return 0;
+
+        let restored = 0;
+        entries.forEach(({ solutionId, category, centerY }) => {
+            const solids = this.getSolidsByTab(category);
+            const localIndex = solids.findIndex(m => String(m.userData.solution?.id) === String(solutionId));
+            if (localIndex === -1) return;
+
+            const mesh = solids[localIndex];
+            this.savedYByTab.set(`${category}_${mesh.uuid}`, centerY);
+            mesh.userData.hasUserDragged = true;
+            this.allTabScores.set(`${category}_${localIndex}`, this.calculateScoreFromY(centerY));
+            restored++;
+        });
+
+        this.scoreStash.delete(generation);
+        if (restored > 0) {
+            console.log(`📦 Restored ${restored} stashed scores of generation ${generation}`);
+        }
+        return restored;
+    }
+
     // Persist per-tab center Y for a mesh
     setSavedYForActiveTab(mesh, centerY) {
         const key = `${this.activeTab}_${mesh.uuid}`;
@@ -834,6 +968,11 @@ window.addEventListener('resize', () => {
 
      updateSubmitButton() {
         if (!this.submitButton) return;
+        if (this.pythonCommunication?.isViewingHistory?.()) {
+            this.submitButton.classList.remove('enabled');
+            this.submitButton.textContent = 'Viewing an earlier generation';
+            return;
+        }
         const total = this.allTabScores.size;
         if (total > 0) {
             this.submitButton.classList.add('enabled');
@@ -972,6 +1111,12 @@ window.addEventListener('resize', () => {
             this.currentGeneration = generation;
         }
 
+        // Scores only make sense for the generation the server is evolving from
+        if (this.pythonCommunication.isViewingHistory?.()) {
+            this.showSubmissionMessage('This is an earlier generation, go back to the latest one to submit scores', true);
+            return;
+        }
+
         if (this.submissionLocked && this.currentGeneration === this.lastSubmittedGeneration) {
             this.showSubmissionMessage('Scores of this generation already submitted', true);
             return;
@@ -996,19 +1141,25 @@ window.addEventListener('resize', () => {
             feedback: this.buildFeedbackArray()
         };
 
-        const ok = this.pythonCommunication.sendUserFeedback(payload);
+        // Returns the feedback id; the payload waits in the outbox until the server acknowledges it
+        const feedbackId = this.pythonCommunication.sendUserFeedback(payload);
 
         // FIXED: Clear submitting flag immediately after send (not after timeout)
         this._isSubmitting = false;
 
-        if (ok === false) {
+        if (feedbackId === false) {
             this.showSubmissionMessage('Could not submit scores', true);
             return;
         }
 
         this.submissionLocked = true;
         this.lastSubmittedGeneration = this.currentGeneration;
-        this.showSubmissionMessage('Scores submitted successfully, wait for new sounds to generate!');
+        this.pendingFeedbackId = feedbackId;
+        if (this.pythonCommunication.isConnected?.()) {
+            this.showSubmissionMessage('Sending scores...');
+        } else {
+            this.showSubmissionMessage('Scores saved, they will be sent as soon as the connection is back');
+        }
         this.updateSubmitButton();
     }
 
@@ -0,0 +1,53 @@
+import { FEEDBACK_STATES, FEEDBACK_STATE_EVENT } from './PythonCommunication.js';
+
+// Bottom-right pill showing where submitted scores are: queued, sent or acknowledged.
+// Stays visible while anything is in the outbox, fades out after the last acknowledgement.
+const HIDE_DELAY_MS = 3000;
+
+export class FeedbackStatus {
+    constructor(pythonComm) {
+        this.pythonComm = pythonComm;
+        this.hideTimeout = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'feedback-status';
+        document.body.appendChild(this.element);
+
+        this._onFeedbackState = (event) => this.render(event.detail);
+        window.addEventListener(FEEDBACK_STATE_EVENT, this._onFeedbackState);
+
+        // Payloads restored from a previous visit are waiting for the connection
+        this.render();
+    }
+
+    render(detail = null) {
+        const outbox = this.pythonComm.getOutbox();
+        const pending = outbox.filter(e => e.state === FEEDBACK_STATES.PENDING).length;
+        const sent = outbox.filter(e => e.state === FEEDBACK_STATES.SENT).length;
+
+        clearTimeout(this.hideTimeout);
+        this.element.classList.remove('pending', 'sent', 'acknowledged');
+
+        if (pending > 0) {
+            this.element.textContent = pending === 1
+                ? 'Scores queued, waiting for connection'
+                : `${pending} score submissions queued, waiting for connection`;
+            this.element.classList.add('visible', 'pending');
+        } else if (sent > 0) {
+            this.element.textContent = 'Scores sent, waiting for confirmation';
+            this.element.classList.add('visible', 'sent');
+        } else if (detail?.state === FEEDBACK_STATES.ACKNOWLEDGED) {
+            this.element.textContent = 'Scores received by the evolution engine';
+            this.element.classList.add('visible', 'acknowledged');
+            this.hideTimeout = setTimeout(() => this.element.classList.remove('visible'), HIDE_DELAY_MS);
+        } else {
+            this.element.classList.remove('visible');
+        }
+    }
+
+    dispose() {
+        clearTimeout(this.hideTimeout);
+        window.removeEventListener(FEEDBACK_STATE_EVENT, this._onFeedbackState);
+        this.element.remove();
+    }
+}
@@ -0,0 +1,127 @@
+import { GENERATION_QUEUE_EVENT } from './PythonCommunication.js';
+
+// Top banner shown when a new generation arrives while Save, Evolve or Library is open
+// (or while an earlier generation from the history is shown).
+// "Load now" closes the mode (its unsaved state is stashed) and regenerates the scene,
+// "Finish first" collapses the banner; the generation then loads on return to the main scene.
+const MODE_LABELS = {
+    evolve: 'Evolve',
+    save: 'Save',
+    library: 'Library'
+};
+
+export class GenerationBanner {
+    constructor(pythonComm) {
+        this.pythonComm = pythonComm;
+        this.deferred = false;
+        this.loading = false;
+
+        this.createBanner();
+
+        // A newer generation replacing the queued one asks again
+        this._onQueue = () => {
+            this.deferred = false;
+            this.render();
+        };
+        window.addEventListener(GENERATION_QUEUE_EVENT, this._onQueue);
+    }
+
+    createBanner() {
+        this.container = document.createElement('div');
+        this.container.className = 'generation-banner';
+
+        this.titleEl = document.createElement('div');
+        this.titleEl.className = 'generation-banner-title';
+
+        this.detailEl = document.createElement('div');
+        this.detailEl.className = 'generation-banner-detail';
+
+        const actions = document.createElement('div');
+        actions.className = 'generation-banner-actions';
+
+        this.loadBtn = document.createElement('button');
+        this.loadBtn.className = 'generation-banner-btn primary';
+        this.loadBtn.textContent = 'Load now';
+        this.loadBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.loadNow();
+        });
+
+        this.laterBtn = document.createElement('button');
+        this.laterBtn.className = 'generation-banner-btn';
+        this.laterBtn.textContent = 'Finish first';
+        this.laterBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.deferred = true;
+            this.render();
+        });
+
+        actions.append(this.loadBtn, this.laterBtn);
+        this.container.append(this.titleEl, this.detailEl, actions);
+        document.body.appendChild(this.container);
+    }
+
+    async loadNow() {
+        if (this.loading) return;
+        this.loading = true;
+        this.loadBtn.disabled = true;
+        try {
+            await this.pythonComm.loadPendingGeneration();
+        } finally {
+            this.loading = false;
+            this.loadBtn.disabled = false;
+            this.render();
+        }
+    }
+
+    // What would be stashed if the scene were regenerated right now
+    describeOpenWork() {
+        const mm = window.modeManager;
+        if (!mm) return '';
+
+        const parts = [];
+        const scores = mm.isActive('evolve') ? (mm.evolve.getUnsubmittedScoreCount?.() || 0) : 0;
+        if (scores > 0) parts.push(`${scores} unsubmitted score${scores === 1 ? '' : 's'}`);
+        const selected = mm.isActive('save') ? (mm.save.selectedSolids?.length || 0) : 0;
+        if (selected > 0) parts.push(`${selected} selected sound${selected === 1 ? '' : 's'}`);
+
+        if (parts.length === 0) return '';
+        return `Your ${parts.join(' and ')} will be kept for the current generation.`;
+    }
+
+    render() {
+        const pending = this.pythonComm.getPendingGeneration();
+        if (!pending) {
+            this.container.classList.remove('visible', 'deferred');
+            return;
+        }
+
+        const mm = window.modeManager;
+        const openMode = Object.keys(MODE_LABELS).find(mode => mm?.isActive(mode));
+
+        const viewingHistory = this.pythonComm.isViewingHistory?.();
+        if (this.deferred) {
+            this.titleEl.textContent = `Generation ${pending.generation} waiting`;
+            this.container.title = viewingHistory
+                ? 'It will load when you return to the latest generation'
+                : 'It will load when you return to the main scene';
+        } else {
+            this.titleEl.textContent = `Generation ${pending.generation} is ready`;
+            this.container.title = '';
+            const shown = this.pythonComm.getCurrentGeneration()?.generation;
+            const modeText = openMode
+                ? `${MODE_LABELS[openMode]} is still open. `
+                : (viewingHistory ? `You are viewing generation ${shown} from history. ` : '');
+            this.detailEl.textContent = `${modeText}${this.describeOpenWork()}`.trim();
+        }
+
+        this.laterBtn.style.display = this.deferred ? 'none' : '';
+        this.container.classList.toggle('deferred', this.deferred);
+        this.container.classList.add('visible');
+    }
+
+    dispose() {
+        window.removeEventListener(GENERATION_QUEUE_EVENT, this._onQueue);
+        this.container.remove();
+    }
+}
@@ -0,0 +1,104 @@
+import { GENERATION_HISTORY_EVENT, GENERATION_QUEUE_EVENT } from './PythonCommunication.js';
+
+// Bottom-center strip with one marker per generation in the history.
+// Clicking a marker shows that generation in the main scene; it is a local view only,
+// the evolution session on the server keeps going from the latest generation.
+export class GenerationTimeline {
+    constructor(pythonComm) {
+        this.pythonComm = pythonComm;
+        this.busy = false;
+        this.modeOpen = false;
+
+        this.createTimeline();
+
+        this._onChange = () => this.render();
+        window.addEventListener(GENERATION_HISTORY_EVENT, this._onChange);
+        window.addEventListener(GENERATION_QUEUE_EVENT, this._onChange);
+
+        // Modes take over the scene, the timeline only applies to the main view
+        this._onModeChange = (event) => {
+            this.modeOpen = !!event.detail?.active;
+            this.render();
+        };
+        window.addEventListener('mode-change', this._onModeChange);
+    }
+
+    createTimeline() {
+        this.container = document.createElement('div');
+        this.container.className = 'generation-timeline';
+
+        const label = document.createElement('span');
+        label.className = 'generation-timeline-label';
+        label.textContent = 'Generations';
+
+        this.track = document.createElement('div');
+        this.track.className = 'generation-timeline-track';
+
+        this.latestBtn = document.createElement('button');
+        this.latestBtn.className = 'generation-timeline-latest';
+        this.latestBtn.textContent = 'Back to latest';
+        this.latestBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this._show(() => this.pythonComm.returnToLatest());
+        });
+
+        this.container.append(label, this.track, this.latestBtn);
+        document.body.appendChild(this.container);
+    }
+
+    async _show(action) {
+        if (this.busy) return;
+        this.busy = true;
+        this.container.classList.add('busy');
+        try {
+            await action();
+        } finally {
+            this.busy = false;
+            this.container.classList.remove('busy');
+            this.render();
+        }
+    }
+
+    render() {
+        const history = this.pythonComm.getHistory();
+        const viewing = this.pythonComm.getCurrentGeneration()?.generation ?? null;
+        const latest = this.pythonComm.getLatestGeneration()?.generation ?? null;
+        const pending = this.pythonComm.getPendingGeneration()?.generation ?? null;
+        const viewingHistory = this.pythonComm.isViewingHistory();
+
+        // Nothing to go back to until a second generation has arrived
+        const visible = history.length > 1 && !this.modeOpen;
+        this.container.classList.toggle('visible', visible);
+        this.container.classList.toggle('viewing-history', viewingHistory);
+        if (!visible) return;
+
+        this.track.innerHTML = '';
+        history.forEach(({ generation, solutionCount }) => {
+            const marker = document.createElement('button');
+            marker.className = 'generation-timeline-marker';
+            marker.textContent = generation;
+            marker.title = `Generation ${generation} · ${solutionCount} sounds`;
+            if (generation === viewing) marker.classList.add('current');
+            if (generation === latest) marker.classList.add('latest');
+            if (generation === pending) {
+                marker.classList.add('pending');
+                marker.title += ' · not loaded yet';
+            }
+            marker.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (generation === viewing) return;
+                this._show(() => this.pythonComm.viewGeneration(generation));
+            });
+            this.track.appendChild(marker);
+        });
+
+        this.latestBtn.style.display = viewingHistory ? '' : 'none';
+    }
+
+    dispose() {
+        window.removeEventListener(GENERATION_HISTORY_EVENT, this._onChange);
+        window.removeEventListener(GENERATION_QUEUE_EVENT, this._onChange);
+        window.removeEventListener('mode-change', this._onModeChange);
+        this.container.remove();
+    }
+}
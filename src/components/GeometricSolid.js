@@ -1,10 +1,31 @@
 import * as THREE from 'three';
 
-export function createGeometricSolid(solution, renderer, onMaterialReady) {
+// Parameter ranges the evolution engine works in; the shape/color mapping below assumes them
+export const PARAMETER_RANGES = {
+    room_size: { min: 0.01, max: 0.4 },
+    pitch_variance: { min: -0.05, max: 0.05 },
+    grain_duration: { min: 0.1, max: 1.0 },
+    overlap: { min: 0.5, max: 10 },
+    wet_level: { min: 0.05, max: 0.3 },
+    num_voices: { min: 1, max: 8, integer: true }
+};
+
+// Typical upper bound of descriptors.spectral_flux
+export const SPECTRAL_FLUX_MAX = 1700;
+
+// The audio glow (ParticleSystem) scales emissiveIntensity every frame; the solid's own value is kept
+// in material.userData, which material.clone() copies, so highlights start from the resting glow.
+export function restingEmissiveIntensity(material) {
+    return material?.userData?.baseEmissiveIntensity ?? material?.emissiveIntensity ?? 0;
+}
+
+// random: source of the shape's randomness; a seeded one gives the same solid for the same parameters.
+// log: false for solids rebuilt many times a second (parameter inspector preview)
+export function createGeometricSolid(solution, renderer, onMaterialReady, { random = Math.random, log = true } = {}) {
     const audioParams = solution.parameters;
     const descriptors = solution.descriptors;
     
-    console.log(`🎨 Creating solid for solution ${solution.id} with real parameters:`, audioParams);
+    if (log) console.log(`🎨 Creating solid for solution ${solution.id} with real parameters:`, audioParams);
     
     // CHANGED: More dramatic base radius variation (was 1.5-6.0, now 1.2-7.5)
     const baseRadius = THREE.MathUtils.mapLinear(audioParams.room_size, 0.01, 0.4, 1.2, 7.5);
@@ -29,11 +50,11 @@ export function createGeometricSolid(solution, renderer, onMaterialReady) {
         const nz = z / len;
         
         const pitchVarianceNormalized = (audioParams.pitch_variance + 0.05) / 0.1; // 0-1 range
-        const spectralFluxNormalized = Math.min(descriptors.spectral_flux / 1700, 1); // 0-1 range
+        const spectralFluxNormalized = Math.min(descriptors.spectral_flux / SPECTRAL_FLUX_MAX, 1); // 0-1 range
         
         // CHANGED: Much more dramatic deformation (was 2.5 and 1.4, now 5.0 and 3.5)
-        const deform = (Math.random() - 0.5) * pitchVarianceNormalized * 4.0
-                     + (Math.random() - 0.5) * spectralFluxNormalized * 3.5;
+        const deform = (random() - 0.5) * pitchVarianceNormalized * 4.0
+                     + (random() - 0.5) * spectralFluxNormalized * 3.5;
         
         for (const idx of indices) {
             pos.setXYZ(idx, x + nx * deform, y + ny * deform, z + nz * deform);
@@ -60,7 +81,7 @@ export function createGeometricSolid(solution, renderer, onMaterialReady) {
         : 'mid';
 
     // ADDED: Debug logging to see what category we're actually getting
-    console.log(`🎨 Solution ${solution.id}: category="${solution.category}", assigned="${solution.assigned_category}", using="${category}"`);
+    if (log) console.log(`🎨 Solution ${solution.id}: category="${solution.category}", assigned="${solution.assigned_category}", using="${category}"`);
     
     let hueBase, hueSpan, lightBase, lightSpan, satBase;
     switch (category) {
@@ -95,7 +116,7 @@ export function createGeometricSolid(solution, renderer, onMaterialReady) {
     
     const wireframeColor = new THREE.Color().setHSL(baseHue, baseSaturation, baseLightness);
     
-    console.log(`🎨 Color for ${category}: H=${baseHue.toFixed(2)}, S=${baseSaturation.toFixed(2)}, L=${baseLightness.toFixed(2)}`);
+    if (log) console.log(`🎨 Color for ${category}: H=${baseHue.toFixed(2)}, S=${baseSaturation.toFixed(2)}, L=${baseLightness.toFixed(2)}`);
 
     const material = new THREE.MeshStandardMaterial({
         color: wireframeColor,
@@ -114,6 +135,7 @@ export function createGeometricSolid(solution, renderer, onMaterialReady) {
     // Stabilize color updates
     const stableColor = wireframeColor.clone();
     material.color = stableColor;
+    material.userData.baseEmissiveIntensity = material.emissiveIntensity;
 
     // Create mesh
     const mesh = new THREE.Mesh(geometry, material);
@@ -146,13 +168,13 @@ export function createGeometricSolid(solution, renderer, onMaterialReady) {
         // CHANGED: Reduced distance - balanced between too close and too far
         // Add smaller base offset plus moderate scaling
         group.userData.orbitBaseRadius = 5 + baseRadius * 2.2; // Was 8 + baseRadius * 3.5
-        group.userData.orbitSpeed = 0.15 + Math.random() * 0.15; 
+        group.userData.orbitSpeed = 0.15 + random() * 0.15; 
 
         const maxClones = Math.min(Math.floor(audioParams.num_voices), 8); 
 
         for (let i = 1; i < maxClones; i++) {
             const clone = mesh.clone();
-            clone.position.y = Math.random() * 0.8;
+            clone.position.y = random() * 0.8;
             
             const overlapForScale = Math.min((audioParams.overlap - 0.5) / 9.5, 1);
             const cloneScale = 0.12 + (overlapForScale * 0.23);
@@ -181,6 +203,7 @@ export function createGeometricSolid(solution, renderer, onMaterialReady) {
             clone.layers.enable(1);
             
             clone.material.emissiveIntensity = 0.25 + grainDurationNormalized * 0.25 + (i / maxClones) * 0.2;
+            clone.material.userData.baseEmissiveIntensity = clone.material.emissiveIntensity;
             
             group.add(clone);
             group.userData.orbitClones.push(clone);
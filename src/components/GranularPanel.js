@@ -0,0 +1,260 @@
+import { PARAMETER_RANGES } from './GeometricSolid.js';
+import {
+    GranularSynth,
+    clampGranularParameters,
+    renderGranular
+} from '../audio/GranularSynth.js';
+import { audioBufferToWavBlob } from '../utils/wav.js';
+import { downloadBlob } from '../utils/helpers.js';
+
+// "Resynthesize" section of the library info panel: plays a saved sound again through the
+// in-browser granular synth (GranularSynth.js), at any length or looped, with sliders for
+// the solution's parameters. Tweaks stay local; the saved solution is not changed.
+const PARAMETER_LABELS = {
+    grain_duration: 'Grain duration',
+    overlap: 'Overlap',
+    pitch_variance: 'Pitch variance',
+    num_voices: 'Voices',
+    room_size: 'Room size',
+    wet_level: 'Wet level'
+};
+
+const MAX_LENGTH_SECONDS = 120;
+
+export class GranularPanel {
+    // onChange(parameters) follows every slider move and reset; onPlay() runs before playback starts
+    constructor(surroundController, { onChange = null, onPlay = null } = {}) {
+        this.surroundController = surroundController;
+        this.onChange = onChange;
+        this.onPlay = onPlay;
+        this.synth = null;
+        // Non-spatial source on the master bus, so the synth is limited like everything else
+        this.output = null;
+        this.item = null;
+        this.buffer = null;
+        this.normalization = 1;
+        this.original = null;
+        this.parameters = null;
+        this.exporting = false;
+        this.element = null;
+    }
+
+    static isSupported(surroundController) {
+        return GranularSynth.isSupported(surroundController?.audioContext);
+    }
+
+    // Renders the section for a library item into container (replacing what was there).
+    // Without a buffer (audio not loaded yet) only the sliders work.
+    mount(container, item, buffer, normalization = 1) {
+        this.stop();
+        this.item = item;
+        this.buffer = buffer;
+        this.normalization = normalization;
+        this.original = clampGranularParameters(item.audioParams || item.solutionData?.parameters);
+        this.parameters = { ...this.original };
+
+        this.element = document.createElement('div');
+        this.element.className = 'granular-panel';
+
+        this.sliders = {};
+        Object.keys(PARAMETER_LABELS).forEach(name => {
+            this.element.appendChild(this._createSlider(name));
+        });
+
+        const options = document.createElement('div');
+        options.className = 'granular-options';
+        const lengthLabel = document.createElement('label');
+        lengthLabel.className = 'granular-length';
+        lengthLabel.textContent = 'Length (s)';
+        this.lengthInput = document.createElement('input');
+        this.lengthInput.type = 'number';
+        this.lengthInput.min = '0.5';
+        this.lengthInput.max = String(MAX_LENGTH_SECONDS);
+        this.lengthInput.step = '0.5';
+        this.lengthInput.value = buffer ? buffer.duration.toFixed(1) : '';
+        lengthLabel.appendChild(this.lengthInput);
+
+        const loopLabel = document.createElement('label');
+        loopLabel.className = 'granular-loop';
+        this.loopInput = document.createElement('input');
+        this.loopInput.type = 'checkbox';
+        loopLabel.append(this.loopInput, document.createTextNode('Loop'));
+        options.append(lengthLabel, loopLabel);
+
+        const actions = document.createElement('div');
+        actions.className = 'granular-actions';
+        this.playBtn = this._createButton('Play', () => this.toggle());
+        const resetBtn = this._createButton('Reset', () => this.reset());
+        this.exportBtn = this._createButton('Export', () => this.export());
+        actions.append(this.playBtn, resetBtn, this.exportBtn);
+
+        this.statusEl = document.createElement('div');
+        this.statusEl.className = 'granular-status';
+
+        this.element.append(options, actions, this.statusEl);
+        container.replaceChildren(this.element);
+        this.render();
+    }
+
+    _createSlider(name) {
+        const { min, max, integer } = PARAMETER_RANGES[name];
+        const row = document.createElement('label');
+        row.className = 'granular-param';
+
+        const label = document.createElement('span');
+        label.textContent = PARAMETER_LABELS[name];
+        const value = document.createElement('span');
+        value.className = 'granular-param-value';
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = String(min);
+        input.max = String(max);
+        input.step = integer ? '1' : String((max - min) / 200);
+        input.value = String(this.parameters[name]);
+        input.addEventListener('input', () => {
+            this.parameters[name] = parseFloat(input.value);
+            value.textContent = this._formatValue(name);
+            this._changed();
+        });
+        value.textContent = this._formatValue(name);
+
+        this.sliders[name] = { input, value };
+        row.append(label, value, input);
+        return row;
+    }
+
+    _createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'granular-btn';
+        button.textContent = text;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    _formatValue(name) {
+        const value = this.parameters[name];
+        return PARAMETER_RANGES[name].integer ? String(value) : value.toFixed(3);
+    }
+
+    _length() {
+        const length = parseFloat(this.lengthInput.value);
+        return Number.isFinite(length) ? Math.min(MAX_LENGTH_SECONDS, Math.max(0.5, length)) : this.buffer.duration;
+    }
+
+    async _ensureSynth() {
+        if (this.synth) return;
+        const sc = this.surroundController;
+        this.output = sc.ctx.createSource(0, 0, 0, false);
+        this.synth = new GranularSynth(sc.audioContext);
+        this.synth.connect(this.output.normalizationNode);
+        this.synth.onEnded = () => this.render();
+        await this.synth.init();
+    }
+
+    async toggle() {
+        if (this.synth?.isPlaying) {
+            this.stop();
+            return;
+        }
+        if (!this.buffer) return;
+        try {
+            await this._ensureSynth();
+            const ctx = this.surroundController.audioContext;
+            if (ctx.state === 'suspended') await ctx.resume();
+            if (this.onPlay) await this.onPlay();
+            this.output.setNormalizationGain(this.normalization);
+            this.synth.setParameters(this.parameters);
+            if (this.synth.buffer !== this.buffer) this.synth.setSource(this.buffer);
+            this.synth.start({ length: this._length(), loop: this.loopInput.checked });
+            this.setStatus('');
+        } catch (error) {
+            console.error('❌ Granular playback failed:', error);
+            this.setStatus(error?.message || 'Playback failed', true);
+        }
+        this.render();
+    }
+
+    stop() {
+        if (this.synth?.isPlaying) this.synth.stop();
+        if (this.playBtn) this.render();
+    }
+
+    reset() {
+        this.parameters = { ...this.original };
+        Object.entries(this.sliders).forEach(([name, { input, value }]) => {
+            input.value = String(this.parameters[name]);
+            value.textContent = this._formatValue(name);
+        });
+        this._changed();
+    }
+
+    _changed() {
+        if (this.synth) this.synth.setParameters(this.parameters);
+        if (this.onChange) this.onChange({ ...this.parameters });
+    }
+
+    getParameters() {
+        return { ...this.parameters };
+    }
+
+    async export() {
+        if (this.exporting || !this.buffer) return;
+        this.exporting = true;
+        this.render();
+        this.setStatus('Rendering…');
+        try {
+            const rendered = await renderGranular(this.buffer, this.parameters, { length: this._length() });
+            const blob = audioBufferToWavBlob(rendered, { bitDepth: 24 });
+            const name = String(this.item?.name || 'sound').replace(/[^a-z0-9_\-]+/gi, '_');
+            this.download(blob, `${name}_granular.wav`);
+            this.setStatus('');
+        } catch (error) {
+            console.error('❌ Granular export failed:', error);
+            this.setStatus(error?.message || 'Export failed', true);
+        } finally {
+            this.exporting = false;
+            this.render();
+        }
+    }
+
+    download(blob, filename) {
+        downloadBlob(blob, filename);
+        console.log(`✅ Exported granular sound: ${filename}`);
+    }
+
+    setStatus(text, isError = false) {
+        if (!this.statusEl) return;
+        this.statusEl.textContent = text;
+        this.statusEl.classList.toggle('error', !!text && isError);
+    }
+
+    render() {
+        if (!this.playBtn) return;
+        const playing = !!this.synth?.isPlaying;
+        this.playBtn.textContent = playing ? 'Stop' : 'Play';
+        this.playBtn.classList.toggle('active', playing);
+        this.playBtn.disabled = !this.buffer;
+        this.exportBtn.disabled = this.exporting || !this.buffer;
+    }
+
+    unmount() {
+        this.stop();
+        this.element?.remove();
+        this.element = null;
+        this.playBtn = null;
+        this.statusEl = null;
+    }
+
+    dispose() {
+        this.unmount();
+        this.synth?.dispose();
+        this.output?.dispose();
+        this.synth = null;
+        this.output = null;
+    }
+}
@@ -1,5 +1,28 @@
 import * as THREE from 'three';
 import { Button } from './Button.js';
+import { restingEmissiveIntensity } from './GeometricSolid.js';
+import { audioBufferToWavBlob } from '../utils/wav.js';
+import { GranularPanel } from './GranularPanel.js';
+import { LibraryHistory } from './LibraryHistory.js';
+import {
+    deleteLibraryRecord,
+    loadLibraryAudio,
+    loadLibraryRecords,
+    pruneLibraryAudio,
+    saveLibraryAudio,
+    saveLibraryRecord
+} from '../utils/libraryStore.js';
+import { createZip, readZip } from '../utils/zip.js';
+import { loadSetting, saveSetting } from '../utils/settings.js';
+import { downloadBlob } from '../utils/helpers.js';
+
+// Portable Library bundles: a zip with library.json (item metadata), solids/*.json and audio/*.wav
+const BUNDLE_FORMAT = 'shard-library-bundle';
+const BUNDLE_VERSION = 1;
+
+const TAG_MAX_LENGTH = 32;
+const COLLECTION_MAX_LENGTH = 40;
+let chipListCount = 0; // ids of the autocomplete datalists
 
 export class Library {
     constructor(particleSystem, scene, camera, renderer, controls) {
@@ -9,7 +32,8 @@ export class Library {
         this.renderer = renderer;
         this.controls = controls;
 
-        // Saved items here: { id, type: 'solution'|'combination', name, description, category, items?, meshSnapshot:Object3D }
+        // Saved items here: { key, id, type: 'solution'|'combination', name, description, category, items?, meshSnapshot:Object3D }
+        // Persisted in IndexedDB (libraryStore.js) together with the audio of their sounds
         this.libraryData = [];
 
         // Space mode state
@@ -49,12 +73,37 @@ export class Library {
         this.createLibraryButton();
         this.createCloseButton(); // NEW: Add close button
 
+        // NEW: Items shift-clicked for a bundle export, and the toolbar (search, filters, sort, bundles)
+        this._markedItems = new Set();
+        this._bundleBusy = false;
+        // NEW: Named collections (an item can be in several); the names are kept in the settings so
+        // empty collections survive too
+        this.collections = loadSetting('libraryCollections', []);
+        this.view = {
+            query: '',
+            collection: '',
+            category: '',
+            type: '',
+            generation: '',
+            fitnessMin: null,
+            fitnessMax: null,
+            sort: 'date',
+            descending: false
+        };
+        this.createToolbar();
+
+        // NEW: Undo / redo of deletes, duplicates and edits (session only)
+        this.history = new LibraryHistory();
+
         window.addEventListener('resize', () => {
             if (this.inSpace) this._positionInfoPanel();
         });
 
         // Library swarms (grains) runtime
         this._libItems = []; // [{ container, solid, grains:[], params:{ baseRadius, baseY, topY } }]
+        this._runtimeByItem = new Map(); // Map<item, runtime> of the items on the grid
+        this._leavingItems = [];         // runtimes shrinking away after a filter change
+        this.layoutDuration = 500;       // ms of the re-layout animation
         this.libraryGrainsPerSolid = (particleSystem?.grainsPerVisiblePeak ?? 300);
         this.libraryBaseRadius = (particleSystem?.baseRadius ?? 2);
         this.libraryGrainColumnHeight = (particleSystem?.grainColumnHeight ?? 6.0);
@@ -71,9 +120,20 @@ export class Library {
         this.descriptionMaxLength = 200;
         this.nameVerticalThreshold = 18;
 
-        // Track playing audio in library
+        // Track playing audio in library (by sound key, "gen_<generation>_sol_<id>")
         this._playingIds = new Set();
-        this._playingMeshes = new Map(); // Map<id, mesh> for highlighting
+        this._playingMeshes = new Map(); // Map<key, mesh> for highlighting
+        this._playingSources = new Map(); // Map<key, SpatialSource> (non-spatial, disposed when done)
+
+        // NEW: Audio of saved sounds by key: { buffer, normalization }. The library keeps its own
+        // copy because the controller's sources only hold the generation on screen.
+        this._audio = new Map();
+
+        // NEW: Granular resynthesis of the selected sound (created on first use)
+        this._granular = null;
+
+        // Items of earlier sessions
+        this.ready = this._restoreLibrary();
     }
 
     // Public: toggle
@@ -140,6 +200,9 @@ export class Library {
         if (this.closeBtn) {
             this.closeBtn.style.display = 'block';
         }
+        this.toolbar.style.display = 'flex';
+        this._renderToolbar();
+        this.history.show();
     }
 
     exitSpace() {
@@ -187,6 +250,10 @@ export class Library {
         if (this.closeBtn) {
             this.closeBtn.style.display = 'none';
         }
+        this.toolbar.style.display = 'none';
+        this.history.hide();
+        this._markedItems.clear();
+        this._setToolbarStatus('');
         
         this._clearHoverOutline();
         this._clearSelectionOutline();
@@ -244,8 +311,13 @@ export class Library {
             meshSnapshot: null,
             solutionId: normalizedSolutionId,
             solutionData: item.solutionData || null,
-            generation: item.generation || item.solutionData?.generation || 0 // ADDED: Store generation
+            generation: item.generation || item.solutionData?.generation || 0, // ADDED: Store generation
+            savedAt: Date.now(),
+            tags: [],
+            collections: []
         };
+        // Storage key: combinations have no solution id of their own
+        record.key = record.solutionId || `${record.type}_${record.id}`;
 
         let sourceMesh = null;
         if (record.type === 'solution') {
@@ -261,9 +333,11 @@ export class Library {
         }
 
         this.libraryData.push(record);
+        this._captureAudio(record);
+        this._persistItem(record);
 
         // Live update grid if in space
-        if (this.inSpace) this._buildGridFromLibraryData();
+        this._refreshGrid();
     }
 
     findExistingItem(criteria) {
@@ -329,112 +403,184 @@ export class Library {
 
     _buildGridFromLibraryData() {
         // Clear current group
+        [...this._runtimeByItem.values(), ...this._leavingItems].forEach(runtime => this._disposeLibraryRuntime(runtime));
+        this._runtimeByItem.clear();
         while (this.group.children.length) this.group.remove(this.group.children[0]);
         this._libItems = [];
         
         // NEW: Clear material cache for fresh start
         this._globalLibraryMaterialCache = new WeakMap();
 
-        const items = this.libraryData;
-        if (!items.length) return;
-
-        const cols = Math.max(2, Math.min(this.cols, Math.ceil(Math.sqrt(items.length))));
-        const spacingX = this.spacingX;
-        const spacingZ = this.spacingZ;
+        this._layoutGrid(false);
+        this.group.position.set(0, 0, -20);
+    }
 
-        items.forEach((item, idx) => {
-            const snap = item.meshSnapshot ? item.meshSnapshot.clone(true) : null;
-            if (!snap) return;
+    // NEW: Places the items that pass the search / filters in sort order. Items keep their
+    // runtime while they stay visible; with animate they glide to their new cell, new ones
+    // grow in and filtered-out ones shrink away.
+    _layoutGrid(animate = true) {
+        const visible = this._visibleItems();
+        const visibleSet = new Set(visible);
+
+        for (const [item, runtime] of this._runtimeByItem) {
+            if (visibleSet.has(item)) continue;
+            this._runtimeByItem.delete(item);
+            if (runtime.container === this._hoveredContainer) this._clearHoverOutline();
+            if (runtime.container === this._selectedContainer) this._closeSelection();
+            // No longer pickable
+            delete runtime.container.userData.__libraryItem;
+
+            if (animate) {
+                this._leavingItems.push(runtime);
+                runtime.grains.forEach(grain => { grain.visible = false; });
+                this._tweenContainer(runtime, runtime.container.position, 0, () => this._disposeLibraryRuntime(runtime));
+            } else {
+                this._disposeLibraryRuntime(runtime);
+            }
+        }
 
-            snap.traverse(ch => { if (ch.isMesh) ch.matrixAutoUpdate = true; });
-            snap.updateMatrixWorld(true);
-            
-            // NEW: Cache original materials immediately after cloning
-            snap.traverse(child => {
-                if (child.isMesh && !this._globalLibraryMaterialCache.has(child)) {
-                    this._globalLibraryMaterialCache.set(child, child.material);
+        const cols = Math.max(2, Math.min(this.cols, Math.ceil(Math.sqrt(visible.length))));
+        this._libItems = visible.map((item, idx) => {
+            // Place container on the grid
+            const r = Math.floor(idx / cols);
+            const c = idx % cols;
+            const cell = new THREE.Vector3((c - (cols - 1) / 2) * this.spacingX, 0, r * this.spacingZ);
+
+            let runtime = this._runtimeByItem.get(item);
+            if (!runtime) {
+                runtime = this._createLibraryRuntime(item, cell);
+                if (!runtime) return null;
+                this._runtimeByItem.set(item, runtime);
+                if (animate) {
+                    runtime.container.scale.setScalar(0.001);
+                    this._tweenContainer(runtime, cell, 1);
                 }
-            });
-
-            const primary = this._findPrimaryMesh(snap) || snap;
-            primary.updateMatrixWorld(true);
+            } else if (animate) {
+                this._tweenContainer(runtime, cell, 1);
+            } else {
+                runtime.container.position.copy(cell);
+            }
+            return runtime;
+        }).filter(Boolean);
+    }
 
-            const pBox = new THREE.Box3().setFromObject(primary);
-            const pSize = pBox.getSize(new THREE.Vector3());
-            const pCenter = pBox.getCenter(new THREE.Vector3());
-            const pBottom = pCenter.y - pSize.y * 0.5;
+    _createLibraryRuntime(item, position) {
+        const snap = item.meshSnapshot ? item.meshSnapshot.clone(true) : null;
+        if (!snap) return null;
 
-            // Wrap into a container; center horizontally using PRIMARY center
-            const container = new THREE.Group();
-            container.name = `LibraryItem_${item.id}`;
+        snap.traverse(ch => { if (ch.isMesh) ch.matrixAutoUpdate = true; });
+        snap.updateMatrixWorld(true);
+        
+        // NEW: Cache original materials immediately after cloning
+        snap.traverse(child => {
+            if (child.isMesh && !this._globalLibraryMaterialCache.has(child)) {
+                this._globalLibraryMaterialCache.set(child, child.material);
+            }
+        });
+        if (this._markedItems.has(item)) this._applyMarkOutline(snap);
 
-            snap.position.x -= pCenter.x;
-            snap.position.z -= pCenter.z;
+        const primary = this._findPrimaryMesh(snap) || snap;
+        primary.updateMatrixWorld(true);
 
-            // Desired bottom of primary above grains
-            const baseY = this.baseY;
-            const topY = baseY + this.libraryGrainColumnHeight;
-            const desiredBottom = topY + this.libraryGrainClearance;
+        const pBox = new THREE.Box3().setFromObject(primary);
+        const pSize = pBox.getSize(new THREE.Vector3());
+        const pCenter = pBox.getCenter(new THREE.Vector3());
+        const pBottom = pCenter.y - pSize.y * 0.5;
+
+        // Wrap into a container; center horizontally using PRIMARY center
+        const container = new THREE.Group();
+        container.name = `LibraryItem_${item.id}`;
+
+        snap.position.x -= pCenter.x;
+        snap.position.z -= pCenter.z;
+
+        // Desired bottom of primary above grains
+        const baseY = this.baseY;
+        const topY = baseY + this.libraryGrainColumnHeight;
+        const desiredBottom = topY + this.libraryGrainClearance;
+
+        const deltaY = desiredBottom - pBottom;
+        snap.position.y += deltaY;
+
+        container.position.copy(position);
+
+        // Tag and add
+        container.userData.__libraryItem = item;
+        container.userData.__libraryIsSnapshot = true;
+        container.userData.__solidRoot = snap;
+
+        container.add(snap);
+        this.group.add(container);
+
+        // Build runtime for grains and animation
+        const runtime = {
+            container,
+            solid: snap,
+            primary: this._findPrimaryMesh(snap),
+            orbitClones: [],
+            grains: [],
+            params: {
+                baseY,
+                topY,
+                baseRadius: this.libraryBaseRadius
+            }
+        };
 
-            const deltaY = desiredBottom - pBottom;
-            snap.position.y += deltaY;
+        if (runtime.primary) {
+            const primaryPos = new THREE.Vector3();
+            runtime.primary.getWorldPosition(primaryPos);
+
+            snap.traverse(n => {
+                if (n.isMesh && n !== runtime.primary && n.userData && n.userData.orbitAngle !== undefined) {
+                    const clonePos = new THREE.Vector3();
+                    n.getWorldPosition(clonePos);
+                    const radius = Math.hypot(clonePos.x - primaryPos.x, clonePos.z - primaryPos.z);
+                    n.userData._libOrbitRadius = radius;
+                    n.userData._libHeightOffset = n.position.y - runtime.primary.position.y;
+                    runtime.orbitClones.push(n);
+                }
+            });
+        }
 
-            // Place container on the grid
-            const r = Math.floor(idx / cols);
-            const c = idx % cols;
-            container.position.set(
-                (c - (cols - 1) / 2) * spacingX,
-                0,
-                r * spacingZ
-            );
+        // Rebind/update animation functions for this clone tree
+        this._retargetUpdateFunctionsForClone(runtime);
 
-            // Tag and add
-            container.userData.__libraryItem = item;
-            container.userData.__libraryIsSnapshot = true;
-            container.userData.__solidRoot = snap;
-
-            container.add(snap);
-            this.group.add(container);
-
-            // Build runtime for grains and animation
-            const runtime = {
-                container,
-                solid: snap,
-                primary: this._findPrimaryMesh(snap),
-                orbitClones: [],
-                grains: [],
-                params: {
-                    baseY,
-                    topY,
-                    baseRadius: this.libraryBaseRadius
-                }
-            };
+        // Create grains centered exactly under container
+        this._createLibraryGrainsForItem(runtime);
+        return runtime;
+    }
 
-            if (runtime.primary) {
-                const primaryPos = new THREE.Vector3();
-                runtime.primary.getWorldPosition(primaryPos);
-
-                snap.traverse(n => {
-                    if (n.isMesh && n !== runtime.primary && n.userData && n.userData.orbitAngle !== undefined) {
-                        const clonePos = new THREE.Vector3();
-                        n.getWorldPosition(clonePos);
-                        const radius = Math.hypot(clonePos.x - primaryPos.x, clonePos.z - primaryPos.z);
-                        n.userData._libOrbitRadius = radius;
-                        n.userData._libHeightOffset = n.position.y - runtime.primary.position.y;
-                        runtime.orbitClones.push(n);
-                    }
-                });
-            }
+    _tweenContainer(runtime, position, scale, onDone = null) {
+        const { container } = runtime;
+        const token = (runtime.tweenToken = (runtime.tweenToken || 0) + 1);
+        const from = container.position.clone();
+        const to = position.clone();
+        const fromScale = container.scale.x;
+        const start = performance.now();
 
-            // Rebind/update animation functions for this clone tree
-            this._retargetUpdateFunctionsForClone(runtime);
+        const tick = (now) => {
+            if (runtime.tweenToken !== token) return; // superseded by a newer layout
+            const t = Math.min(1, (now - start) / this.layoutDuration);
+            const ease = 0.5 - 0.5 * Math.cos(Math.PI * t);
+            container.position.lerpVectors(from, to, ease);
+            container.scale.setScalar(Math.max(0.001, fromScale + (scale - fromScale) * ease));
+            if (t < 1) requestAnimationFrame(tick);
+            else if (onDone) onDone();
+        };
+        requestAnimationFrame(tick);
+    }
 
-            // Create grains centered exactly under container
-            this._createLibraryGrainsForItem(runtime);
-            this._libItems.push(runtime);
+    _disposeLibraryRuntime(runtime) {
+        runtime.tweenToken = (runtime.tweenToken || 0) + 1;
+        this.group.remove(runtime.container);
+        runtime.grains.forEach(grain => {
+            this.group.remove(grain);
+            grain.material.dispose();
         });
-
-        this.group.position.set(0, 0, -20);
+        // The grains of an item share one geometry
+        runtime.grains[0]?.geometry.dispose();
+        runtime.grains = [];
+        this._leavingItems = this._leavingItems.filter(r => r !== runtime);
     }
 
     _createLibraryGrainsForItem(runtime) {
@@ -608,9 +754,9 @@ export class Library {
     // ============== Camera animation ==============
 
     _animateCameraTopDown() {
-        const items = this.libraryData;
-        const cols = Math.max(2, Math.min(this.cols, Math.ceil(Math.sqrt(items.length || 1))));
-        const rows = Math.max(1, Math.ceil(items.length / cols));
+        const count = this._libItems.length;
+        const cols = Math.max(2, Math.min(this.cols, Math.ceil(Math.sqrt(count || 1))));
+        const rows = Math.max(1, Math.ceil(count / cols));
         const gridWidth = (cols - 1) * this.spacingX;
         const gridDepth = Math.max(1, rows - 1) * this.spacingZ;
 
@@ -632,8 +778,10 @@ export class Library {
         const startPos = this.camera.position.clone();
         const startTarget = this.controls ? this.controls.target.clone() : new THREE.Vector3();
         const start = performance.now();
+        const token = (this._cameraTween = (this._cameraTween || 0) + 1);
 
         const tick = (now) => {
+            if (this._cameraTween !== token) return; // a newer camera move took over
             const t = Math.min(1, (now - start) / duration);
             const ease = 0.5 - 0.5 * Math.cos(Math.PI * t);
             this.camera.position.lerpVectors(startPos, pos, ease);
@@ -703,6 +851,151 @@ export class Library {
         document.body.appendChild(this.closeBtn);
     }
 
+    // NEW: Library toolbar (top of the screen while the library is open): search, filters and
+    // sort order of the grid, and bundle import/export
+    createToolbar() {
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'library-toolbar';
+        this.toolbar.style.display = 'none';
+        // Typing in the search box must not reach the app's shortcuts
+        this.toolbar.addEventListener('keydown', (e) => e.stopPropagation());
+
+        const makeButton = (text, title, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'library-toolbar-btn';
+            button.textContent = text;
+            button.title = title;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                onClick();
+            });
+            return button;
+        };
+        const makeSelect = (title, onChange) => {
+            const select = document.createElement('select');
+            select.className = 'library-toolbar-select';
+            select.title = title;
+            select.addEventListener('change', () => onChange(select.value));
+            return select;
+        };
+        const makeFitnessInput = (placeholder, key) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.placeholder = placeholder;
+            input.className = 'library-toolbar-number';
+            input.addEventListener('input', () => {
+                const value = parseFloat(input.value);
+                this._setView({ [key]: Number.isFinite(value) ? value : null });
+            });
+            return input;
+        };
+
+        // Search, filters, sort
+        const viewRow = document.createElement('div');
+        viewRow.className = 'library-toolbar-row';
+
+        this._searchInput = document.createElement('input');
+        this._searchInput.type = 'search';
+        this._searchInput.placeholder = 'Search names, descriptions, tags';
+        this._searchInput.className = 'library-toolbar-search';
+        this._searchInput.addEventListener('input', () => this._setView({ query: this._searchInput.value }));
+
+        this._collectionSelect = makeSelect('Collection', (collection) => this._setView({ collection }));
+        this._categorySelect = makeSelect('Category', (category) => this._setView({ category }));
+        const typeSelect = makeSelect('Item type', (type) => this._setView({ type }));
+        [['', 'All items'], ['solution', 'Sounds'], ['combination', 'Combinations']].forEach(([value, label]) => {
+            typeSelect.appendChild(new Option(label, value));
+        });
+        this._generationSelect = makeSelect('Generation', (generation) => this._setView({ generation }));
+
+        const fitness = document.createElement('label');
+        fitness.className = 'library-toolbar-range';
+        fitness.append(
+            document.createTextNode('Fitness'),
+            makeFitnessInput('min', 'fitnessMin'),
+            document.createTextNode('–'),
+            makeFitnessInput('max', 'fitnessMax')
+        );
+
+        this._sortSelect = makeSelect('Sort by', (sort) => this._setView({ sort }));
+        this._sortDirectionBtn = makeButton('↑', 'Ascending / descending', () => {
+            this._setView({ descending: !this.view.descending });
+        });
+        this._sortDirectionBtn.classList.add('library-toolbar-direction');
+
+        this._countLabel = document.createElement('span');
+        this._countLabel.className = 'library-toolbar-count';
+
+        viewRow.append(this._collectionSelect, this._searchInput, this._categorySelect, typeSelect, this._generationSelect,
+            fitness, this._sortSelect, this._sortDirectionBtn, this._countLabel);
+
+        // Bundles
+        const bundleRow = document.createElement('div');
+        bundleRow.className = 'library-toolbar-row';
+
+        this._importInput = document.createElement('input');
+        this._importInput.type = 'file';
+        this._importInput.accept = '.zip,application/zip';
+        this._importInput.style.display = 'none';
+        this._importInput.addEventListener('change', () => {
+            const file = this._importInput.files?.[0];
+            this._importInput.value = '';
+            if (file) this.importBundle(file);
+        });
+
+        this._importBtn = makeButton('Import', 'Add the items of a library bundle (.zip)', () => this._importInput.click());
+        this._exportMarkedBtn = makeButton('Export selected', 'Shift-click items to select them', () => {
+            this.exportBundle(this.libraryData.filter(item => this._markedItems.has(item)));
+        });
+        this._exportAllBtn = makeButton('Export all', 'Save the whole library as a bundle (.zip)', () => this.exportBundle(this.libraryData));
+
+        this._toolbarStatus = document.createElement('span');
+        this._toolbarStatus.className = 'library-toolbar-status';
+
+        bundleRow.append(this._importBtn, this._exportMarkedBtn, this._exportAllBtn, this._toolbarStatus, this._importInput);
+        this.toolbar.append(viewRow, bundleRow);
+        document.body.appendChild(this.toolbar);
+    }
+
+    _renderToolbar() {
+        const marked = this._markedItems.size;
+        this._exportMarkedBtn.textContent = marked ? `Export selected (${marked})` : 'Export selected';
+        this._exportMarkedBtn.disabled = this._bundleBusy || marked === 0;
+        this._exportAllBtn.disabled = this._bundleBusy || this.libraryData.length === 0;
+        this._importBtn.disabled = this._bundleBusy;
+
+        this._renderViewOptions();
+        const total = this.libraryData.length;
+        const shown = this.inSpace ? this._libItems.length : total;
+        this._countLabel.textContent = shown === total ? `${total} items` : `${shown} of ${total}`;
+    }
+
+    _setToolbarStatus(text, isError = false) {
+        this._toolbarStatus.textContent = text;
+        this._toolbarStatus.classList.toggle('error', !!text && isError);
+    }
+
+    _toggleMarked(container) {
+        const item = container.userData.__libraryItem;
+        if (this._markedItems.has(item)) this._markedItems.delete(item);
+        else this._markedItems.add(item);
+
+        // Selection and hover tints take precedence until they are cleared
+        if (container !== this._selectedContainer && container !== this._hoveredContainer) {
+            if (this._markedItems.has(item)) {
+                this._applyMarkOutline(container);
+            } else {
+                container.traverse(child => {
+                    const originalMaterial = child.isMesh && this._globalLibraryMaterialCache.get(child);
+                    if (originalMaterial) child.material = originalMaterial;
+                });
+            }
+        }
+        this._renderToolbar();
+    }
+
     // ============== Picking ==============
 
     _handlePointerDown(e) {
@@ -741,6 +1034,12 @@ export class Library {
         while (obj && obj.parent && obj.parent !== this.group) obj = obj.parent;
         if (!obj || !obj.userData || !obj.userData.__libraryItem) return;
 
+        // NEW: Shift-click marks items for a bundle export
+        if (e.shiftKey) {
+            this._toggleMarked(obj);
+            return;
+        }
+
         // Toggle selection
         if (this._selectedContainer === obj) {
             this._clearSelectionOutline();
@@ -818,7 +1117,11 @@ export class Library {
             cloned.defines = mat.defines ? { ...mat.defines } : cloned.defines;
             return cloned;
         }
-        return mat.clone ? mat.clone() : new THREE.MeshStandardMaterial({ color: 0xffffff });
+        if (!mat.clone) return new THREE.MeshStandardMaterial({ color: 0xffffff });
+        // Snapshots keep the resting glow, not the audio-boosted one of the frame they were taken in
+        const cloned = mat.clone();
+        if (cloned.emissive) cloned.emissiveIntensity = restingEmissiveIntensity(cloned);
+        return cloned;
     }
 
     _applyMaterialsToClone(sourceRoot, cloneRoot, materialsSnapshot) {
@@ -857,6 +1160,657 @@ export class Library {
         }
     }
 
+    // ============== Persistence ==============
+
+    async _restoreLibrary() {
+        const stored = await loadLibraryRecords();
+        if (!stored) return;
+        this._pruneStoredAudio(stored);
+        if (!stored.length) return;
+
+        const known = new Set(this.libraryData.map(record => record.key));
+        const restored = stored
+            .filter(data => !known.has(data.key))
+            .map(data => this._recordFromData(data));
+        // Items saved while the database was opening stay after the older ones
+        this.libraryData = [...restored, ...this.libraryData];
+        console.log(`📚 Restored ${restored.length} library items`);
+
+        this._registerCollections(restored.flatMap(record => record.collections || []));
+        this._refreshGrid();
+    }
+
+    // Audio of items deleted in an earlier session
+    async _pruneStoredAudio(stored) {
+        // Read when the stored keys are, so items saved since the restore keep their audio
+        // (this._audio also covers imports whose records are not in the library yet)
+        const keepKeys = () => {
+            const keep = new Set(this._audio.keys());
+            [...stored, ...this.libraryData].forEach(item => {
+                this._soundsOf(item).forEach(({ key }) => keep.add(key));
+            });
+            return keep;
+        };
+        const removed = await pruneLibraryAudio(keepKeys);
+        if (removed) console.log(`🧹 Removed ${removed} unused library sounds from storage`);
+    }
+
+    // Library record from its stored / bundled form
+    _recordFromData({ solid, ...fields }) {
+        return {
+            ...fields,
+            meshSnapshot: solid ? this._deserializeSolid(solid) : null
+        };
+    }
+
+    _persistItem(record) {
+        const data = this._serializeRecord(record);
+        if (data) saveLibraryRecord(data);
+    }
+
+    // Structured-clone safe copy: no solid references, no audio payload (stored decoded, per sound)
+    _serializeRecord(record) {
+        try {
+            return {
+                key: record.key,
+                savedAt: record.savedAt,
+                id: record.id,
+                type: record.type,
+                name: record.name,
+                description: record.description,
+                category: record.category,
+                solutionId: record.solutionId,
+                generation: record.generation,
+                tags: record.tags || [],
+                collections: record.collections || [],
+                solutionData: this._plainSolution(record.solutionData),
+                items: Array.isArray(record.items)
+                    ? record.items.map(({ solid, solutionData, ...fields }) => ({
+                        ...this._plainData(fields),
+                        solutionData: this._plainSolution(solutionData)
+                    }))
+                    : undefined,
+                solid: record.meshSnapshot ? this._serializeSolid(record.meshSnapshot) : null
+            };
+        } catch (e) {
+            console.warn(`⚠️ Could not serialize library item "${record.name}":`, e);
+            return null;
+        }
+    }
+
+    _plainData(value) {
+        return value == null ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    _plainSolution(solution) {
+        if (!solution) return null;
+        const { audio, ...fields } = solution;
+        return this._plainData(fields);
+    }
+
+    // Object3D JSON; userData keeps its plain values only (orbitAngle, category, ...), not the
+    // solution, update functions or material references the scene puts there
+    _serializeSolid(root) {
+        root.updateMatrixWorld(true);
+        const json = root.toJSON();
+        const prune = (node) => {
+            if (node.userData) {
+                node.userData = Object.fromEntries(Object.entries(node.userData)
+                    .filter(([, v]) => v === null || ['number', 'string', 'boolean'].includes(typeof v)));
+            }
+            (node.children || []).forEach(prune);
+        };
+        prune(json.object);
+        return json;
+    }
+
+    _deserializeSolid(json) {
+        try {
+            const root = new THREE.ObjectLoader().parse(json);
+            root.traverse(n => { if (n.isMesh) n.matrixAutoUpdate = true; });
+            root.updateMatrixWorld(true);
+            return root;
+        } catch (e) {
+            console.warn('⚠️ Could not rebuild a stored library solid:', e);
+            return null;
+        }
+    }
+
+    // The sounds of an item: [{ key: "gen_<generation>_sol_<id>", baseId, generation }]
+    _soundsOf(item) {
+        if (item.type === 'combination') {
+            return (Array.isArray(item.items) ? item.items : [])
+                .map(it => {
+                    const baseId = it.solutionData?.id ?? it.solutionId ?? it.id;
+                    const generation = it.generation ?? it.solutionData?.generation ?? 0;
+                    return baseId == null ? null : { key: `gen_${generation}_sol_${baseId}`, baseId, generation };
+                })
+                .filter(Boolean);
+        }
+        const baseId = item.solutionData?.id ?? item.id;
+        return item.solutionId && baseId != null
+            ? [{ key: item.solutionId, baseId, generation: item.generation }]
+            : [];
+    }
+
+    // Keeps the decoded audio of a new item while its generation is still loaded
+    _captureAudio(record) {
+        const sc = this.particleSystem?.surroundController;
+        if (!sc) return;
+
+        this._soundsOf(record).forEach(({ key, baseId, generation }) => {
+            if (this._audio.has(key)) return;
+            const sourceData = sc.sources.get(baseId);
+            // Ids repeat across generations: only the matching one is this sound
+            const sameGeneration = sourceData?.generation == null || String(sourceData.generation) === String(generation);
+            if (!sourceData?.buffer || !sameGeneration) {
+                console.warn(`⚠️ No audio loaded for ${key}; the library item is saved without it`);
+                return;
+            }
+            const normalization = sourceData.normalization ?? 1;
+            this._audio.set(key, { buffer: sourceData.buffer, normalization });
+            saveLibraryAudio(key, sourceData.buffer, normalization);
+        });
+    }
+
+    // Resolves to the item's sounds that have audio: [{ key, buffer, normalization }]
+    async _loadItemAudio(item) {
+        const audioContext = this.particleSystem?.surroundController?.audioContext;
+        const sounds = await Promise.all(this._soundsOf(item).map(async ({ key }) => {
+            if (!this._audio.has(key) && audioContext) {
+                const stored = await loadLibraryAudio(key, audioContext);
+                if (stored) this._audio.set(key, stored);
+            }
+            const audio = this._audio.get(key);
+            return audio ? { key, ...audio } : null;
+        }));
+        return sounds.filter(Boolean);
+    }
+
+    // ============== Search / filter / sort ==============
+
+    // The grid shows the items that pass every filter, in the chosen order
+    _visibleItems() {
+        const { query, collection, category, type, generation, fitnessMin, fitnessMax, sort, descending } = this.view;
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        const items = this.libraryData.filter(item => {
+            if (collection && !(item.collections || []).includes(collection)) return false;
+            if (words.length) {
+                const text = `${item.name || ''} ${item.description || ''} ${(item.tags || []).join(' ')}`.toLowerCase();
+                if (!words.every(word => text.includes(word))) return false;
+            }
+            if (type && item.type !== type) return false;
+            if (category && !this._itemCategories(item).includes(category)) return false;
+            if (generation !== '' && !this._itemGenerations(item).includes(Number(generation))) return false;
+            if (fitnessMin !== null || fitnessMax !== null) {
+                const fitness = this._itemValue(item, 'fitness');
+                if (fitness === null) return false;
+                if (fitnessMin !== null && fitness < fitnessMin) return false;
+                if (fitnessMax !== null && fitness > fitnessMax) return false;
+            }
+            return true;
+        });
+
+        const direction = descending ? -1 : 1;
+        if (sort === 'name') {
+            items.sort((a, b) => direction * String(a.name || '').localeCompare(String(b.name || ''), undefined, { sensitivity: 'base', numeric: true }));
+        } else if (sort === 'date') {
+            items.sort((a, b) => direction * ((a.savedAt || 0) - (b.savedAt || 0)));
+        } else {
+            // Fitness or a descriptor; items without the value go last either way
+            items.sort((a, b) => {
+                const va = this._itemValue(a, sort);
+                const vb = this._itemValue(b, sort);
+                if (va === null || vb === null) return (va === null) - (vb === null);
+                return direction * (va - vb);
+            });
+        }
+        return items;
+    }
+
+    _itemMembers(item) {
+        return item.type === 'combination' ? (Array.isArray(item.items) ? item.items : []) : [item];
+    }
+
+    _itemCategories(item) {
+        const categories = this._itemMembers(item).map(it =>
+            it.category || it.solutionData?.actual_category || ''
+        );
+        return [...new Set(categories.filter(Boolean).map(c => String(c).toLowerCase()))];
+    }
+
+    _itemGenerations(item) {
+        return this._itemMembers(item)
+            .map(it => it.generation ?? it.solutionData?.generation)
+            .filter(g => g !== undefined && g !== null)
+            .map(Number);
+    }
+
+    // Fitness or a descriptor of a sound; a combination gets the mean of its sounds (null if none has it)
+    _itemValue(item, field) {
+        const values = this._itemMembers(item)
+            .map(it => field === 'fitness'
+                ? (it.solutionData?.fitness ?? it.fitness)
+                : it.solutionData?.descriptors?.[field])
+            .filter(v => typeof v === 'number' && Number.isFinite(v));
+        return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    }
+
+    // Filter choices follow what the library holds
+    _renderViewOptions() {
+        const categories = new Set();
+        const generations = new Set();
+        const descriptors = new Set();
+        this.libraryData.forEach(item => {
+            this._itemCategories(item).forEach(c => categories.add(c));
+            this._itemGenerations(item).forEach(g => generations.add(g));
+            this._itemMembers(item).forEach(it => {
+                Object.entries(it.solutionData?.descriptors || {}).forEach(([name, value]) => {
+                    if (typeof value === 'number') descriptors.add(name);
+                });
+            });
+        });
+
+        const fill = (select, options, current) => {
+            // Keep the current choice even when no item has it anymore
+            if (current !== '' && !options.some(([value]) => value === current)) options.push([current, current]);
+            select.replaceChildren(...options.map(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                return option;
+            }));
+            select.value = current;
+        };
+
+        fill(this._collectionSelect, [['', 'All items'],
+            ...[...this.collections].sort((a, b) => a.localeCompare(b)).map(c => [c, c])], this.view.collection);
+        fill(this._categorySelect, [['', 'All categories'],
+            ...[...categories].sort().map(c => [c, this._capitalizeFirst(c)])], this.view.category);
+        fill(this._generationSelect, [['', 'All generations'],
+            ...[...generations].sort((a, b) => a - b).map(g => [String(g), `Generation ${g}`])], this.view.generation);
+        fill(this._sortSelect, [['date', 'Date saved'], ['name', 'Name'], ['fitness', 'Fitness'],
+            ...[...descriptors].sort().map(d => [d, this._capitalizeFirst(d.replace(/_/g, ' '))])], this.view.sort);
+    }
+
+    _setView(changes) {
+        Object.assign(this.view, changes);
+        this._sortDirectionBtn.textContent = this.view.descending ? '↓' : '↑';
+        if (!this.inSpace) return;
+
+        // The grid changes shape: drop the selection and frame the new result
+        if (this._selectedContainer) this._closeSelection();
+        this._layoutGrid();
+        this._renderToolbar();
+        this._animateCameraTopDown();
+    }
+
+    _closeSelection() {
+        this._clearSelectionOutline();
+        this._hideInfoPanel();
+        this._lastPanelMesh = null;
+        this.selectedItem = null;
+    }
+
+    // Re-layout after items changed (added, edited, imported)
+    _refreshGrid() {
+        if (this.inSpace) {
+            const hadSelection = !!this._selectedContainer;
+            this._layoutGrid();
+            // The selected item left the current view
+            if (hadSelection && !this._selectedContainer) this._animateCameraTopDown();
+        }
+        this._renderToolbar();
+    }
+
+    // ============== Tags / collections ==============
+
+    _normalizeTag(value) {
+        return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, TAG_MAX_LENGTH);
+    }
+
+    // Existing collections match whatever the case
+    _normalizeCollection(value) {
+        const name = String(value || '').trim().replace(/\s+/g, ' ').slice(0, COLLECTION_MAX_LENGTH);
+        return this.collections.find(c => c.toLowerCase() === name.toLowerCase()) || name;
+    }
+
+    _allTags() {
+        const tags = new Set();
+        this.libraryData.forEach(item => (item.tags || []).forEach(tag => tags.add(tag)));
+        return [...tags].sort();
+    }
+
+    _registerCollections(names) {
+        const added = (names || []).filter(name => name && !this.collections.includes(name));
+        if (!added.length) return;
+        this.collections = [...this.collections, ...added];
+        saveSetting('libraryCollections', this.collections);
+    }
+
+    _setItemTags(item, tags) {
+        this._changeItem(item, { tags }, `Change the tags of "${item.name}"`);
+    }
+
+    _setItemCollections(item, collections) {
+        const before = item.collections || [];
+        const added = collections.filter(c => !before.includes(c));
+        const removed = before.filter(c => !collections.includes(c));
+        const label = added.length
+            ? `Add "${item.name}" to ${added.join(', ')}`
+            : `Remove "${item.name}" from ${removed.join(', ')}`;
+        this._changeItem(item, { collections }, label);
+    }
+
+    // NEW: Chips with an input that autocompletes from suggestions(); Enter / comma adds,
+    // Backspace on the empty input removes the last chip
+    _createChipEditor({ title, values, suggestions, placeholder, normalize, onChange }) {
+        const section = document.createElement('div');
+        section.className = 'library-chips';
+
+        const heading = document.createElement('div');
+        heading.className = 'library-chips-title';
+        heading.textContent = title;
+
+        const list = document.createElement('div');
+        list.className = 'library-chips-list';
+
+        const datalist = document.createElement('datalist');
+        datalist.id = `library-chips-${++chipListCount}`;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'library-chips-input';
+        input.placeholder = placeholder;
+        input.setAttribute('list', datalist.id);
+
+        let current = [...values];
+        const render = () => {
+            list.replaceChildren(...current.map(value => {
+                const chip = document.createElement('span');
+                chip.className = 'library-chip';
+                chip.textContent = value;
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'library-chip-remove';
+                remove.textContent = '×';
+                remove.title = `Remove "${value}"`;
+                remove.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    commit(current.filter(v => v !== value));
+                });
+                chip.appendChild(remove);
+                return chip;
+            }));
+            datalist.replaceChildren(...suggestions()
+                .filter(value => !current.includes(value))
+                .map(value => new Option(value, value)));
+        };
+        const commit = (next) => {
+            current = next;
+            render();
+            onChange([...current]);
+        };
+        const add = () => {
+            const value = normalize(input.value);
+            input.value = '';
+            if (value && !current.includes(value)) commit([...current, value]);
+        };
+
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                add();
+            } else if (e.key === 'Backspace' && !input.value && current.length) {
+                commit(current.slice(0, -1));
+            } else if (e.key === 'Escape') {
+                input.value = '';
+                input.blur();
+            }
+        });
+        // Picking a suggestion (a plain Event in Chrome, insertReplacementText in Firefox) adds it
+        input.addEventListener('input', (e) => {
+            if (!(e instanceof InputEvent) || e.inputType === 'insertReplacementText') add();
+        });
+        input.addEventListener('focus', () => this._beginPanelEdit());
+        input.addEventListener('blur', () => this._endPanelEdit());
+
+        render();
+        section.append(heading, list, input, datalist);
+        return section;
+    }
+
+    // ============== Delete / duplicate / undo ==============
+
+    // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Y) while in the library; true when the key was used
+    handleHistoryKey(e) {
+        return this.inSpace && this.history.handleKey(e);
+    }
+
+    // Edits one item's fields as an undoable step
+    _changeItem(item, changes, label) {
+        const before = {};
+        Object.keys(changes).forEach(field => { before[field] = item[field]; });
+
+        const apply = (values, fromHistory) => {
+            Object.assign(item, values);
+            if (values.collections) this._registerCollections(values.collections);
+            this._persistItem(item);
+            this._refreshGrid();
+            // Undo / redo do not come from the panel: show the restored values
+            if (fromHistory && this.selectedItem === item && this._lastPanelMesh) {
+                this._renderPanelContents(item);
+            }
+        };
+
+        apply(changes, false);
+        this.history.push(label, {
+            undo: () => apply(before, true),
+            redo: () => apply(changes, true)
+        });
+    }
+
+    // The stored audio stays until the next restore, so a deleted item can come back
+    _deleteItem(item) {
+        const index = this.libraryData.indexOf(item);
+        if (index < 0) return;
+        const wasMarked = this._markedItems.has(item);
+
+        const remove = () => {
+            this.libraryData.splice(this.libraryData.indexOf(item), 1);
+            this._stopSoundsOfRemoved(item);
+            this._markedItems.delete(item);
+            deleteLibraryRecord(item.key);
+            this._refreshGrid();
+        };
+        const restore = () => {
+            this.libraryData.splice(Math.min(index, this.libraryData.length), 0, item);
+            if (wasMarked) this._markedItems.add(item);
+            this._persistItem(item);
+            this._refreshGrid();
+        };
+
+        remove();
+        console.log(`🗑️ Deleted "${item.name}" from the library`);
+        this.history.push(`Delete "${item.name}"`, { undo: restore, redo: remove });
+    }
+
+    // Sounds are played per audio key, which copies share: only the ones no remaining item uses stop
+    _stopSoundsOfRemoved(item) {
+        const inUse = new Set(this.libraryData.flatMap(other => this._soundsOf(other).map(({ key }) => key)));
+        this._soundsOf(item).forEach(({ key }) => {
+            if (!inUse.has(key)) this._stopLibrarySound(key);
+        });
+    }
+
+    // Copy with its own key and annotations; shares the solid snapshot and the stored audio.
+    // The key is what tells it from the original (restore, bundle import), not the solution id.
+    _duplicateItem(item) {
+        const now = Date.now();
+        const copy = {
+            ...item,
+            key: `${item.key}_copy_${now}`,
+            name: `${item.name} (copy)`.slice(0, this.nameMaxLength),
+            savedAt: now,
+            tags: [...(item.tags || [])],
+            collections: [...(item.collections || [])],
+            items: Array.isArray(item.items) ? item.items.map(it => ({ ...it })) : item.items
+        };
+
+        const add = () => {
+            const index = this.libraryData.indexOf(item);
+            this.libraryData.splice(index < 0 ? this.libraryData.length : index + 1, 0, copy);
+            this._persistItem(copy);
+            this._refreshGrid();
+        };
+        const remove = () => {
+            this.libraryData.splice(this.libraryData.indexOf(copy), 1);
+            this._stopSoundsOfRemoved(copy);
+            this._markedItems.delete(copy);
+            deleteLibraryRecord(copy.key);
+            this._refreshGrid();
+        };
+
+        add();
+        this.history.push(`Duplicate "${item.name}"`, { undo: remove, redo: add });
+
+        // Select the copy (it may be filtered out of the current view)
+        const container = this._runtimeByItem.get(copy)?.container;
+        if (container) {
+            this._applySelectionOutline(container);
+            this._openInfoPanelFor(container, copy);
+            this._animateCameraToItem(container);
+        }
+    }
+
+    // ============== Bundles ==============
+
+    async exportBundle(items) {
+        if (this._bundleBusy || !items.length) return;
+        this._bundleBusy = true;
+        this._renderToolbar();
+        this._setToolbarStatus('Exporting…');
+
+        try {
+            const files = [];
+            const sounds = {};
+            const records = [];
+
+            for (const item of items) {
+                const data = this._serializeRecord(item);
+                if (!data) continue;
+                const { solid, ...fields } = data;
+                const fileKey = this._sanitizeFilename(data.key);
+
+                if (solid) {
+                    fields.solid_file = `solids/${fileKey}.json`;
+                    files.push({ name: fields.solid_file, data: JSON.stringify(solid) });
+                }
+                for (const { key, buffer, normalization } of await this._loadItemAudio(item)) {
+                    if (sounds[key]) continue;
+                    const file = `audio/${this._sanitizeFilename(key)}.wav`;
+                    const wav = audioBufferToWavBlob(buffer, { bitDepth: 24 });
+                    files.push({ name: file, data: new Uint8Array(await wav.arrayBuffer()) });
+                    sounds[key] = { file, normalization };
+                }
+                records.push(fields);
+            }
+
+            const metadata = {
+                format: BUNDLE_FORMAT,
+                version: BUNDLE_VERSION,
+                exported_at: new Date().toISOString(),
+                items: records,
+                sounds
+            };
+            files.unshift({ name: 'library.json', data: JSON.stringify(metadata, null, 2) });
+
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+            downloadBlob(createZip(files), `shard_library_${stamp}.zip`);
+            console.log(`📦 Exported ${records.length} library items, ${Object.keys(sounds).length} sounds`);
+            this._setToolbarStatus(`Exported ${records.length} item${records.length === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.error('❌ Library export failed:', error);
+            this._setToolbarStatus(error?.message || 'Export failed', true);
+        } finally {
+            this._bundleBusy = false;
+            this._renderToolbar();
+        }
+    }
+
+    async importBundle(file) {
+        if (this._bundleBusy) return;
+        this._bundleBusy = true;
+        this._renderToolbar();
+        this._setToolbarStatus('Importing…');
+
+        try {
+            const files = await readZip(file);
+            const readJSON = (name) => JSON.parse(new TextDecoder().decode(files.get(name)));
+            if (!files.has('library.json')) throw new Error('not a library bundle (library.json is missing)');
+            const metadata = readJSON('library.json');
+            if (metadata.format !== BUNDLE_FORMAT || !Array.isArray(metadata.items)) {
+                throw new Error('not a library bundle');
+            }
+            if (metadata.version > BUNDLE_VERSION) {
+                throw new Error(`bundle version ${metadata.version} is newer than this app`);
+            }
+
+            const audioContext = this.particleSystem?.surroundController?.audioContext;
+            let added = 0;
+            let duplicates = 0;
+
+            for (const { solid_file: solidFile, ...data } of metadata.items) {
+                // The stored key identifies a record, as when the library is restored (solution ids
+                // repeat across generations, so they cannot tell items apart)
+                const key = data.key || data.solutionId || `${data.type}_${data.id}`;
+                if (this.libraryData.some(record => record.key === key)) {
+                    duplicates++;
+                    continue;
+                }
+
+                const record = this._recordFromData({
+                    ...data,
+                    key,
+                    solid: solidFile && files.has(solidFile) ? readJSON(solidFile) : null,
+                    savedAt: Date.now() + added
+                });
+
+                for (const { key } of this._soundsOf(record)) {
+                    const sound = metadata.sounds?.[key];
+                    if (this._audio.has(key) || !sound || !files.has(sound.file) || !audioContext) continue;
+                    try {
+                        const buffer = await audioContext.decodeAudioData(files.get(sound.file).slice().buffer);
+                        const normalization = sound.normalization ?? 1;
+                        this._audio.set(key, { buffer, normalization });
+                        saveLibraryAudio(key, buffer, normalization);
+                    } catch (error) {
+                        console.warn(`⚠️ Could not decode ${sound.file} from the bundle:`, error);
+                    }
+                }
+
+                this._registerCollections(record.collections);
+                this.libraryData.push(record);
+                this._persistItem(record);
+                added++;
+            }
+
+            console.log(`📦 Imported ${added} library items (${duplicates} already in the library)`);
+            this._setToolbarStatus(duplicates
+                ? `Imported ${added}, ${duplicates} already in the library`
+                : `Imported ${added} item${added === 1 ? '' : 's'}`);
+            if (added) this._refreshGrid();
+        } catch (error) {
+            console.error('❌ Library import failed:', error);
+            this._setToolbarStatus(`Import failed: ${error?.message || error}`, true);
+        } finally {
+            this._bundleBusy = false;
+            this._renderToolbar();
+        }
+    }
+
     // ============== Info panel ==============
 
     _createInfoPanel() {
@@ -886,6 +1840,8 @@ export class Library {
 
     _renderPanelContents(item) {
         const isCombo = item.type === 'combination';
+        // The resynthesis controls are rebuilt with the panel
+        this._granular?.unmount();
 
         let categoryLabel = '';
         if (isCombo) {
@@ -923,6 +1879,7 @@ export class Library {
             </h3>
             ${categoryLabel ? `<div class="library-category-label">${this._escapeHTML(categoryLabel)}</div>` : ''}
             ${descHTML}
+            <div class="library-chip-editors"></div>
             <div class="library-info-actions">
                 <button class="library-info-btn-play" type="button" data-action="play" title="Play">
                     <img src="/assets/icons/Play.svg" alt="Play" class="library-btn-icon-play">
@@ -932,7 +1889,31 @@ export class Library {
                     <img src="/assets/icons/Export.svg" alt="Export" class="library-btn-icon">
                     <span>Export Audio</span>
                 </button>
+                ${!isCombo && GranularPanel.isSupported(this.particleSystem?.surroundController) ? `
+                <button class="library-info-btn secondary" type="button" data-action="granular" title="Play again from the granular parameters">
+                    <span>Resynthesize</span>
+                </button>` : ''}
+                <div class="library-info-row">
+                    <button class="library-info-btn secondary" type="button" data-action="duplicate" title="Add a copy to annotate differently">
+                        <span>Duplicate</span>
+                    </button>
+                    <button class="library-info-btn secondary danger" type="button" data-action="delete" title="Remove from the library">
+                        <span>Delete</span>
+                    </button>
+                </div>
+                <div class="library-confirm" style="display: none;">
+                    <span>Delete "${this._escapeHTML(name)}" from the library?</span>
+                    <div class="library-info-row">
+                        <button class="library-info-btn secondary danger" type="button" data-action="confirm-delete">
+                            <span>Delete</span>
+                        </button>
+                        <button class="library-info-btn secondary" type="button" data-action="cancel-delete">
+                            <span>Cancel</span>
+                        </button>
+                    </div>
+                </div>
             </div>
+            <div class="library-granular"></div>
         `;
 
         // Wire up interactions
@@ -941,6 +1922,7 @@ export class Library {
         const descEls = this._panel.querySelectorAll('[data-editable="description"]');
         const playBtn = this._panel.querySelector('[data-action="play"]');
         const exportBtn = this._panel.querySelector('.library-info-btn[data-action="export"]');
+        const granularBtn = this._panel.querySelector('[data-action="granular"]');
 
         if (closeBtn) {
             closeBtn.onclick = (e) => {
@@ -971,6 +1953,62 @@ export class Library {
         
         if (playBtn) playBtn.onclick = (e) => { e.stopPropagation(); this._handlePlay(item); };
         if (exportBtn) exportBtn.onclick = (e) => { e.stopPropagation(); this._handleExport(item); };
+
+        // NEW: Duplicate, and delete after a confirmation (both undoable)
+        const confirmEl = this._panel.querySelector('.library-confirm');
+        const deleteRow = this._panel.querySelector('[data-action="delete"]').parentElement;
+        const showConfirm = (visible) => {
+            confirmEl.style.display = visible ? 'flex' : 'none';
+            deleteRow.style.display = visible ? 'none' : 'flex';
+        };
+        this._panel.querySelector('[data-action="duplicate"]').onclick = (e) => { e.stopPropagation(); this._duplicateItem(item); };
+        this._panel.querySelector('[data-action="delete"]').onclick = (e) => { e.stopPropagation(); showConfirm(true); };
+        this._panel.querySelector('[data-action="cancel-delete"]').onclick = (e) => { e.stopPropagation(); showConfirm(false); };
+        this._panel.querySelector('[data-action="confirm-delete"]').onclick = (e) => { e.stopPropagation(); this._deleteItem(item); };
+        if (granularBtn) granularBtn.onclick = (e) => { e.stopPropagation(); this._toggleGranular(item, granularBtn); };
+
+        this._panel.querySelector('.library-chip-editors').append(
+            this._createChipEditor({
+                title: 'Tags',
+                values: item.tags || [],
+                suggestions: () => this._allTags(),
+                placeholder: 'Add a tag',
+                normalize: (value) => this._normalizeTag(value),
+                onChange: (tags) => this._setItemTags(item, tags)
+            }),
+            this._createChipEditor({
+                title: 'Collections',
+                values: item.collections || [],
+                suggestions: () => this.collections,
+                placeholder: 'Add to a collection (new or existing)',
+                normalize: (value) => this._normalizeCollection(value),
+                onChange: (collections) => this._setItemCollections(item, collections)
+            })
+        );
+    }
+
+    // NEW: Opens / closes the resynthesis controls under the buttons
+    async _toggleGranular(item, button) {
+        const sc = this.particleSystem?.surroundController;
+        const container = this._panel.querySelector('.library-granular');
+        if (!sc || !container) return;
+
+        if (this._granular?.item === item && this._granular.element?.isConnected) {
+            this._granular.unmount();
+            button.classList.remove('active');
+            return;
+        }
+
+        const [sound] = await this._loadItemAudio(item);
+        if (!sound) {
+            console.warn(`⚠️ No audio buffer found for solution ${item?.solutionData?.id ?? item?.id}`);
+            return;
+        }
+        // The panel was rebuilt for another item while the audio loaded
+        if (!container.isConnected) return;
+        if (!this._granular) this._granular = new GranularPanel(sc);
+        this._granular.mount(container, item, sound.buffer, sound.normalization);
+        button.classList.add('active');
     }
 
     _openInfoPanelFor(mesh, item) {
@@ -990,14 +2028,7 @@ export class Library {
         }
         
         // Check if item is currently playing and update button state
-        let isPlaying = false;
-        if (item.type === 'combination' && Array.isArray(item.items)) {
-            const ids = item.items.map(it => it.solutionData?.id ?? it.id).filter(Boolean);
-            isPlaying = ids.some(id => this._playingIds.has(id));
-        } else {
-            const id = item?.solutionId ?? item?.solutionData?.id ?? item?.id;
-            isPlaying = this._playingIds.has(id);
-        }
+        const isPlaying = this._soundsOf(item).some(({ key }) => this._playingIds.has(key));
         
         // Update button state after rendering
         requestAnimationFrame(() => {
@@ -1075,7 +2106,9 @@ export class Library {
             const value = commit
                 ? this._sanitizeName(input.value)
                 : current;
-            if (commit) item.name = value;
+            if (commit && value !== item.name) {
+                this._changeItem(item, { name: value }, `Rename "${item.name}" to "${value}"`);
+            }
             this._applyNameLayout(container, value);
         };
 
@@ -1133,7 +2166,9 @@ export class Library {
             const value = commit
                 ? this._sanitizeDescription(ta.value)
                 : current;
-            if (commit) item.description = value;
+            if (commit && value !== item.description) {
+                this._changeItem(item, { description: value }, `Edit the description of "${item.name}"`);
+            }
             if (value) {
                 container.classList.remove('library-desc-placeholder');
                 container.classList.add('library-description', 'committed');
@@ -1155,101 +2190,86 @@ export class Library {
         });
     }
 
-    _handlePlay(item) {
+    async _handlePlay(item) {
         const sc = this.particleSystem?.surroundController;
         if (!sc) return;
 
-        if (item.type === 'combination' && Array.isArray(item.items)) {
-            // FIXED: Extract base IDs (without generation prefix) for audio lookup
-            const ids = item.items
-                .map(it => it.solutionData?.id ?? it.id)
-                .filter(id => id != null);
-            
-            // Check if ANY sound in combination is playing
-            const isAnyPlaying = ids.some(id => this._playingIds.has(id));
-            
-            if (isAnyPlaying) {
-                // Stop all sounds in this combination
-                ids.forEach(id => {
-                    if (this._playingIds.has(id)) {
-                        this._stopLibrarySound(id);
-                    }
-                });
-                this._updatePlayButtonState(false);
-            } else {
-                // FIXED: Check if sources actually exist before playing
-                const validIds = ids.filter(id => sc.sources.has(id));
-                if (validIds.length === 0) {
-                    console.warn('⚠️ No audio sources found for combination');
-                    return;
+        // FIXED: Sounds are keyed with their generation; the audio comes from the library's own copy
+        const keys = this._soundsOf(item).map(sound => sound.key);
+
+        // Check if ANY sound of the item is playing
+        if (keys.some(key => this._playingIds.has(key))) {
+            keys.forEach(key => {
+                if (this._playingIds.has(key)) {
+                    this._stopLibrarySound(key);
                 }
-                
-                validIds.forEach(id => {
-                    this._playLibrarySound(id, item);
-                });
-                this._updatePlayButtonState(true);
-            }
-        } else {
-            // FIXED: Extract base ID (without generation prefix) for audio lookup
-            const baseId = item?.solutionData?.id ?? item?.id;
-            if (baseId == null) return;
-            
-            // FIXED: Check if source exists before playing
-            if (!sc.sources.has(baseId)) {
-                console.warn(`⚠️ No audio source found for solution ${baseId}`);
-                return;
-            }
-            
-            // Toggle playback using base ID
-            if (this._playingIds.has(baseId)) {
-                this._stopLibrarySound(baseId);
-                this._updatePlayButtonState(false);
-            } else {
-                this._playLibrarySound(baseId, item);
-                this._updatePlayButtonState(true);
-            }
+            });
+            this._updatePlayButtonState(false);
+            return;
         }
+
+        const sounds = await this._loadItemAudio(item);
+        if (sounds.length === 0) {
+            console.warn(`⚠️ No audio found for ${item.type === 'combination' ? 'combination' : 'solution'} "${item.name}"`);
+            return;
+        }
+        // Another item was picked while the audio loaded
+        if (this.selectedItem !== item) return;
+
+        sounds.forEach(sound => this._playLibrarySound(sound));
+        this._updatePlayButtonState(true);
     }
 
-    _playLibrarySound(id, item) {
+    _playLibrarySound({ key, buffer, normalization }) {
         const sc = this.particleSystem?.surroundController;
         if (!sc) return;
 
         const mesh = this._selectedContainer?.userData?.__solidRoot || this._lastPanelMesh;
-        
-        this._playingIds.add(id);
-        this._playingMeshes.set(id, mesh);
-
-        sc.playOneShot(id, {
-            highlightMesh: mesh,
-            onEnded: () => {
-                this._playingIds.delete(id);
-                this._playingMeshes.delete(id);
-                
-                if (this._playingIds.size === 0) {
-                    this._updatePlayButtonState(false);
-                }
-                
-                if (this._playingIds.size === 0) {
-                    this._clearSelectionOutline();
-                }
-            },
-            allowOverlap: true
+
+        // Non-spatial source on the master bus, like the library's one-shots always were
+        const source = sc.ctx.createSource(0, 0, 0, false);
+        source.setBuffer(buffer);
+        source.setNormalizationGain(normalization);
+        source.play();
+
+        this._playingIds.add(key);
+        this._playingMeshes.set(key, mesh);
+        this._playingSources.set(key, source);
+        if (mesh) sc._applyGreenOutline(mesh);
+
+        // Also fires after a (faded) stop
+        source.bufferSource.addEventListener('ended', () => {
+            source.dispose();
+            if (this._playingSources.get(key) !== source) return;
+            this._playingSources.delete(key);
+            this._playingIds.delete(key);
+            this._playingMeshes.delete(key);
+
+            if (mesh && ![...this._playingMeshes.values()].includes(mesh)) {
+                sc._clearGreenOutline(mesh);
+            }
+            if (this._playingIds.size === 0) {
+                this._updatePlayButtonState(false);
+                this._clearSelectionOutline();
+            }
         });
     }
 
-    _stopLibrarySound(id) {
+    _stopLibrarySound(key) {
         const sc = this.particleSystem?.surroundController;
         if (!sc) return;
 
-        const sourceData = sc.sources.get(id);
-        if (sourceData && sc._isSourcePlaying(sourceData)) {
-            // CHANGED: Use fade-out instead of immediate stop
-            sc._stopSource(sourceData, true); // true = fade out
-        }
+        const source = this._playingSources.get(key);
+        const mesh = this._playingMeshes.get(key);
+        this._playingSources.delete(key);
+        this._playingIds.delete(key);
+        this._playingMeshes.delete(key);
 
-        this._playingIds.delete(id);
-        this._playingMeshes.delete(id);
+        // CHANGED: Use fade-out instead of immediate stop (disposed once ended)
+        source?.fadeOut(400);
+        if (mesh && ![...this._playingMeshes.values()].includes(mesh)) {
+            sc._clearGreenOutline(mesh);
+        }
     }
 
     _stopAllLibrarySounds() {
@@ -1259,10 +2279,12 @@ export class Library {
         console.log('🔇 Stopping all library sounds');
 
         // Stop each playing sound with fade
-        for (const id of Array.from(this._playingIds)) {
-            this._stopLibrarySound(id);
+        for (const key of Array.from(this._playingIds)) {
+            this._stopLibrarySound(key);
         }
 
+        this._granular?.stop();
+
         // Clear tracking
         this._playingIds.clear();
         this._playingMeshes.clear();
@@ -1295,7 +2317,7 @@ export class Library {
         }
     }
 
-    _handleExport(item) {
+    async _handleExport(item) {
         const sc = this.particleSystem?.surroundController;
         if (!sc) {
             console.warn('⚠️ No audio controller available for export');
@@ -1311,40 +2333,16 @@ export class Library {
 
             try {
                 // Convert AudioBuffer to WAV format
-                const wavBlob = this._audioBufferToWav(audioBuffer);
-                
-                // Create download link
-                const url = URL.createObjectURL(wavBlob);
-                const a = document.createElement('a');
-                a.style.display = 'none';
-                a.href = url;
-                a.download = filename;
-                
-                document.body.appendChild(a);
-                a.click();
-                
-                // Cleanup
-                setTimeout(() => {
-                    document.body.removeChild(a);
-                    URL.revokeObjectURL(url);
-                }, 100);
-                
+                downloadBlob(this._audioBufferToWav(audioBuffer), filename);
                 console.log(`✅ Exported audio: ${filename}`);
             } catch (error) {
                 console.error('❌ Failed to export audio:', error);
             }
         };
 
-        if (item.type === 'combination' && Array.isArray(item.items)) {
-            // FIXED: Extract base IDs (without generation prefix) for audio lookup
-            const ids = item.items
-                .map(it => it.solutionData?.id ?? it.id)
-                .filter(id => id != null);
-            
-            const buffers = ids
-                .map(id => sc.sources.get(id)?.buffer)
-                .filter(Boolean);
+        const buffers = (await this._loadItemAudio(item)).map(sound => sound.buffer);
 
+        if (item.type === 'combination' && Array.isArray(item.items)) {
             if (buffers.length === 0) {
                 console.warn('⚠️ No audio buffers found for combination');
                 return;
@@ -1356,21 +2354,14 @@ export class Library {
             downloadAudio(mixedBuffer, filename);
 
         } else {
-            // FIXED: Extract base ID (without generation prefix) for audio lookup
             const baseId = item?.solutionData?.id ?? item?.id;
-            if (baseId == null) {
-                console.warn('⚠️ No solution ID found');
-                return;
-            }
-
-            const sourceData = sc.sources.get(baseId);
-            if (!sourceData?.buffer) {
+            if (buffers.length === 0) {
                 console.warn(`⚠️ No audio buffer found for solution ${baseId}`);
                 return;
             }
 
             const filename = `${this._sanitizeFilename(item.name || `solution_${baseId}`)}.wav`;
-            downloadAudio(sourceData.buffer, filename);
+            downloadAudio(buffers[0], filename);
         }
     }
 
@@ -1383,60 +2374,7 @@ export class Library {
     }
 
     _audioBufferToWav(audioBuffer) {
-        const numberOfChannels = audioBuffer.numberOfChannels;
-        const sampleRate = audioBuffer.sampleRate;
-        const format = 1; // PCM
-        const bitDepth = 16;
-
-        const bytesPerSample = bitDepth / 8;
-        const blockAlign = numberOfChannels * bytesPerSample;
-
-        const samples = audioBuffer.length;
-        const dataSize = samples * blockAlign;
-        const bufferSize = 44 + dataSize;
-
-        const buffer = new ArrayBuffer(bufferSize);
-        const view = new DataView(buffer);
-
-        // Write WAV header
-        const writeString = (offset, string) => {
-            for (let i = 0; i < string.length; i++) {
-                view.setUint8(offset + i, string.charCodeAt(i));
-            }
-        };
-
-        writeString(0, 'RIFF');
-        view.setUint32(4, bufferSize - 8, true);
-        writeString(8, 'WAVE');
-        writeString(12, 'fmt ');
-        view.setUint32(16, 16, true); // fmt chunk size
-        view.setUint16(20, format, true);
-        view.setUint16(22, numberOfChannels, true);
-        view.setUint32(24, sampleRate, true);
-        view.setUint32(28, sampleRate * blockAlign, true);
-        view.setUint16(32, blockAlign, true);
-        view.setUint16(34, bitDepth, true);
-        writeString(36, 'data');
-        view.setUint32(40, dataSize, true);
-
-        // Write audio data
-        const channelData = [];
-        for (let i = 0; i < numberOfChannels; i++) {
-            channelData.push(audioBuffer.getChannelData(i));
-        }
-
-        let offset = 44;
-        for (let i = 0; i < samples; i++) {
-            for (let channel = 0; channel < numberOfChannels; channel++) {
-                // Convert float32 (-1 to 1) to int16 (-32768 to 32767)
-                const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
-                const int16 = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
-                view.setInt16(offset, int16, true);
-                offset += 2;
-            }
-        }
-
-        return new Blob([buffer], { type: 'audio/wav' });
+        return audioBufferToWavBlob(audioBuffer, { bitDepth: 16 });
     }
 
     _mixAudioBuffers(buffers, audioContext) {
@@ -1514,6 +2452,10 @@ export class Library {
                 child.material = originalMaterial;
             }
         });
+        // Marked items keep their mark
+        if (this._markedItems.has(this._hoveredContainer.userData.__libraryItem)) {
+            this._applyMarkOutline(this._hoveredContainer);
+        }
         
         this._hoveredContainer = null;
     }
@@ -1547,10 +2489,25 @@ export class Library {
                 child.material = originalMaterial;
             }
         });
+        // Marked items keep their mark
+        if (this._markedItems.has(this._selectedContainer.userData.__libraryItem)) {
+            this._applyMarkOutline(this._selectedContainer);
+        }
         
         this._selectedContainer = null;
     }
 
+    // NEW: Amber tint of items marked for export (shift-click)
+    _applyMarkOutline(root) {
+        const markColor = new THREE.Color(0xffb347);
+        root.traverse(child => {
+            if (!child.isMesh) return;
+            const originalMaterial = this._globalLibraryMaterialCache.get(child);
+            if (!originalMaterial) return;
+            child.material = this._createTintedMaterial(originalMaterial, 0.35, markColor);
+        });
+    }
+
     _createTintedMaterial(source, intensity, highlightColor) {
         if (!source || typeof source.clone !== 'function') {
             console.warn('⚠️ Cannot clone material:', source);
@@ -1562,7 +2519,8 @@ export class Library {
             
             if ('emissive' in cloned && cloned.emissive && typeof cloned.emissive.copy === 'function') {
                 cloned.emissive.copy(highlightColor);
-                cloned.emissiveIntensity = Math.max(intensity, cloned.emissiveIntensity ?? 0);
+                cloned.emissiveIntensity = Math.max(intensity, restingEmissiveIntensity(cloned));
+                cloned.userData.baseEmissiveIntensity = cloned.emissiveIntensity;
             }
             
             if ('color' in cloned && cloned.color && typeof cloned.color.lerp === 'function') {
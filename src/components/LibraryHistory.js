@@ -0,0 +1,139 @@
+// Undo / redo of Library edits for the session, with the small history panel shown in the
+// Library space. An entry is { label, undo(), redo() }; a new entry drops the undone ones.
+export class LibraryHistory {
+    constructor({ limit = 100 } = {}) {
+        this.limit = limit;
+        this.entries = [];
+        this.index = 0; // entries before index are done, the rest undone
+        this.element = null;
+        this.createPanel();
+    }
+
+    push(label, { undo, redo }) {
+        this.entries.splice(this.index);
+        this.entries.push({ label, undo, redo, time: new Date() });
+        if (this.entries.length > this.limit) this.entries.shift();
+        this.index = this.entries.length;
+        this.render();
+    }
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.entries.length;
+    }
+
+    undo() {
+        if (!this.canUndo()) return false;
+        const entry = this.entries[--this.index];
+        entry.undo();
+        console.log(`↩️ Undo: ${entry.label}`);
+        this.render();
+        return true;
+    }
+
+    redo() {
+        if (!this.canRedo()) return false;
+        const entry = this.entries[this.index++];
+        entry.redo();
+        console.log(`↪️ Redo: ${entry.label}`);
+        this.render();
+        return true;
+    }
+
+    // Undoes / redoes up to the state right after entries[index - 1]
+    goTo(index) {
+        while (this.index > index && this.undo());
+        while (this.index < index && this.redo());
+    }
+
+    // Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl/Cmd+Y; true when the key was used
+    handleKey(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return false;
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) return this.undo() || true;
+        if ((key === 'z' && e.shiftKey) || key === 'y') return this.redo() || true;
+        return false;
+    }
+
+    // **PANEL**
+
+    createPanel() {
+        this.element = document.createElement('div');
+        this.element.className = 'library-history';
+        this.element.style.display = 'none';
+
+        const header = document.createElement('div');
+        header.className = 'library-history-header';
+        const title = document.createElement('span');
+        title.textContent = 'History';
+
+        const makeButton = (text, tooltip, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'library-history-btn';
+            button.textContent = text;
+            button.title = tooltip;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                onClick();
+            });
+            return button;
+        };
+        this.undoBtn = makeButton('↶', 'Undo (Ctrl+Z)', () => this.undo());
+        this.redoBtn = makeButton('↷', 'Redo (Ctrl+Shift+Z)', () => this.redo());
+        header.append(title, this.undoBtn, this.redoBtn);
+
+        this.listEl = document.createElement('ol');
+        this.listEl.className = 'library-history-list';
+
+        this.element.append(header, this.listEl);
+        document.body.appendChild(this.element);
+        this.render();
+    }
+
+    show() {
+        this.element.style.display = 'flex';
+        this.render();
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+    }
+
+    render() {
+        this.undoBtn.disabled = !this.canUndo();
+        this.redoBtn.disabled = !this.canRedo();
+
+        if (!this.entries.length) {
+            const empty = document.createElement('li');
+            empty.className = 'library-history-empty';
+            empty.textContent = 'No changes yet';
+            this.listEl.replaceChildren(empty);
+            return;
+        }
+
+        // Newest first; clicking an entry goes back (or forward) to just after it
+        const items = this.entries.map((entry, i) => {
+            const li = document.createElement('li');
+            li.className = 'library-history-entry';
+            li.classList.toggle('undone', i >= this.index);
+            li.classList.toggle('current', i === this.index - 1);
+            li.textContent = entry.label;
+            li.title = entry.time.toLocaleTimeString();
+            li.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.goTo(i + 1);
+            });
+            return li;
+        });
+        this.listEl.replaceChildren(...items.reverse());
+    }
+
+    dispose() {
+        this.element?.remove();
+        this.element = null;
+    }
+}
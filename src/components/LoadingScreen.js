@@ -2,13 +2,23 @@ export class LoadingScreen {
     constructor() {
         this.container = null;
         this.isVisible = false;
+        this.progressEl = null;
+        this.cancelBtn = null;
+        // Sound decoding of the current generation, see setSoundProgress()
+        this.soundProgress = null;
+        this.soundStatus = null;
+        this.soundStatusTimer = null;
     }
 
     show(message = 'Loading') {
-        if (this.isVisible) return;
+        // Already showing (and not fading out): just swap the message
+        if (this.isVisible && this.container && !this.container.classList.contains('fade-out')) {
+            this.updateMessage(message);
+            return;
+        }
         
-        // Remove any existing loading screen
-        this.hide();
+        // Remove any existing (possibly fading) loading screen right away
+        this._removeNow();
 
         // Create loading container
         this.container = document.createElement('div');
@@ -41,17 +51,149 @@ export class LoadingScreen {
     }
 
     hide() {
-        if (this.container) {
-            this.container.classList.add('fade-out');
+        if (this.container && !this.container.classList.contains('fade-out')) {
+            const container = this.container;
+            container.classList.add('fade-out');
             setTimeout(() => {
-                if (this.container && this.container.parentElement) {
-                    this.container.remove();
-                }
-                this.container = null;
-                this.isVisible = false;
+                // A new show() may have replaced the container during the fade
+                if (this.container === container) this._removeNow();
+                else container.remove();
             }, 500); // Match CSS transition
             console.log('✅ Loading screen hidden');
+            // Sounds still decoding (or failed) move to the small status pill
+            this._renderSoundStatus();
+        }
+    }
+
+    _isShowing() {
+        return this.isVisible && !!this.container && !this.container.classList.contains('fade-out');
+    }
+
+    _removeNow() {
+        if (this.container && this.container.parentElement) {
+            this.container.remove();
+        }
+        this.container = null;
+        this.progressEl = null;
+        this.cancelBtn = null;
+        this.isVisible = false;
+    }
+
+    // progress: { percent (0-100, or null for indeterminate), stage, detail }
+    setProgress({ percent = null, stage = '', detail = '' } = {}) {
+        if (!this.container) return;
+
+        if (!this.progressEl) {
+            this.progressEl = document.createElement('div');
+            this.progressEl.className = 'loading-progress';
+            this.progressEl.innerHTML = `
+                <div class="loading-progress-stage"></div>
+                <div class="loading-progress-bar"><div class="loading-progress-fill"></div></div>
+                <div class="loading-progress-detail"></div>
+            `;
+            // Progress sits below the pulsing text, before any cancel button
+            this.container.insertBefore(this.progressEl, this.cancelBtn);
+        }
+
+        const hasPercent = typeof percent === 'number' && Number.isFinite(percent);
+        const clamped = hasPercent ? Math.max(0, Math.min(100, percent)) : 0;
+        this.progressEl.classList.toggle('indeterminate', !hasPercent);
+        this.progressEl.querySelector('.loading-progress-fill').style.width = hasPercent ? `${clamped}%` : '';
+        this.progressEl.querySelector('.loading-progress-stage').textContent =
+            hasPercent ? `${stage}${stage ? ' · ' : ''}${Math.round(clamped)}%` : stage;
+        this.progressEl.querySelector('.loading-progress-detail').textContent = detail;
+    }
+
+    clearProgress() {
+        this.progressEl?.remove();
+        this.progressEl = null;
+    }
+
+    // Sound decoding of a generation: { ready, total, failed: [{ id, reason }] }.
+    // Shown as progress while the screen is up; once it hides, a status pill stays
+    // until every sound is ready, and lists failed sounds until dismissed.
+    setSoundProgress({ ready = 0, total = 0, failed = [] } = {}) {
+        this.soundProgress = { ready, total, failed };
+
+        if (this._isShowing()) {
+            this.setProgress({
+                percent: total > 0 ? (ready / total) * 100 : null,
+                stage: 'Decoding sounds',
+                detail: this._describeSounds()
+            });
+        }
+        this._renderSoundStatus();
+    }
+
+    _describeSounds() {
+        const { ready, total, failed } = this.soundProgress;
+        const text = `${ready} of ${total} sounds ready`;
+        return failed.length > 0 ? `${text} · ${failed.length} failed` : text;
+    }
+
+    _renderSoundStatus() {
+        clearTimeout(this.soundStatusTimer);
+        const progress = this.soundProgress;
+        if (!progress || this._isShowing()) {
+            this.soundStatus?.classList.remove('visible');
+            return;
         }
+
+        if (!this.soundStatus) {
+            this.soundStatus = document.createElement('div');
+            this.soundStatus.className = 'sound-load-status';
+            this.soundStatus.innerHTML = `
+                <div class="sound-load-summary"></div>
+                <ul class="sound-load-failed"></ul>
+                <button class="sound-load-dismiss" title="Dismiss">×</button>
+            `;
+            this.soundStatus.querySelector('.sound-load-dismiss').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.soundProgress = null;
+                this.soundStatus.classList.remove('visible');
+            });
+            document.body.appendChild(this.soundStatus);
+        }
+
+        this.soundStatus.querySelector('.sound-load-summary').textContent = this._describeSounds();
+        const list = this.soundStatus.querySelector('.sound-load-failed');
+        list.innerHTML = '';
+        progress.failed.forEach(({ id, reason }) => {
+            const item = document.createElement('li');
+            item.textContent = `Sound ${id}: ${reason}`;
+            list.appendChild(item);
+        });
+
+        const hasFailures = progress.failed.length > 0;
+        this.soundStatus.classList.toggle('has-failures', hasFailures);
+        this.soundStatus.classList.add('visible');
+
+        // All sounds ready: show the final count briefly, then get out of the way
+        if (!hasFailures && progress.ready >= progress.total) {
+            this.soundStatusTimer = setTimeout(() => {
+                this.soundProgress = null;
+                this.soundStatus?.classList.remove('visible');
+            }, 2000);
+        }
+    }
+
+    setCancelAction(label, onCancel) {
+        if (!this.container) return;
+        this.clearCancelAction();
+
+        this.cancelBtn = document.createElement('button');
+        this.cancelBtn.className = 'loading-cancel-btn';
+        this.cancelBtn.textContent = label;
+        this.cancelBtn.addEventListener('click', () => {
+            this.cancelBtn.disabled = true;
+            onCancel?.();
+        });
+        this.container.appendChild(this.cancelBtn);
+    }
+
+    clearCancelAction() {
+        this.cancelBtn?.remove();
+        this.cancelBtn = null;
     }
 
     updateMessage(message) {
@@ -72,9 +214,10 @@ export class LoadingScreen {
         const dots = this.container.querySelector('.loading-dots');
         if (!dots) return;
         
+        const container = this.container;
         let dotCount = 0;
         const interval = setInterval(() => {
-            if (!this.isVisible || !this.container) {
+            if (!this.isVisible || this.container !== container) {
                 clearInterval(interval);
                 return;
             }
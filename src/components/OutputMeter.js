@@ -0,0 +1,110 @@
+// Small meter under the soundscape button: peak and RMS of the master output (after the limiter)
+// in dBFS, with a peak-hold marker and how many dB the compressor / limiter are taking off.
+const METER_FLOOR_DB = -60;
+const PEAK_HOLD_MS = 1200;
+const CLIP_DB = -0.1;
+const READOUT_INTERVAL_MS = 200;
+
+function toDb(linear) {
+    return linear > 0 ? 20 * Math.log10(linear) : -Infinity;
+}
+
+function toPercent(db) {
+    if (!Number.isFinite(db)) return 0;
+    return Math.max(0, Math.min(100, (1 - db / METER_FLOOR_DB) * 100));
+}
+
+export class OutputMeter {
+    constructor(surroundContext) {
+        this.surroundContext = surroundContext;
+        this.analyser = surroundContext.masterAnalyser;
+        this.samples = new Float32Array(this.analyser.fftSize);
+
+        this.holdDb = -Infinity;
+        this.holdAt = 0;
+        this.clipUntil = 0;
+        this.lastReadout = 0;
+        this._frameId = null;
+
+        this.createMeter();
+        this._start();
+    }
+
+    createMeter() {
+        this.container = document.createElement('div');
+        this.container.className = 'output-meter';
+        this.container.title = 'Output level (peak / RMS) and gain reduction';
+        this.container.innerHTML = `
+            <div class="output-meter-bar">
+                <div class="output-meter-peak"></div>
+                <div class="output-meter-rms"></div>
+                <div class="output-meter-hold"></div>
+            </div>
+            <div class="output-meter-gr-bar"><div class="output-meter-gr"></div></div>
+            <div class="output-meter-readout">
+                <span class="output-meter-value">-∞ dB</span>
+                <span class="output-meter-gr-value"></span>
+            </div>
+        `;
+        this.peakEl = this.container.querySelector('.output-meter-peak');
+        this.rmsEl = this.container.querySelector('.output-meter-rms');
+        this.holdEl = this.container.querySelector('.output-meter-hold');
+        this.grEl = this.container.querySelector('.output-meter-gr');
+        this.valueEl = this.container.querySelector('.output-meter-value');
+        this.grValueEl = this.container.querySelector('.output-meter-gr-value');
+        document.body.appendChild(this.container);
+    }
+
+    _start() {
+        const update = (now) => {
+            this._frameId = requestAnimationFrame(update);
+            this._update(now);
+        };
+        this._frameId = requestAnimationFrame(update);
+    }
+
+    _update(now) {
+        this.analyser.getFloatTimeDomainData(this.samples);
+
+        let peak = 0;
+        let sumSquares = 0;
+        for (let i = 0; i < this.samples.length; i++) {
+            const value = this.samples[i];
+            const abs = Math.abs(value);
+            if (abs > peak) peak = abs;
+            sumSquares += value * value;
+        }
+        const peakDb = toDb(peak);
+        const rmsDb = toDb(Math.sqrt(sumSquares / this.samples.length));
+
+        if (peakDb >= this.holdDb || now - this.holdAt > PEAK_HOLD_MS) {
+            this.holdDb = peakDb;
+            this.holdAt = now;
+        }
+        if (peakDb >= CLIP_DB) this.clipUntil = now + PEAK_HOLD_MS;
+
+        const reduction = this.surroundContext.getGainReduction();
+
+        this.peakEl.style.width = `${toPercent(peakDb)}%`;
+        this.rmsEl.style.width = `${toPercent(rmsDb)}%`;
+        this.holdEl.style.left = `${toPercent(this.holdDb)}%`;
+        this.holdEl.style.opacity = Number.isFinite(this.holdDb) && this.holdDb > METER_FLOOR_DB ? '1' : '0';
+        // Gain reduction bar: 0-20 dB
+        this.grEl.style.width = `${Math.min(100, reduction / 20 * 100)}%`;
+        this.container.classList.toggle('clipping', now < this.clipUntil);
+
+        if (now - this.lastReadout > READOUT_INTERVAL_MS) {
+            this.lastReadout = now;
+            this.valueEl.textContent = Number.isFinite(this.holdDb) && this.holdDb > METER_FLOOR_DB
+                ? `${this.holdDb.toFixed(1)} dB`
+                : '-∞ dB';
+            this.grValueEl.textContent = reduction >= 0.5 ? `GR ${reduction.toFixed(1)}` : '';
+        }
+    }
+
+    dispose() {
+        if (this._frameId) cancelAnimationFrame(this._frameId);
+        this._frameId = null;
+        this.container.remove();
+    }
+}
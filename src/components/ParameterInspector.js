@@ -0,0 +1,286 @@
+import * as THREE from 'three';
+import { createGeometricSolid } from './GeometricSolid.js';
+import { GranularPanel } from './GranularPanel.js';
+import { HANDSHAKE_EVENT, SEED_STATES, SEED_STATE_EVENT } from './PythonCommunication.js';
+import { createRandom } from '../utils/helpers.js';
+
+// Parameter inspector of Evolve mode (click a solid without dragging it): the solution's
+// parameters as sliders, the selected solid rebuilt live from the edited parameters (shape and
+// color; the engine's solid comes back when the inspector closes), audition through the granular
+// synth, and "Send as seed" to offer the variant to the engine for the next generation.
+//
+// The variant is shown inside the selected solid's root, so everything that holds the root
+// (scores, dragging, highlights, sound positions) keeps working on it while it is edited.
+
+// Stands in for the root's own mesh while a variant is shown
+const NO_GEOMETRY = new THREE.BufferGeometry();
+
+const SEED_MESSAGES = {
+    [SEED_STATES.SENT]: 'Sent, waiting for the engine…',
+    [SEED_STATES.ACCEPTED]: 'Seed accepted for the next generation',
+    [SEED_STATES.REJECTED]: 'The engine did not accept the seed'
+};
+
+// Stable seed for the variant's shape from a solution id
+function hashId(id) {
+    let hash = 2166136261;
+    for (const ch of String(id)) {
+        hash ^= ch.charCodeAt(0);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+function disposeSolid(root) {
+    root.traverse(child => {
+        if (!child.isMesh) return;
+        // Clones share the geometry of the main mesh; dispose() tolerates repeats
+        child.geometry?.dispose();
+        child.material?.dispose();
+    });
+}
+
+export class ParameterInspector {
+    constructor(surroundController, pythonCommunication) {
+        this.surroundController = surroundController;
+        this.pythonCommunication = pythonCommunication;
+        this.solution = null;
+        this.solid = null;
+        this.parameters = null;
+        this.visible = false;
+        this.seedId = null;
+        this._variant = null;
+        // What the selected solid showed before the variant replaced it
+        this._original = null;
+        this._frame = null;
+
+        this.granular = new GranularPanel(surroundController, {
+            onChange: (parameters) => this.onParametersChanged(parameters),
+            // The solid's own loop (started by the click) gives way to the variant
+            onPlay: () => surroundController.stopAllManualPlayback()
+        });
+
+        this._onSeedState = (e) => {
+            const { seedId, state, message } = e.detail || {};
+            if (!seedId || seedId !== this.seedId) return;
+            this.setSeedStatus(message || SEED_MESSAGES[state], state === SEED_STATES.REJECTED);
+            if (state !== SEED_STATES.SENT) this.seedId = null;
+            this.render();
+        };
+        this._onHandshake = () => this.render();
+        window.addEventListener(SEED_STATE_EVENT, this._onSeedState);
+        window.addEventListener(HANDSHAKE_EVENT, this._onHandshake);
+
+        this.createPanel();
+    }
+
+    createPanel() {
+        this.container = document.createElement('div');
+        this.container.className = 'parameter-inspector';
+        this.container.style.display = 'none';
+        // Clicks and drags in the panel must not reach the scene behind it
+        ['click', 'pointerdown'].forEach(type => {
+            this.container.addEventListener(type, (e) => e.stopPropagation());
+        });
+
+        const header = document.createElement('div');
+        header.className = 'parameter-inspector-header';
+        this.titleEl = document.createElement('span');
+        this.titleEl.className = 'parameter-inspector-title';
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'parameter-inspector-close';
+        closeBtn.textContent = '×';
+        closeBtn.title = 'Close';
+        closeBtn.addEventListener('click', () => this.close());
+        header.append(this.titleEl, closeBtn);
+
+        this.subtitleEl = document.createElement('div');
+        this.subtitleEl.className = 'parameter-inspector-subtitle';
+
+        this.controlsEl = document.createElement('div');
+        this.controlsEl.className = 'parameter-inspector-controls';
+
+        this.seedBtn = document.createElement('button');
+        this.seedBtn.className = 'parameter-inspector-seed';
+        this.seedBtn.textContent = 'Send as seed';
+        this.seedBtn.addEventListener('click', () => this.sendSeed());
+
+        this.seedStatusEl = document.createElement('div');
+        this.seedStatusEl.className = 'parameter-inspector-status';
+
+        this.container.append(
+            header,
+            this.subtitleEl,
+            this.controlsEl,
+            this.seedBtn,
+            this.seedStatusEl
+        );
+        document.body.appendChild(this.container);
+    }
+
+    open(mesh) {
+        const solution = mesh?.userData?.solution;
+        if (!solution) return;
+        if (this.visible && this.solution === solution) return;
+        this._restoreSolid();
+
+        this.solution = solution;
+        this.solid = mesh;
+        this.category = mesh.userData.category || solution.actual_category || 'mid';
+        this.seedId = null;
+        this.setSeedStatus('');
+
+        this.titleEl.textContent = `Sound ${solution.id}`;
+        this.subtitleEl.textContent = [
+            solution.generation != null ? `Generation ${solution.generation}` : null,
+            this.category
+        ].filter(Boolean).join(' · ');
+
+        const sourceData = this.surroundController?.sources.get(solution.id);
+        this.granular.mount(
+            this.controlsEl,
+            { name: `sound_${solution.id}`, audioParams: solution.parameters },
+            sourceData?.buffer || null,
+            sourceData?.normalization ?? 1
+        );
+        this.parameters = this.granular.getParameters();
+
+        this.visible = true;
+        this.container.style.display = 'flex';
+        this.render();
+    }
+
+    close() {
+        if (!this.visible) return;
+        this.visible = false;
+        this.granular.unmount();
+        this.container.style.display = 'none';
+        cancelAnimationFrame(this._frame);
+        this._frame = null;
+        this._restoreSolid();
+        this.solution = null;
+        this.solid = null;
+    }
+
+    onParametersChanged(parameters) {
+        this.parameters = parameters;
+        // Rebuilt at most once per frame while a slider moves
+        if (!this._frame) {
+            this._frame = requestAnimationFrame(() => {
+                this._frame = null;
+                if (this.visible) this._showVariant();
+            });
+        }
+        this.render();
+    }
+
+    isEdited() {
+        if (!this.solution) return false;
+        const original = this.granular.original;
+        return Object.keys(original).some(name => Math.abs(original[name] - this.parameters[name]) > 1e-9);
+    }
+
+    // **LIVE SOLID**
+
+    // The selected solid shows the edited parameters; back to the engine's solid when they match it
+    _showVariant() {
+        const root = this.solid;
+        if (!root) return;
+        if (!this.isEdited()) {
+            this._restoreSolid();
+            return;
+        }
+
+        if (!this._original) {
+            // The root keeps its place, score and solution; its own mesh and voice clones step aside
+            const children = root.children.filter(child => child.isMesh);
+            this._original = {
+                geometry: root.geometry,
+                scale: root.scale.clone(),
+                rotation: root.rotation.clone(),
+                update: root.userData.update,
+                children
+            };
+            children.forEach(child => root.remove(child));
+            if (root.isMesh) root.geometry = NO_GEOMETRY;
+            root.scale.set(1, 1, 1);
+            root.rotation.set(0, 0, 0);
+        }
+
+        this._removeVariant();
+        const variant = createGeometricSolid({ ...this.solution, parameters: this.parameters }, null, null, {
+            random: createRandom(hashId(this.solution.id)),
+            log: false
+        });
+        root.add(variant);
+        // The scene animates solids through their root
+        root.userData.update = (elapsed) => variant.userData.update?.(elapsed);
+        this._variant = variant;
+        this._meshesChanged(root);
+    }
+
+    _restoreSolid() {
+        const root = this.solid;
+        this._removeVariant();
+        if (!root || !this._original) return;
+
+        const { geometry, scale, rotation, update, children } = this._original;
+        if (root.isMesh) root.geometry = geometry;
+        root.scale.copy(scale);
+        root.rotation.copy(rotation);
+        root.userData.update = update;
+        children.forEach(child => root.add(child));
+        this._original = null;
+        this._meshesChanged(root);
+    }
+
+    _removeVariant() {
+        if (!this._variant) return;
+        this._variant.parent?.remove(this._variant);
+        disposeSolid(this._variant);
+        this._variant = null;
+    }
+
+    _meshesChanged(root) {
+        this.surroundController?.particleSystem?.forgetSolidMeshes?.(root);
+    }
+
+    // **SEED**
+
+    sendSeed() {
+        const pc = this.pythonCommunication;
+        if (!this.solution || !pc?.supportsSeeds() || !this.isEdited()) return;
+        this.seedId = pc.sendSeed({
+            parameters: this.parameters,
+            category: this.category,
+            generation: this.solution.generation,
+            parentId: this.solution.id
+        });
+        if (!this.seedId) this.setSeedStatus('Not connected to the engine', true);
+        this.render();
+    }
+
+    setSeedStatus(text, isError = false) {
+        this.seedStatusEl.textContent = text || '';
+        this.seedStatusEl.classList.toggle('error', !!text && isError);
+    }
+
+    render() {
+        const supported = !!this.pythonCommunication?.supportsSeeds();
+        const edited = this.isEdited();
+        this.seedBtn.disabled = !supported || !edited || !!this.seedId;
+        this.seedBtn.title = !supported
+            ? 'The connected engine does not accept seeds'
+            : edited
+                ? 'Add this variant to the next generation'
+                : 'Change a parameter first';
+    }
+
+    dispose() {
+        this.close();
+        window.removeEventListener(SEED_STATE_EVENT, this._onSeedState);
+        window.removeEventListener(HANDSHAKE_EVENT, this._onHandshake);
+        this.granular.dispose();
+        this.container.remove();
+    }
+}
@@ -1,6 +1,9 @@
 import * as THREE from 'three';
 import { createGeometricSolid } from './GeometricSolid';
 import { SpatialGrid } from './SpatialGrid.js'; // CHANGED: Named import with curly braces
+import { createSilentLevels } from '../audio/AudioAnalysis.js';
+
+const SILENT_LEVELS = Object.freeze(createSilentLevels());
 
 
 const complementary_map = {
@@ -34,6 +37,10 @@ export class ParticleSystem {
         this.peaks = [];
         this.previousHeights = [];
         this.time = 0;
+        // Audio levels per peak for this frame (see AudioAnalysis) and the meshes each solid glows with
+        this._peakLevels = [];
+        this._masterLevels = SILENT_LEVELS;
+        this._glowMeshes = new WeakMap();
         this.updateInterval = 40;
         this.frameCounter = 0;
         this.targetLocked = false;
@@ -580,17 +587,19 @@ export class ParticleSystem {
     }
     
         
-     update(frequencyData) {
+    // audioFrame: { master, sources: Map<solutionId, levels> } from AudioAnalysis.update(), or null for silence
+     update(audioFrame = null) {
     // Guard clause - don't update if not initialized or no valid data
     if (!this.peaks || this.peaks.length === 0) {
         return; // Exit early if no peaks exist yet
     }
 
-    // Guard clause - handle missing or invalid frequency data
-    if (!frequencyData || frequencyData.length === 0) {
-        // Use zeros/silence if no audio data available
-        frequencyData = new Uint8Array(10);
+    this._masterLevels = audioFrame?.master || SILENT_LEVELS;
+    for (let i = 0; i < this.peaks.length; i++) {
+        const id = this.peakSolids[i]?.userData?.solution?.id;
+        this._peakLevels[i] = (id !== undefined && audioFrame?.sources?.get(id)) || SILENT_LEVELS;
     }
+    this._peakLevels.length = this.peaks.length;
 
     this.time += 0.016;
     this.frameCounter++;
@@ -729,9 +738,8 @@ export class ParticleSystem {
         if (!peak || !peak.grains) return;
         if (this.categoryFilterActive && peak.categoryVisible === false) return;
 
-        // Default/audio height for main screen
-        const frequencyIndex = index % Math.max(frequencyData.length, 1);
-        let targetHeight = frequencyData.length > 0 ? (frequencyData[frequencyIndex] / 256 * 5) : 5;
+        // Solids keep their resting height; sound drives grain speed and light instead
+        let targetHeight = 0;
         if (typeof this.previousHeights[index] !== 'number') this.previousHeights[index] = targetHeight;
         let smoothedHeight = this.previousHeights[index] * 0.8 + targetHeight * 0.2;
         this.previousHeights[index] = smoothedHeight;
@@ -759,6 +767,10 @@ export class ParticleSystem {
 
         const GRAIN_THRESHOLD = this.categoryFilterActive ? this.grainsPerVisiblePeak : peak.grains.length;
 
+        // Louder sources swirl faster and kick on onsets; the whole mix adds a little to every peak
+        const levels = this._peakLevels[index] || SILENT_LEVELS;
+        const drive = 1 + levels.energy * 2.0 + levels.onset * 1.5 + this._masterLevels.energy * 0.5;
+
             for (let j = 0; j < peak.grains.length; j++) {
                 const grain = peak.grains[j];
                 if (!grain || !grain.userData) continue;
@@ -828,7 +840,7 @@ export class ParticleSystem {
 
                     const orbitSpeed = 0.4 + 0.08 * randomization[0];
                     const orbitPhase = t * orbitSpeed + grain.userData.transitionSeed;
-                    let orbitAmount = 0.15 + 0.12 * Math.sin(orbitPhase + j * 0.2);
+                    let orbitAmount = (0.15 + 0.12 * Math.sin(orbitPhase + j * 0.2)) * drive;
 
                     if (!grain.userData.orbitDeviation || t - (grain.userData.lastDeviationTime || 0) > 1.5 + Math.random() * 1.5) {
                         grain.userData.orbitDeviation = new THREE.Vector3(
@@ -847,7 +859,7 @@ export class ParticleSystem {
                 grain.userData.velocity.add(grain.userData.acceleration);
                 grain.userData.velocity.multiplyScalar(0.88);
 
-                const maxSpeed = grain.userData.maxSpeed * 1.8;
+                const maxSpeed = grain.userData.maxSpeed * 1.8 * drive;
                 if (grain.userData.velocity.length() > maxSpeed) {
                     grain.userData.velocity.setLength(maxSpeed);
                 }
@@ -889,10 +901,43 @@ export class ParticleSystem {
         }
     }
 
+    this._applySolidGlow();
+
     // Update grid lighting
     this.updateGridLighting();
 }
 
+    // Solids glow with their own sound: emissive intensity rises with energy and flashes on onsets
+    _applySolidGlow() {
+        for (let i = 0; i < this.peakSolids.length; i++) {
+            const solid = this.peakSolids[i];
+            if (!solid) continue;
+            const levels = this._peakLevels[i] || SILENT_LEVELS;
+            const boost = 1 + levels.energy * 2.5 + levels.onset * 1.5;
+
+            // Meshes are collected once per solid; their material is read each frame since
+            // highlights swap it. Only materials with a resting glow (GeometricSolid) are scaled.
+            let meshes = this._glowMeshes.get(solid);
+            if (!meshes) {
+                meshes = [];
+                solid.traverse(obj => { if (obj.isMesh) meshes.push(obj); });
+                this._glowMeshes.set(solid, meshes);
+            }
+            for (const mesh of meshes) {
+                const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+                for (const material of materials) {
+                    const base = material?.userData?.baseEmissiveIntensity;
+                    if (base != null && material.emissive) material.emissiveIntensity = base * boost;
+                }
+            }
+        }
+    }
+
+    // The meshes of a solid changed (parameter inspector): collected again for the glow
+    forgetSolidMeshes(solid) {
+        this._glowMeshes.delete(solid);
+    }
+
     updateGridLighting() {
         const lightPositions = [];
         const lightIntensities = [];
@@ -900,8 +945,9 @@ export class ParticleSystem {
         for (let i = 0; i < this.peakSolids.length; i++) {
             const solid = this.peakSolids[i];
             if (solid && solid.position && ( !this.categoryFilterActive || solid.visible !== false )) { // <--- respect flag
+                const levels = this._peakLevels[i] || SILENT_LEVELS;
                 lightPositions.push(solid.position.x, solid.position.y, solid.position.z);
-                lightIntensities.push(1.5);
+                lightIntensities.push(1.5 + levels.energy * 3.0 + levels.onset * 2.0);
             }
         }
         
@@ -913,7 +959,7 @@ export class ParticleSystem {
                     peak.currentPyramidCenter.y + this.previousHeights[i] * 0.5, 
                     peak.currentPyramidCenter.z
                 );
-                lightIntensities.push(0.6);
+                lightIntensities.push(0.6 + this._masterLevels.energy * 1.5 + this._masterLevels.onset * 0.8);
             }
         }
         
@@ -1,6 +1,146 @@
 import * as THREE from 'three';
+import { loadSetting, saveSetting, clearSetting } from '../utils/settings.js';
+import {
+    PROTOCOL_VERSION,
+    CLIENT_NAME,
+    AUDIO_TRANSPORTS,
+    ProtocolError,
+    isCompatibleVersion,
+    validateInbound,
+    validateOutbound
+} from '../protocol/messages.js';
+import { MockSocket, isMockEndpoint } from '../mock/MockSocket.js';
+import { SessionRecorder } from '../protocol/SessionRecorder.js';
+import { decodeAudioFrame } from '../protocol/audioFrames.js';
+import { arrayBufferToBase64, base64ToArrayBuffer } from '../utils/wav.js';
 
+// Build-time default endpoint, injected by webpack from EVOLUTION_SERVER_URL (may be empty)
+const DEFAULT_ENDPOINT = typeof __EVOLUTION_SERVER_URL__ !== 'undefined'
+    ? __EVOLUTION_SERVER_URL__
+    : '';
+const ENDPOINT_SETTING_KEY = 'evolutionServer';
+const ENDPOINT_QUERY_PARAM = 'server';
+// ?mock is a shortcut for ?server=mock://local (in-browser mock engine)
+const MOCK_QUERY_PARAM = 'mock';
+export const MOCK_ENDPOINT = 'mock://local';
 
+// Reconnect policy: exponential backoff with equal jitter, capped delay and retry budget
+export const RECONNECT_POLICY = {
+    baseDelay: 1000,
+    maxDelay: 30000,
+    factor: 2,
+    maxRetries: 8
+};
+
+export const CONNECTION_STATES = Object.freeze({
+    CONNECTING: 'connecting',
+    CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting',
+    FAILED: 'failed',
+    OFFLINE: 'offline',
+    // No ?server=, saved endpoint or build default: waiting for one from the connection panel
+    UNCONFIGURED: 'unconfigured'
+});
+
+// Dispatched on window whenever the connection state changes
+export const CONNECTION_STATE_EVENT = 'python-connection-state';
+// Dispatched on window whenever a message fails schema validation or the handshake fails
+export const PROTOCOL_ERROR_EVENT = 'python-protocol-error';
+// Dispatched on window once the server's hello has been received
+export const HANDSHAKE_EVENT = 'python-handshake';
+// Dispatched on window when session recording or replay starts, progresses or stops
+export const SESSION_EVENT = 'python-session-state';
+// ?record starts capturing the session as soon as the page loads
+const RECORD_QUERY_PARAM = 'record';
+
+// Feedback delivery: every payload carries a feedback_id and stays in a persistent outbox
+// until the server acknowledges it, and is re-sent after every reconnect.
+export const FEEDBACK_STATES = Object.freeze({
+    PENDING: 'pending',
+    SENT: 'sent',
+    ACKNOWLEDGED: 'acknowledged'
+});
+// Dispatched on window whenever a feedback payload changes state
+export const FEEDBACK_STATE_EVENT = 'python-feedback-state';
+const OUTBOX_SETTING_KEY = 'feedbackOutbox';
+
+// Dispatched on window for engine progress: { active, stage, percent, candidate, totalCandidates,
+// etaSeconds } while evolving, then { active: false, completed | aborted | failed, message }
+export const EVOLUTION_PROGRESS_EVENT = 'python-evolution-progress';
+const OUTBOX_LIMIT = 50;
+
+// Dispatched on window when a generation arrives while Save, Evolve or Library is open and is held
+// back until the user loads it: { pending, generation, solutionCount }
+export const GENERATION_QUEUE_EVENT = 'python-generation-queue';
+const QUEUEING_MODES = ['save', 'evolve', 'library'];
+
+// Received generations kept in memory (solutions + audio) so earlier ones can be shown again
+export const HISTORY_LIMIT = 10;
+// Dispatched on window when the history changes or another generation is shown:
+// { generations, viewing, latest, viewingHistory }
+export const GENERATION_HISTORY_EVENT = 'python-generation-history';
+
+// Audio transports offered in the client hello, most preferred first
+const OFFERED_AUDIO_TRANSPORTS = [AUDIO_TRANSPORTS.BINARY, AUDIO_TRANSPORTS.FETCH, AUDIO_TRANSPORTS.INLINE];
+// Dispatched on window when a solution's audio arrives after its generation_data, or cannot be
+// fetched: { generation, solutionId, error? }
+export const AUDIO_DATA_EVENT = 'python-audio-data';
+const EARLY_AUDIO_LIMIT = 100;
+
+// Hand-edited seeds for the next generation (seed_solution / seed_ack), only offered when the
+// server announces SEED_CAPABILITY. Dispatched on window: { seedId, state, message? }
+export const SEED_CAPABILITY = 'seed_solutions';
+export const SEED_STATES = Object.freeze({
+    SENT: 'sent',
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected'
+});
+export const SEED_STATE_EVENT = 'python-seed-state';
+
+// Ids of feedback payloads and seeds
+function createMessageId(prefix = 'fb') {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Accepts "host:port", "http(s)://..." or "ws(s)://..." and returns a ws(s) URL, or null if unusable.
+// mock://... endpoints are passed through untouched.
+export function normalizeEndpoint(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    let candidate = value.trim();
+    if (isMockEndpoint(candidate)) return candidate;
+    if (!/^[a-z]+:\/\//i.test(candidate)) {
+        const secure = window.location?.protocol === 'https:';
+        candidate = `${secure ? 'wss' : 'ws'}://${candidate}`;
+    }
+    try {
+        const url = new URL(candidate);
+        if (url.protocol === 'http:') url.protocol = 'ws:';
+        if (url.protocol === 'https:') url.protocol = 'wss:';
+        if (url.protocol !== 'ws:' && url.protocol !== 'wss:') return null;
+        return url.toString();
+    } catch (err) {
+        return null;
+    }
+}
+
+// Resolution order: ?server= (or ?mock) query parameter, persisted setting, build-time default.
+// url is null when none of them is set.
+export function resolveEndpoint() {
+    const query = new URLSearchParams(window.location.search);
+    const fromQuery = normalizeEndpoint(query.get(ENDPOINT_QUERY_PARAM));
+    if (fromQuery) return { url: fromQuery, source: 'query' };
+    if (query.has(MOCK_QUERY_PARAM) && query.get(MOCK_QUERY_PARAM) !== '0') {
+        return { url: MOCK_ENDPOINT, source: 'query' };
+    }
+
+    const fromSettings = normalizeEndpoint(loadSetting(ENDPOINT_SETTING_KEY));
+    if (fromSettings) return { url: fromSettings, source: 'settings' };
+
+    const fromBuild = normalizeEndpoint(DEFAULT_ENDPOINT);
+    if (fromBuild) return { url: fromBuild, source: 'default' };
+    return { url: null, source: 'none' };
+}
 
 export class PythonCommunication {
     constructor(particleSystem, onGenerationData = null, onConnectionReady = null, onRegenerationStart = null) {
@@ -9,39 +149,120 @@ export class PythonCommunication {
         this.websocket = null;
         this.currentGeneration = null;
         this.currentSolutions = [];
-        this.connectionStatus = 'connecting';
+        this.connectionStatus = CONNECTION_STATES.CONNECTING;
         this.onGenerationData = onGenerationData;
         this.onConnectionReady = onConnectionReady;
         this.onRegenerationStart = onRegenerationStart;
         this.dataReceived = false;
-        this._lastFeedbackTime = 0; // FIXED: Initialize to 0 instead of null
+        // Unacknowledged feedback survives reloads; anything "sent" before a reload is pending again
+        this.outbox = (loadSetting(OUTBOX_SETTING_KEY, []) || [])
+            .filter(entry => entry?.payload?.feedback_id)
+            .map(entry => ({ ...entry, state: FEEDBACK_STATES.PENDING }));
+        this._reconnectTimer = null;
+        this.retryCount = 0;
+        this.nextRetryAt = null;
+        this.serverInfo = null; // Filled by the server's hello during the handshake
+        this.protocolMismatch = false;
+        this.lastProtocolError = null;
+        this.evolutionProgress = null; // Last progress message while the engine is evolving
+        this.pendingGeneration = null; // Newest generation held back while a mode is open
+        this.history = []; // Received generations, oldest first, at most HISTORY_LIMIT
+        this.viewingHistory = false; // An earlier generation is shown instead of the latest one
+        // Negotiated per connection; inline until the server's hello picks something else
+        this.audioTransport = AUDIO_TRANSPORTS.INLINE;
+        this.audioUrlTemplate = null;
+        this._earlyAudio = new Map(); // "generation:id" -> ArrayBuffer that arrived before its generation_data
 
-        this.connectToPython();
+        // Session capture / deterministic replay
+        this.recorder = new SessionRecorder();
+        this.replay = null; // { session, index, inbound, speed, timer }
+        if (new URLSearchParams(window.location.search).has(RECORD_QUERY_PARAM)) {
+            this.startRecording();
+        }
+
+        const { url, source } = resolveEndpoint();
+        this.endpoint = url;
+        this.endpointSource = source;
 
-        this.connectionCheckInterval = setInterval(() => {
-            this.logConnectionStatus();
-        }, 5000);
+        // Browser connectivity: park while offline, retry as soon as the network is back.
+        // A replay keeps the connection parked until it ends or is stopped.
+        this._onBrowserOffline = () => {
+            if (this.replay) return;
+            if (this.endpoint && !isMockEndpoint(this.endpoint)) this._goOffline();
+        };
+        this._onBrowserOnline = () => {
+            if (this.replay) return;
+            if (this.connectionStatus === CONNECTION_STATES.OFFLINE) {
+                console.log('🌐 Network back online - reconnecting');
+                this.retryNow();
+            }
+        };
+        window.addEventListener('offline', this._onBrowserOffline);
+        window.addEventListener('online', this._onBrowserOnline);
+
+        this.connectToPython();
     }
 
     logConnectionStatus() {
         console.log('🔍 Connection Status Check:');
+        console.log('  - Endpoint:', this.endpoint, `(${this.endpointSource})`);
         console.log('  - WebSocket exists:', !!this.websocket);
         console.log('  - WebSocket state:', this.websocket ? this.websocket.readyState : 'N/A');
         console.log('  - Current status:', this.connectionStatus);
+        console.log('  - Retries:', `${this.retryCount}/${RECONNECT_POLICY.maxRetries}`);
         console.log('  - Solutions received:', this.currentSolutions.length);
     }
 
     connectToPython() {
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        this.nextRetryAt = null;
+
+        if (!this.endpoint) {
+            console.log('🐍 No evolution server configured - waiting for one from the connection panel');
+            this.updateConnectionStatus(CONNECTION_STATES.UNCONFIGURED);
+            return;
+        }
+
+        const isMock = isMockEndpoint(this.endpoint);
+        if (navigator.onLine === false && !isMock) {
+            this._goOffline();
+            return;
+        }
+
+        // First attempt (or manual retry) is "connecting", automatic retries stay "reconnecting"
+        if (this.retryCount === 0) {
+            this.updateConnectionStatus(CONNECTION_STATES.CONNECTING);
+        } else {
+            this.updateConnectionStatus(CONNECTION_STATES.RECONNECTING);
+        }
+
         try {
-            console.log('🐍 Attempting to connect to Python WebSocket server at ws://localhost:8765');
-            this.websocket = new WebSocket('ws://yiumh-2001-8a0-fff6-4000-6183-59dd-5abf-6bb4.a.free.pinggy.link');
+            console.log(`🐍 Attempting to connect to Python WebSocket server at ${this.endpoint} (${this.endpointSource})`);
+            this.websocket = isMock ? new MockSocket(this.endpoint) : new WebSocket(this.endpoint);
+            this.websocket.binaryType = 'arraybuffer';
+            this.audioTransport = AUDIO_TRANSPORTS.INLINE;
+            this.audioUrlTemplate = null;
             
             this.websocket.onopen = () => {
                 console.log('✅ Connected to Python evolution engine');
-                this.updateConnectionStatus('connected');
+                this.retryCount = 0;
+                this.serverInfo = null;
+                this.protocolMismatch = false;
+                this.updateConnectionStatus(CONNECTION_STATES.CONNECTED);
+                this.sendHandshake();
+                this._flushOutbox({ resendSent: true });
+                if (typeof this.onConnectionReady === 'function') {
+                    this.onConnectionReady();
+                }
             };
             
             this.websocket.onmessage = (event) => {
+                if (event.data instanceof ArrayBuffer) {
+                    this.handleBinaryFrame(event.data);
+                    return;
+                }
+                this.recorder.record('inbound', event.data);
                 try {
                     const data = JSON.parse(event.data);
                     console.log('📨 Message received:', data.type, `Generation ${data.generation}`);
@@ -52,43 +273,399 @@ export class PythonCommunication {
             };
             
             this.websocket.onclose = (event) => {
-                console.log('🐍 WebSocket connection closed');
-                this.updateConnectionStatus('disconnected');
-                setTimeout(() => this.connectToPython(), 3000);
+                console.log(`🐍 WebSocket connection closed (code ${event.code})`);
+                this.websocket = null;
+                if (navigator.onLine === false) {
+                    this._goOffline();
+                } else {
+                    this._scheduleReconnect();
+                }
             };
             
             this.websocket.onerror = (error) => {
+                // onclose always follows, the retry is scheduled there
                 console.error('🐍 WebSocket error:', error);
-                this.updateConnectionStatus('error');
             };
         } catch (error) {
             console.error('🐍 Failed to create WebSocket connection:', error);
-            this.updateConnectionStatus('error');
+            this.websocket = null;
+            this._scheduleReconnect();
         }
     }
 
+    _getBackoffDelay(attempt) {
+        const { baseDelay, maxDelay, factor } = RECONNECT_POLICY;
+        const ceiling = Math.min(maxDelay, baseDelay * Math.pow(factor, attempt));
+        // Equal jitter: half fixed, half random, so clients don't reconnect in lockstep
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    _scheduleReconnect() {
+        clearTimeout(this._reconnectTimer);
+
+        if (this.retryCount >= RECONNECT_POLICY.maxRetries) {
+            console.warn(`🛑 Giving up after ${this.retryCount} reconnect attempts`);
+            this.nextRetryAt = null;
+            this.updateConnectionStatus(CONNECTION_STATES.FAILED);
+            return;
+        }
+
+        const delay = this._getBackoffDelay(this.retryCount);
+        this.retryCount++;
+        this.nextRetryAt = Date.now() + delay;
+        console.log(`🔁 Reconnect attempt ${this.retryCount}/${RECONNECT_POLICY.maxRetries} in ${delay}ms`);
+        this.updateConnectionStatus(CONNECTION_STATES.RECONNECTING);
+
+        this._reconnectTimer = setTimeout(() => this.connectToPython(), delay);
+    }
+
+    _goOffline() {
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        this.nextRetryAt = null;
+        this._detachSocket();
+        this.updateConnectionStatus(CONNECTION_STATES.OFFLINE);
+    }
+
+    _detachSocket() {
+        const previous = this.websocket;
+        if (previous) {
+            // Detach handlers first so the old socket's onclose doesn't schedule a retry
+            previous.onopen = previous.onmessage = previous.onclose = previous.onerror = null;
+            try { previous.close(); } catch (err) { /* already closed */ }
+        }
+        this.websocket = null;
+    }
+
+    // Manual "retry now": skips the pending backoff and resets the retry budget
+    retryNow() {
+        console.log('🔁 Manual reconnect requested');
+        this.reconnect();
+    }
+
+    // Switch to another evolution server without reloading the page
+    setEndpoint(value, { persist = true } = {}) {
+        const url = normalizeEndpoint(value);
+        if (!url) {
+            throw new Error(`Invalid server address: "${value}"`);
+        }
+        if (persist) saveSetting(ENDPOINT_SETTING_KEY, url);
+
+        this.endpoint = url;
+        this.endpointSource = persist ? 'settings' : 'session';
+        console.log(`🔀 Switching evolution server to ${url}`);
+        this.reconnect();
+        return url;
+    }
+
+    // Forget the saved endpoint and fall back to query parameter / build default
+    resetEndpoint() {
+        clearSetting(ENDPOINT_SETTING_KEY);
+        const { url, source } = resolveEndpoint();
+        this.endpoint = url;
+        this.endpointSource = source;
+        this.reconnect();
+        return url;
+    }
+
+    getEndpoint() {
+        return { url: this.endpoint, source: this.endpointSource };
+    }
+
+    reconnect() {
+        this.stopReplay();
+        this._detachSocket();
+        this.retryCount = 0;
+        this.connectToPython();
+    }
+
+    // **PROTOCOL**
+
+    sendHandshake() {
+        return this.sendMessage({
+            action: 'hello',
+            protocol_version: PROTOCOL_VERSION,
+            client: CLIENT_NAME,
+            capabilities: ['feedback_ack', 'evolution_progress', 'binary_audio', 'audio_fetch', 'seed_ack'],
+            audio_transports: OFFERED_AUDIO_TRANSPORTS
+        });
+    }
+
+    handleHello(data) {
+        this.serverInfo = {
+            protocolVersion: data.protocol_version,
+            server: data.server || 'unknown',
+            capabilities: data.capabilities || []
+        };
+
+        if (!isCompatibleVersion(data.protocol_version)) {
+            this.protocolMismatch = true;
+            this._reportProtocolError(new ProtocolError('inbound', 'hello', [{
+                path: 'protocol_version',
+                message: `server speaks ${data.protocol_version}, client speaks ${PROTOCOL_VERSION}`
+            }]));
+            return;
+        }
+
+        this.protocolMismatch = false;
+
+        // Servers that don't pick a transport keep sending base64 inside generation_data
+        const transport = OFFERED_AUDIO_TRANSPORTS.includes(data.audio_transport)
+            ? data.audio_transport
+            : AUDIO_TRANSPORTS.INLINE;
+        if (transport === AUDIO_TRANSPORTS.FETCH && !data.audio_url) {
+            console.warn('⚠️ Server chose the fetch transport without an audio_url, expecting per-solution urls');
+        }
+        this.audioTransport = transport;
+        this.audioUrlTemplate = data.audio_url || null;
+        this.serverInfo.audioTransport = transport;
+
+        window.dispatchEvent(new CustomEvent(HANDSHAKE_EVENT, { detail: { ...this.serverInfo } }));
+        console.log(`🤝 Handshake complete: server "${this.serverInfo.server}" protocol ${data.protocol_version}`);
+    }
+
+    handleEvolutionComplete(data) {
+        console.log(`🏁 Evolution complete${data.generation !== undefined ? ` at generation ${data.generation}` : ''}`, data.message || '');
+        this._endEvolutionProgress({ completed: true, message: data.message });
+    }
+
+    // **EVOLUTION PROGRESS**
+
+    handleEvolutionProgress(data) {
+        this.evolutionProgress = {
+            active: true,
+            generation: data.generation ?? null,
+            stage: data.stage,
+            percent: data.percent ?? null,
+            candidate: data.candidate ?? null,
+            totalCandidates: data.total_candidates ?? null,
+            etaSeconds: data.eta_seconds ?? null
+        };
+        window.dispatchEvent(new CustomEvent(EVOLUTION_PROGRESS_EVENT, { detail: { ...this.evolutionProgress } }));
+    }
+
+    handleEvolutionAborted(data) {
+        console.log('🛑 Evolution aborted by engine', data.message || '');
+        this._endEvolutionProgress({ aborted: true, message: data.message || 'Evolution cancelled' });
+    }
+
+    _endEvolutionProgress(detail) {
+        if (!this.evolutionProgress) return;
+        this.evolutionProgress = null;
+        window.dispatchEvent(new CustomEvent(EVOLUTION_PROGRESS_EVENT, { detail: { active: false, ...detail } }));
+    }
+
+    isEvolving() {
+        return !!this.evolutionProgress;
+    }
+
+    // Asks the engine to stop the running evolution; it answers with evolution_aborted
+    abortEvolution() {
+        const sent = this.sendMessage({
+            action: 'abort_evolution',
+            generation: this.getLatestGeneration()?.generation || 0,
+            timestamp: Date.now()
+        });
+        // Without a connection no abort can arrive, stop waiting locally
+        if (!sent) this._endEvolutionProgress({ aborted: true, message: 'Not connected, stopped waiting for the engine' });
+        return sent;
+    }
+
+    _reportProtocolError(error) {
+        this.lastProtocolError = error;
+        console.error(`🚫 ${error.message}`);
+        window.dispatchEvent(new CustomEvent(PROTOCOL_ERROR_EVENT, {
+            detail: {
+                direction: error.direction,
+                kind: error.kind,
+                issues: error.issues,
+                message: error.message
+            }
+        }));
+    }
+
+    // Validates and sends any outbound message; returns false if it was rejected or could not be sent
+    sendMessage(message) {
+        try {
+            validateOutbound(message);
+        } catch (error) {
+            if (error instanceof ProtocolError) {
+                this._reportProtocolError(error);
+                return false;
+            }
+            throw error;
+        }
+
+        if (!this.isConnected()) {
+            console.warn(`⚠️ WS not connected. Skipping ${message.action}.`);
+            return false;
+        }
+
+        try {
+            const json = JSON.stringify(message);
+            this.websocket.send(json);
+            this.recorder.record('outbound', json);
+            console.log(`➡️ WS SEND ${message.action}:`, message);
+            return true;
+        } catch (err) {
+            console.error(`❌ Failed to send ${message.action}:`, err);
+            return false;
+        }
+    }
+
+    // **SESSION RECORDING / REPLAY**
+
+    _emitSessionState() {
+        window.dispatchEvent(new CustomEvent(SESSION_EVENT, { detail: this.getSessionState() }));
+    }
+
+    getSessionState() {
+        return {
+            recording: this.recorder.recording,
+            recordedMessages: this.recorder.size,
+            replaying: !!this.replay,
+            replayIndex: this.replay?.index ?? 0,
+            replayTotal: this.replay?.inbound.length ?? 0,
+            replaySpeed: this.replay?.speed ?? 1
+        };
+    }
+
+    startRecording() {
+        this.recorder.start({ endpoint: this.endpoint, user_agent: navigator.userAgent });
+        this._emitSessionState();
+    }
+
+    stopRecording({ download = true } = {}) {
+        this.recorder.stop();
+        if (download && this.recorder.size > 0) this.recorder.download();
+        this._emitSessionState();
+    }
+
+    // Feeds a recorded session's inbound messages back through handlePythonMessage().
+    // speed: 1 = original pace, 4 = four times faster, Infinity = as fast as possible.
+    // The live connection is closed for the duration so nothing reaches the server, and
+    // reopened when the replay ends or is stopped if it was connected before.
+    replaySession(sessionOrText, { speed = 1 } = {}) {
+        const session = typeof sessionOrText === 'string'
+            ? SessionRecorder.parse(sessionOrText)
+            : sessionOrText;
+        const inbound = session.entries.filter(entry => entry.direction === 'inbound');
+        if (inbound.length === 0) {
+            throw new Error('Session has no inbound messages to replay');
+        }
+
+        // A replay replacing another one keeps the state from before the first
+        const reconnect = this.replay
+            ? this.replay.reconnect
+            : this.connectionStatus === CONNECTION_STATES.CONNECTED;
+        this.stopReplay({ silent: true });
+        if (this.recorder.recording) this.stopRecording({ download: false });
+        this._goOffline();
+
+        this.replay = { session, inbound, index: 0, speed: speed > 0 ? speed : 1, timer: null, reconnect };
+        console.log(`▶️ Replaying ${inbound.length} messages at ${speed}x`);
+        this._emitSessionState();
+        this._scheduleReplayStep(0);
+    }
+
+    _scheduleReplayStep(delay) {
+        const replay = this.replay;
+        if (!replay) return;
+        replay.timer = setTimeout(() => {
+            if (this.replay !== replay) return;
+            const entry = replay.inbound[replay.index];
+            // Structured clone so replaying twice never sees mutations from the first run
+            this.handlePythonMessage(JSON.parse(JSON.stringify(entry.message)));
+            replay.index++;
+            this._emitSessionState();
+
+            if (replay.index >= replay.inbound.length) {
+                console.log('⏹️ Replay finished');
+                this.replay = null;
+                this._emitSessionState();
+                this._resumeAfterReplay(replay);
+                return;
+            }
+            const gap = replay.inbound[replay.index].t - entry.t;
+            this._scheduleReplayStep(Number.isFinite(replay.speed) ? Math.max(0, gap / replay.speed) : 0);
+        }, delay);
+    }
+
+    // silent: replaced by another replay, which reconnects when it ends
+    stopReplay({ silent = false } = {}) {
+        const replay = this.replay;
+        if (!replay) return;
+        clearTimeout(replay.timer);
+        this.replay = null;
+        if (!silent) {
+            console.log('⏹️ Replay stopped');
+            this._emitSessionState();
+            this._resumeAfterReplay(replay);
+        }
+    }
+
+    _resumeAfterReplay(replay) {
+        if (replay.reconnect && this.endpoint) this.retryNow();
+    }
+
+    isReplaying() {
+        return !!this.replay;
+    }
+
     handlePythonMessage(data) {
+        try {
+            validateInbound(data);
+        } catch (error) {
+            if (!(error instanceof ProtocolError)) throw error;
+            this._reportProtocolError(error);
+            // Tell the backend what we rejected so the mismatch shows up on both sides
+            if (error.kind !== 'unknown') {
+                this.sendMessage({ action: 'protocol_error', rejected_type: error.kind, issues: error.issues });
+            }
+            return;
+        }
+
+        if (this.protocolMismatch && data.type !== 'hello') {
+            console.warn(`⚠️ Ignoring "${data.type}" - incompatible protocol version`);
+            return;
+        }
+
         switch(data.type) {
+            case 'hello':
+                this.handleHello(data);
+                break;
             case 'generation_data':
                 this.handleGenerationData(data);
                 break;
             case 'evolution_complete':
                 this.handleEvolutionComplete(data);
                 break;
+            case 'feedback_ack':
+                this.handleFeedbackAck(data);
+                break;
+            case 'seed_ack':
+                this.handleSeedAck(data);
+                break;
+            case 'evolution_progress':
+                this.handleEvolutionProgress(data);
+                break;
+            case 'evolution_aborted':
+                this.handleEvolutionAborted(data);
+                break;
+            case 'audio_data':
+                this._receiveAudio(data.generation, data.solution_id, base64ToArrayBuffer(data.data));
+                break;
             case 'error':
                 console.error('🐍 Python error:', data.message);
+                this._endEvolutionProgress({ failed: true, message: data.message });
                 break;
         }
     }
 
     handleGenerationData(data) {
-        console.log(`🧬 Processing generation ${data.generation} with ${data.solutions?.length || 0} solutions`);
-        
-        // Validate data
-        if (!data.solutions || !Array.isArray(data.solutions) || data.solutions.length === 0) {
-            console.error('❌ Invalid generation data - no solutions:', data);
-            return;
-        }
+        // Shape already checked against the generation_data schema in handlePythonMessage()
+        console.log(`🧬 Processing generation ${data.generation} with ${data.solutions.length} solutions`);
+        this._endEvolutionProgress({ completed: true });
 
         // FIXED: Add generation number to each solution for unique identification
         data.solutions = data.solutions.map(sol => ({
@@ -96,47 +673,265 @@ export class PythonCommunication {
             generation: data.generation
         }));
 
-        // NEW: Force exit to main scene before processing new generation
-        const modeManager = window.modeManager;
-        if (modeManager) {
-            const isInMode = modeManager.isActive('save') || 
-                            modeManager.isActive('evolve') || 
-                            modeManager.isActive('library');
-            
-            if (isInMode) {
-                console.log('⚠️ New generation arrived while in mode - forcing exit to main scene');
-                
-                // Force exit all modes synchronously
-                try {
-                    if (modeManager.save?.isSaveMode) {
-                        modeManager.save.forceReset?.({ restoreMaterials: true });
-                        modeManager.save.exitSaveMode?.();
-                    }
-                    if (modeManager.evolve?.isEvolvingMode) {
-                        modeManager.evolve.exitEvolvingMode?.();
-                    }
-                    if (modeManager.library?.inSpace) {
-                        modeManager.library.exitSpace?.();
-                    }
-                    
-                    // Clear audio and normalize to main
-                    modeManager._closeToMain?.();
-                } catch (err) {
-                    console.error('Failed to exit modes:', err);
-                }
-                
-                // Wait a frame to ensure cleanup completes
-                setTimeout(() => {
-                    this._processGenerationData(data);
-                }, 100);
-                return;
+        this._recordHistory(data);
+        this._collectAudio(data);
+
+        // Regenerating the scene under an open mode would throw away drags and selections,
+        // so hold the generation back until the user loads it or returns to the main scene.
+        // Same while an earlier generation is being looked at in the timeline.
+        if (this._getActiveModes().length > 0 || this.viewingHistory) {
+            if (this.pendingGeneration) {
+                console.log(`⏭️ Generation ${data.generation} replaces queued generation ${this.pendingGeneration.generation}`);
             }
+            const reason = this.viewingHistory ? 'history is being viewed' : `${this._getActiveModes().join(', ')} is open`;
+            console.log(`⏸️ Generation ${data.generation} queued while ${reason}`);
+            this.pendingGeneration = data;
+            this._emitGenerationQueue();
+            return;
         }
         
         // Process immediately if already in main scene
+        if (this.pendingGeneration) {
+            this.pendingGeneration = null;
+            this._emitGenerationQueue();
+        }
         this._processGenerationData(data);
     }
 
+    _getActiveModes() {
+        const modeManager = window.modeManager;
+        if (!modeManager) return [];
+        return QUEUEING_MODES.filter(mode => modeManager.isActive(mode));
+    }
+
+    _emitGenerationQueue() {
+        const pending = this.pendingGeneration;
+        window.dispatchEvent(new CustomEvent(GENERATION_QUEUE_EVENT, {
+            detail: {
+                pending: !!pending,
+                generation: pending?.generation ?? null,
+                solutionCount: pending?.solutions.length ?? 0
+            }
+        }));
+    }
+
+    hasPendingGeneration() {
+        return !!this.pendingGeneration;
+    }
+
+    getPendingGeneration() {
+        return this.pendingGeneration;
+    }
+
+    // Closes any open mode (which stashes its unsaved state) and regenerates the scene with the
+    // queued generation. Returns false if nothing was queued or a mode could not be closed.
+    async loadPendingGeneration() {
+        if (!this.pendingGeneration) return false;
+
+        const modeManager = window.modeManager;
+        if (modeManager && this._getActiveModes().length > 0) {
+            await modeManager.goTo(null);
+            if (this._getActiveModes().length > 0) {
+                console.warn('⚠️ Could not close the open mode, generation stays queued');
+                return false;
+            }
+        }
+
+        // Returning to the main scene already loads it (see modeManager.goTo in main.js)
+        const data = this.pendingGeneration;
+        if (!data) return true;
+        this.pendingGeneration = null;
+        this.viewingHistory = false;
+        this._emitGenerationQueue();
+
+        console.log(`▶️ Loading queued generation ${data.generation}`);
+        this._processGenerationData(data);
+        return true;
+    }
+
+    // **AUDIO TRANSPORT**
+
+    // Binary frame: one solution's audio file behind a small JSON header
+    handleBinaryFrame(buffer) {
+        let frame;
+        try {
+            frame = decodeAudioFrame(buffer);
+        } catch (error) {
+            if (!(error instanceof ProtocolError)) throw error;
+            this._reportProtocolError(error);
+            return;
+        }
+        const { header, audio } = frame;
+
+        // Sessions are JSON; record the frame as the equivalent audio_data message so replays keep their audio
+        if (this.recorder.recording) {
+            this.recorder.record('inbound', JSON.stringify({
+                type: 'audio_data',
+                generation: header.generation,
+                solution_id: header.solution_id,
+                format: header.format,
+                data: arrayBufferToBase64(audio)
+            }));
+        }
+        this._receiveAudio(header.generation, header.solution_id, audio);
+    }
+
+    _audioKey(generation, solutionId) {
+        return `${generation}:${solutionId}`;
+    }
+
+    _findSolution(generation, solutionId) {
+        const entry = this.history.find(item => item.generation === generation);
+        return entry?.solutions.find(solution => String(solution.id) === String(solutionId)) || null;
+    }
+
+    _receiveAudio(generation, solutionId, bytes) {
+        const solution = this._findSolution(generation, solutionId);
+        if (!solution) {
+            // Frames may overtake the generation_data message they belong to
+            this._earlyAudio.set(this._audioKey(generation, solutionId), bytes);
+            while (this._earlyAudio.size > EARLY_AUDIO_LIMIT) {
+                this._earlyAudio.delete(this._earlyAudio.keys().next().value);
+            }
+            return;
+        }
+        solution.audio = { ...solution.audio, bytes };
+        window.dispatchEvent(new CustomEvent(AUDIO_DATA_EVENT, {
+            detail: { generation, solutionId: solution.id }
+        }));
+    }
+
+    // Attaches audio that arrived early and starts fetches for solutions that have none yet
+    _collectAudio(data) {
+        data.solutions.forEach(solution => {
+            if (solution.audio?.data || solution.audio?.bytes) return;
+
+            const key = this._audioKey(data.generation, solution.id);
+            if (this._earlyAudio.has(key)) {
+                solution.audio = { ...solution.audio, bytes: this._earlyAudio.get(key) };
+                this._earlyAudio.delete(key);
+                return;
+            }
+
+            const url = this._getAudioUrl(data.generation, solution);
+            if (url) {
+                this._fetchAudio(data.generation, solution.id, url);
+            } else if (this.audioTransport === AUDIO_TRANSPORTS.INLINE) {
+                // Nothing else will deliver it
+                solution.audio = { ...solution.audio, error: 'no audio in generation data' };
+            }
+        });
+    }
+
+    _getAudioUrl(generation, solution) {
+        const template = solution.audio?.url ||
+            (this.audioTransport === AUDIO_TRANSPORTS.FETCH ? this.audioUrlTemplate : null);
+        if (!template) return null;
+
+        const path = template
+            .replace('{generation}', encodeURIComponent(generation))
+            .replace('{id}', encodeURIComponent(solution.id));
+        try {
+            // Relative to the server: ws(s)://host/... becomes http(s)://host/...
+            const base = new URL(this.endpoint);
+            base.protocol = base.protocol === 'wss:' ? 'https:' : 'http:';
+            return new URL(path, base).toString();
+        } catch (err) {
+            return null;
+        }
+    }
+
+    async _fetchAudio(generation, solutionId, url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this._receiveAudio(generation, solutionId, await response.arrayBuffer());
+        } catch (error) {
+            console.error(`❌ Failed to fetch audio for solution ${solutionId} (generation ${generation}):`, error);
+            const solution = this._findSolution(generation, solutionId);
+            if (!solution) return;
+            solution.audio = { ...solution.audio, error: `fetch failed (${error.message})` };
+            window.dispatchEvent(new CustomEvent(AUDIO_DATA_EVENT, {
+                detail: { generation, solutionId: solution.id, error: solution.audio.error }
+            }));
+        }
+    }
+
+    _recordHistory(data) {
+        // A replayed session can deliver the same generation number again
+        this.history = this.history.filter(entry => entry.generation !== data.generation);
+        this.history.push(data);
+        if (this.history.length > HISTORY_LIMIT) {
+            const dropped = this.history.splice(0, this.history.length - HISTORY_LIMIT);
+            console.log(`🗂️ Dropped generation(s) ${dropped.map(entry => entry.generation).join(', ')} from history`);
+        }
+        this._emitHistory();
+    }
+
+    _emitHistory() {
+        window.dispatchEvent(new CustomEvent(GENERATION_HISTORY_EVENT, {
+            detail: {
+                generations: this.history.map(entry => entry.generation),
+                viewing: this.currentGeneration?.generation ?? null,
+                latest: this.getLatestGeneration()?.generation ?? null,
+                viewingHistory: this.viewingHistory
+            }
+        }));
+    }
+
+    getHistory() {
+        return this.history.map(entry => ({
+            generation: entry.generation,
+            solutionCount: entry.solutions.length
+        }));
+    }
+
+    // Newest generation received from the server, whether or not it is shown
+    getLatestGeneration() {
+        return this.history[this.history.length - 1] || this.currentGeneration;
+    }
+
+    isViewingHistory() {
+        return this.viewingHistory;
+    }
+
+    // Shows a generation from the history in the main scene. Purely local: nothing is sent to the
+    // server, and generations arriving meanwhile are queued until the latest one is shown again.
+    async viewGeneration(generation) {
+        const data = this.history.find(entry => entry.generation === generation);
+        if (!data) return false;
+        if (data === this.currentGeneration) return true;
+
+        // Set before closing modes so returning to the main scene does not load a queued generation
+        this.viewingHistory = data !== this.getLatestGeneration();
+
+        const modeManager = window.modeManager;
+        if (modeManager && this._getActiveModes().length > 0) {
+            await modeManager.goTo(null);
+            if (this._getActiveModes().length > 0) {
+                console.warn('⚠️ Could not close the open mode, staying on the current generation');
+                this.viewingHistory = this.currentGeneration !== this.getLatestGeneration();
+                return false;
+            }
+            // Returning to the main scene may already have loaded it as the queued generation
+            if (data === this.currentGeneration) return true;
+        }
+
+        if (this.pendingGeneration === data) {
+            this.pendingGeneration = null;
+            this._emitGenerationQueue();
+        }
+
+        console.log(`🗂️ Showing generation ${data.generation}${this.viewingHistory ? ' from history' : ''}`);
+        this._processGenerationData(data);
+        return true;
+    }
+
+    returnToLatest() {
+        const latest = this.getLatestGeneration();
+        return latest ? this.viewGeneration(latest.generation) : Promise.resolve(false);
+    }
+
     // NEW: Separate method for actual data processing
     _processGenerationData(data) {
         // CRITICAL: Reset click tracking for new generation
@@ -162,6 +957,7 @@ export class PythonCommunication {
 
         // Update visuals
         this.updateSolidsFromGeneration(data);
+        this._emitHistory();
 
         // Notify callback (audio system) - will hide loading screen after audio loads
         if (typeof this.onGenerationData === 'function') {
@@ -178,8 +974,30 @@ export class PythonCommunication {
     }
 
     updateConnectionStatus(status) {
+        const previous = this.connectionStatus;
         this.connectionStatus = status;
         console.log(`🔌 Connection status: ${status}`);
+
+        window.dispatchEvent(new CustomEvent(CONNECTION_STATE_EVENT, {
+            detail: {
+                state: status,
+                previous,
+                endpoint: this.endpoint,
+                attempt: this.retryCount,
+                maxRetries: RECONNECT_POLICY.maxRetries,
+                nextRetryAt: this.nextRetryAt
+            }
+        }));
+    }
+
+    getConnectionState() {
+        return {
+            state: this.connectionStatus,
+            endpoint: this.endpoint,
+            attempt: this.retryCount,
+            maxRetries: RECONNECT_POLICY.maxRetries,
+            nextRetryAt: this.nextRetryAt
+        };
     }
 
     // **UTILITY METHODS (keep existing)**
@@ -188,26 +1006,14 @@ export class PythonCommunication {
     getSolutionById(id) { return this.currentSolutions.find(solution => solution.id === id); }
     getSolutionByIndex(index) { return this.currentSolutions[index] || null; }
     isConnected() { 
-        return this.connectionStatus === 'connected' && 
+        return this.connectionStatus === CONNECTION_STATES.CONNECTED && 
                this.websocket && 
                this.websocket.readyState === WebSocket.OPEN; 
     }
 
+    // Queues scores in the outbox and sends them when possible.
+    // Returns the feedback_id, or false if the payload itself is invalid.
     sendUserFeedback(feedbackData) {
-        if (!this.isConnected()) {
-            console.warn('⚠️ WS not connected. Skipping sendUserFeedback.');
-            return false;
-        }
-        
-        // REMOVED: window.__modeTransitioning check (handled in EvolvingUI instead)
-        
-        // Check if this is a duplicate request (within 500ms)
-        const now = Date.now();
-        if (this._lastFeedbackTime && (now - this._lastFeedbackTime) < 500) {
-            console.warn('⚠️ Skipping duplicate feedback request (last: ' + (now - this._lastFeedbackTime) + 'ms ago)');
-            return false;
-        }
-        
         // Validate feedback data
         if (!feedbackData || typeof feedbackData !== 'object') {
             console.error('❌ Invalid feedback data:', feedbackData);
@@ -219,34 +1025,143 @@ export class PythonCommunication {
             console.warn('⚠️ Invalid action in feedback data:', feedbackData.action);
             return false;
         }
-        
-        this._lastFeedbackTime = now;
-        
+
         const payload = {
             action: 'user_feedback',
             ...feedbackData,
-            timestamp: now
+            feedback_id: createMessageId(),
+            timestamp: Date.now()
         };
-        
+
+        // Reject malformed payloads now rather than keeping them in the outbox forever
         try {
-            const json = JSON.stringify(payload);
-            console.log('➡️ WS SEND user_feedback:', payload);
-            this.websocket.send(json);
-            return true;
-        } catch (err) {
-            console.error('❌ Failed to serialize feedback payload:', err, feedbackData);
+            validateOutbound(payload);
+        } catch (error) {
+            if (!(error instanceof ProtocolError)) throw error;
+            this._reportProtocolError(error);
             return false;
         }
+
+        this.outbox.push({ payload, state: FEEDBACK_STATES.PENDING, attempts: 0, createdAt: payload.timestamp });
+        if (this.outbox.length > OUTBOX_LIMIT) {
+            const dropped = this.outbox.splice(0, this.outbox.length - OUTBOX_LIMIT);
+            console.warn(`⚠️ Feedback outbox full, dropped ${dropped.length} oldest payload(s)`);
+        }
+        this._persistOutbox();
+        this._emitFeedbackState(payload.feedback_id, FEEDBACK_STATES.PENDING);
+
+        if (!this.isConnected()) {
+            console.warn(`📮 WS not connected. Feedback ${payload.feedback_id} queued in outbox.`);
+        }
+        this._flushOutbox();
+        return payload.feedback_id;
+    }
+
+    // Sends pending outbox entries; after a reconnect, "sent" entries are re-sent too since
+    // their acknowledgement may have been lost with the old socket (the server dedupes by id)
+    _flushOutbox({ resendSent = false } = {}) {
+        if (!this.isConnected() || this.replay) return;
+
+        this.outbox.forEach(entry => {
+            const due = entry.state === FEEDBACK_STATES.PENDING ||
+                        (resendSent && entry.state === FEEDBACK_STATES.SENT);
+            if (!due) return;
+
+            if (this.sendMessage(entry.payload)) {
+                entry.state = FEEDBACK_STATES.SENT;
+                entry.attempts++;
+                entry.sentAt = Date.now();
+                this._emitFeedbackState(entry.payload.feedback_id, FEEDBACK_STATES.SENT);
+            }
+        });
+        this._persistOutbox();
+    }
+
+    handleFeedbackAck(data) {
+        // Recorded acks belong to the recorded session, not to this outbox
+        if (this.replay) {
+            console.log(`⏭️ Replayed ack for feedback ${data.feedback_id} ignored`);
+            return;
+        }
+        const index = this.outbox.findIndex(entry => entry.payload.feedback_id === data.feedback_id);
+        if (index === -1) {
+            console.log(`📭 Ack for unknown/already acknowledged feedback ${data.feedback_id}`);
+            return;
+        }
+        this.outbox.splice(index, 1);
+        this._persistOutbox();
+        console.log(`📬 Feedback ${data.feedback_id} acknowledged by server`);
+        this._emitFeedbackState(data.feedback_id, FEEDBACK_STATES.ACKNOWLEDGED);
+    }
+
+    _persistOutbox() {
+        saveSetting(OUTBOX_SETTING_KEY, this.outbox);
+    }
+
+    _emitFeedbackState(feedbackId, state) {
+        window.dispatchEvent(new CustomEvent(FEEDBACK_STATE_EVENT, {
+            detail: {
+                feedbackId,
+                state,
+                outboxSize: this.outbox.length
+            }
+        }));
+    }
+
+    getFeedbackState(feedbackId) {
+        const entry = this.outbox.find(e => e.payload.feedback_id === feedbackId);
+        return entry ? entry.state : FEEDBACK_STATES.ACKNOWLEDGED;
+    }
+
+    getOutbox() {
+        return this.outbox.map(entry => ({
+            feedbackId: entry.payload.feedback_id,
+            state: entry.state,
+            attempts: entry.attempts,
+            createdAt: entry.createdAt
+        }));
+    }
+
+    // **SEEDS**
+
+    supportsSeeds() {
+        return !!this.serverInfo?.capabilities?.includes(SEED_CAPABILITY);
+    }
+
+    // Sends edited parameters as an individual for the next generation.
+    // Returns the seed_id, or null if the seed could not be sent.
+    sendSeed({ parameters, category, generation, parentId = null }) {
+        const message = {
+            action: 'seed_solution',
+            seed_id: createMessageId('seed'),
+            category,
+            generation: generation ?? this.getLatestGeneration()?.generation ?? 0,
+            parameters,
+            timestamp: Date.now()
+        };
+        if (parentId != null) message.parent_id = parentId;
+
+        if (!this.sendMessage(message)) return null;
+        this._emitSeedState(message.seed_id, SEED_STATES.SENT);
+        return message.seed_id;
+    }
+
+    handleSeedAck(data) {
+        const state = data.accepted === false ? SEED_STATES.REJECTED : SEED_STATES.ACCEPTED;
+        console.log(`🌱 Seed ${data.seed_id} ${state} by server`, data.message || '');
+        this._emitSeedState(data.seed_id, state, data.message);
+    }
+
+    _emitSeedState(seedId, state, message = null) {
+        window.dispatchEvent(new CustomEvent(SEED_STATE_EVENT, { detail: { seedId, state, message } }));
     }
 
     requestEvolution(category) {
-        if (!this.isConnected()) return false;
-        this.websocket.send(JSON.stringify({
+        return this.sendMessage({
             action: 'evolve_generation',
             category: category,
-            generation: this.currentGeneration?.generation || 0,
+            generation: this.getLatestGeneration()?.generation || 0,
             timestamp: Date.now()
-        }));
-        return true;
+        });
     }
-}
\ No newline at end of file
+}
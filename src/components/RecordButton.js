@@ -0,0 +1,137 @@
+import { OutputRecorder, MAX_RECORDING_SECONDS } from '../audio/OutputRecorder.js';
+import { SOURCE_TRIGGER_EVENT } from '../audio/SurroundController.js';
+import { encodeWav } from '../utils/wav.js';
+import { downloadBlob } from '../utils/helpers.js';
+
+// Record button (left of the render button): captures what is heard, in every mode, and
+// downloads it as a 24-bit WAV with a marker wherever a sound was triggered or the mode changed.
+// Stays above the mode screens so a recording can be stopped from anywhere.
+function formatElapsed(seconds) {
+    const total = Math.floor(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function timestamp() {
+    const d = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}_${pad(d.getHours())}-${pad(d.getMinutes())}-${pad(d.getSeconds())}`;
+}
+
+export class RecordButton {
+    constructor(surroundController) {
+        this.surroundController = surroundController;
+        this.recorder = new OutputRecorder(surroundController.ctx);
+        this.recorder.onLimit = () => this.stop();
+        this.busy = false;
+        // Shown instead of the elapsed time when not recording
+        this.status = '';
+        this._timer = null;
+
+        this._onTrigger = (e) => {
+            const { id, generation, time } = e.detail || {};
+            const label = generation != null ? `Gen ${generation} - Sound ${id}` : `Sound ${id}`;
+            this.recorder.addMarker(label, time);
+        };
+        this._onModeChange = (e) => {
+            const active = e.detail?.active;
+            this.recorder.addMarker(active ? `Mode: ${active}` : 'Mode: main');
+        };
+        window.addEventListener(SOURCE_TRIGGER_EVENT, this._onTrigger);
+        window.addEventListener('mode-change', this._onModeChange);
+
+        this.createButton();
+        this.render();
+    }
+
+    createButton() {
+        this.container = document.createElement('div');
+        this.container.className = 'record-button';
+
+        this.button = document.createElement('button');
+        this.button.className = 'record-button-btn';
+        this.button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggle();
+        });
+        const dot = document.createElement('span');
+        dot.className = 'record-button-dot';
+        this.button.appendChild(dot);
+
+        this.timeEl = document.createElement('span');
+        this.timeEl.className = 'record-button-time';
+
+        this.container.append(this.button, this.timeEl);
+        document.body.appendChild(this.container);
+    }
+
+    async toggle() {
+        if (this.busy) return;
+        if (this.recorder.isRecording) await this.stop();
+        else await this.start();
+    }
+
+    async start() {
+        this.busy = true;
+        this.status = '';
+        try {
+            await this.recorder.start();
+            this._timer = setInterval(() => this.render(), 500);
+        } catch (error) {
+            console.error('❌ Could not start recording:', error);
+            this.status = 'Not supported';
+        } finally {
+            this.busy = false;
+            this.render();
+        }
+    }
+
+    async stop() {
+        if (!this.recorder.isRecording || this.busy) return;
+        this.busy = true;
+        clearInterval(this._timer);
+        this._timer = null;
+        this.render();
+
+        try {
+            const { channelData, sampleRate, markers } = await this.recorder.stop();
+            this.status = 'Saving…';
+            this.render();
+            // Let the status paint before the (blocking) encode
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (channelData[0]?.length) {
+                const wav = encodeWav(channelData, sampleRate, { bitDepth: 24, markers });
+                this.download(new Blob([wav], { type: 'audio/wav' }), `shard_recording_${timestamp()}.wav`);
+            }
+            this.status = '';
+        } catch (error) {
+            console.error('❌ Could not save recording:', error);
+            this.status = 'Save failed';
+        } finally {
+            this.busy = false;
+            this.render();
+        }
+    }
+
+    download(blob, filename) {
+        downloadBlob(blob, filename);
+        console.log(`✅ Saved recording: ${filename}`);
+    }
+
+    render() {
+        const recording = this.recorder.isRecording;
+        this.container.classList.toggle('recording', recording);
+        this.container.classList.toggle('busy', this.busy);
+        this.button.title = recording
+            ? 'Stop recording and save WAV'
+            : `Record what you hear (up to ${MAX_RECORDING_SECONDS / 60} minutes)`;
+        this.timeEl.textContent = recording ? formatElapsed(this.recorder.seconds) : this.status;
+    }
+
+    dispose() {
+        clearInterval(this._timer);
+        window.removeEventListener(SOURCE_TRIGGER_EVENT, this._onTrigger);
+        window.removeEventListener('mode-change', this._onModeChange);
+        this.container.remove();
+    }
+}
@@ -0,0 +1,243 @@
+import { SPATIAL_RENDERERS } from '../audio/surround-sound-context.js';
+import { storeCustomHrtf, loadStoredCustomHrtf } from '../audio/hrtf.js';
+import { loadSetting, saveSetting } from '../utils/settings.js';
+import { SpeakerArrayPanel } from './SpeakerArrayPanel.js';
+
+// Row of buttons under the output meter to switch the spatial renderer while sounds play,
+// so panner / ambisonics / room can be compared directly, plus the HRTF used by the "SOFA"
+// renderer: a SOFA file chosen here or dropped onto the page.
+// The "Array" renderer drives a multichannel speaker installation, set up in the speaker panel.
+// Renderer and HRTF are remembered between sessions.
+const RENDERER_LABELS = {
+    [SPATIAL_RENDERERS.PANNER]: { label: 'HRTF', title: 'Web Audio panner with the browser HRTF' },
+    [SPATIAL_RENDERERS.FOA]: { label: 'FOA', title: 'First-order ambisonics, binaural decode' },
+    [SPATIAL_RENDERERS.TOA]: { label: 'TOA', title: 'Third-order ambisonics, binaural decode' },
+    [SPATIAL_RENDERERS.ROOM]: { label: 'Room', title: 'Third-order ambisonics with room reflections and reverb' },
+    [SPATIAL_RENDERERS.SOFA]: { label: 'SOFA', title: 'Third-order ambisonics decoded with your HRTF' },
+    [SPATIAL_RENDERERS.ARRAY]: { label: 'Array', title: 'Multichannel output panned over a speaker array' }
+};
+
+const FILE_OPTION = '__file__';
+const STORED_OPTION = '__stored__';
+
+function isSofaFile(file) {
+    return !!file && /\.(sofa|json)$/i.test(file.name || '');
+}
+
+export class RendererSwitch {
+    constructor(surroundContext) {
+        this.surroundContext = surroundContext;
+        this.buttons = new Map();
+        this.loading = false;
+        this.storedFileName = null;
+
+        // Restores the speaker layout, so it has to exist before the renderer is restored
+        this.speakerPanel = new SpeakerArrayPanel(surroundContext, {
+            onActivate: () => this.select(SPATIAL_RENDERERS.ARRAY)
+        });
+
+        const saved = loadSetting('spatialRenderer', null);
+        if (saved && saved !== surroundContext.getRenderer()) {
+            surroundContext.setRenderer(saved);
+        }
+
+        this.createSwitch();
+        this.setupDropTarget();
+        this.render();
+        this.restoreHrtf(saved === SPATIAL_RENDERERS.SOFA);
+    }
+
+    createSwitch() {
+        this.container = document.createElement('div');
+        this.container.className = 'renderer-switch';
+
+        const row = document.createElement('div');
+        row.className = 'renderer-switch-row';
+        Object.entries(RENDERER_LABELS).forEach(([renderer, { label, title }]) => {
+            const btn = document.createElement('button');
+            btn.className = 'renderer-switch-btn';
+            btn.textContent = label;
+            btn.title = title;
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.select(renderer);
+            });
+            this.buttons.set(renderer, btn);
+            row.appendChild(btn);
+        });
+
+        this.hrtfSelect = document.createElement('select');
+        this.hrtfSelect.className = 'renderer-hrtf-select';
+        this.hrtfSelect.title = 'HRTF for the SOFA renderer (or drop a SOFA file onto the page)';
+        this.hrtfSelect.addEventListener('click', (e) => e.stopPropagation());
+        this.hrtfSelect.addEventListener('change', () => this.onHrtfSelected());
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.sofa,.json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files?.[0];
+            this.fileInput.value = '';
+            if (file) this.loadFile(file);
+            else this.render();
+        });
+
+        this.speakersBtn = document.createElement('button');
+        this.speakersBtn.className = 'renderer-speakers-btn';
+        this.speakersBtn.textContent = 'Speakers…';
+        this.speakersBtn.title = 'Speaker layout and speaker test';
+        this.speakersBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.speakerPanel.toggle();
+        });
+
+        this.statusEl = document.createElement('div');
+        this.statusEl.className = 'renderer-hrtf-status';
+
+        this.container.append(row, this.hrtfSelect, this.speakersBtn, this.fileInput, this.statusEl);
+        document.body.appendChild(this.container);
+    }
+
+    // Dropping a SOFA file anywhere on the page loads it
+    setupDropTarget() {
+        this._onDragOver = (e) => {
+            if (!Array.from(e.dataTransfer?.items || []).some(item => item.kind === 'file')) return;
+            e.preventDefault();
+            document.body.classList.add('hrtf-drop-active');
+        };
+        this._onDragLeave = (e) => {
+            if (e.relatedTarget) return;
+            document.body.classList.remove('hrtf-drop-active');
+        };
+        this._onDrop = (e) => {
+            document.body.classList.remove('hrtf-drop-active');
+            const files = Array.from(e.dataTransfer?.files || []);
+            if (files.length === 0) return;
+            // Keep the browser from opening the file instead
+            e.preventDefault();
+            this.loadFile(files.find(isSofaFile) || files[0]);
+        };
+        window.addEventListener('dragover', this._onDragOver);
+        window.addEventListener('dragleave', this._onDragLeave);
+        window.addEventListener('drop', this._onDrop);
+    }
+
+    select(renderer) {
+        if (renderer === SPATIAL_RENDERERS.SOFA && !this.surroundContext.getHrtfName()) {
+            this.setStatus('Load a SOFA file below or drop one onto the page');
+            return false;
+        }
+        if (!this.surroundContext.setRenderer(renderer)) return false;
+        saveSetting('spatialRenderer', renderer);
+        this.render();
+        return true;
+    }
+
+    onHrtfSelected() {
+        const value = this.hrtfSelect.value;
+        if (value === FILE_OPTION) {
+            this.fileInput.click();
+        } else if (value === STORED_OPTION) {
+            this.loadStoredFile(true);
+        }
+    }
+
+    async restoreHrtf(activate) {
+        const saved = loadSetting('hrtf', null);
+        const stored = await loadStoredCustomHrtf();
+        this.storedFileName = stored?.name || null;
+        this.render();
+
+        if (saved?.kind === 'file' && stored) {
+            await this._load(URL.createObjectURL(stored.blob), stored.name, activate, { kind: 'file' }, true);
+        }
+    }
+
+    async loadStoredFile(activate) {
+        const stored = await loadStoredCustomHrtf();
+        if (!stored) {
+            this.setStatus('The stored HRTF file is gone, choose it again', true);
+            this.storedFileName = null;
+            this.render();
+            return false;
+        }
+        return this._load(URL.createObjectURL(stored.blob), stored.name, activate, { kind: 'file' }, true);
+    }
+
+    async loadFile(file) {
+        if (!isSofaFile(file)) {
+            this.setStatus('Expected a .sofa or .json file', true);
+            return false;
+        }
+        const loaded = await this._load(URL.createObjectURL(file), file.name, true, { kind: 'file' }, true);
+        if (loaded && await storeCustomHrtf(file)) {
+            this.storedFileName = file.name;
+            this.render();
+        }
+        return loaded;
+    }
+
+    async _load(url, name, activate, setting, revokeAfter = false) {
+        if (this.loading) return false;
+        this.loading = true;
+        this.setStatus(`Loading ${name}…`);
+        this.render();
+
+        try {
+            await this.surroundContext.setHrtf(url, name, { activate });
+            saveSetting('hrtf', setting);
+            if (activate) saveSetting('spatialRenderer', SPATIAL_RENDERERS.SOFA);
+            this.setStatus('');
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to load HRTF ${name}:`, error);
+            this.setStatus(`Could not load ${name}: ${error.message}`, true);
+            return false;
+        } finally {
+            if (revokeAfter) URL.revokeObjectURL(url);
+            this.loading = false;
+            this.render();
+        }
+    }
+
+    setStatus(text, isError = false) {
+        this.statusEl.textContent = text;
+        this.statusEl.classList.toggle('error', !!text && isError);
+    }
+
+    render() {
+        const active = this.surroundContext.getRenderer();
+        const hrtfName = this.surroundContext.getHrtfName();
+        this.buttons.forEach((btn, renderer) => {
+            btn.classList.toggle('active', renderer === active);
+        });
+        this.buttons.get(SPATIAL_RENDERERS.SOFA).classList.toggle('unavailable', !hrtfName);
+        this.speakersBtn.classList.toggle('active', active === SPATIAL_RENDERERS.ARRAY);
+
+        const saved = loadSetting('hrtf', null);
+        this.hrtfSelect.innerHTML = '';
+        const addOption = (value, label) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.hrtfSelect.appendChild(option);
+            return option;
+        };
+        addOption('', hrtfName ? `HRTF: ${hrtfName}` : 'Choose HRTF…').disabled = true;
+        if (this.storedFileName) addOption(STORED_OPTION, `File: ${this.storedFileName}`);
+        addOption(FILE_OPTION, 'Load SOFA file…');
+
+        this.hrtfSelect.value = '';
+        if (hrtfName && saved?.kind === 'file' && this.storedFileName) this.hrtfSelect.value = STORED_OPTION;
+        this.hrtfSelect.disabled = this.loading;
+    }
+
+    dispose() {
+        window.removeEventListener('dragover', this._onDragOver);
+        window.removeEventListener('dragleave', this._onDragLeave);
+        window.removeEventListener('drop', this._onDrop);
+        this.speakerPanel.dispose();
+        this.container.remove();
+    }
+}
@@ -1,6 +1,10 @@
 import * as THREE from 'three';
 import { Library } from './Library.js'; // Add this line
 import { Button } from './Button.js';
+import { restingEmissiveIntensity } from './GeometricSolid.js';
+
+// Generations whose open selections are kept around
+const MAX_STASHED_SELECTIONS = 5;
 
 export class SaveMode {
     constructor(mainRenderer, mainCamera, controls, particleSystem, library = null) {
@@ -32,6 +36,9 @@ export class SaveMode {
         // Track currently playing sound in Save mode
         this._saveModePlayingId = null;
 
+        // Selections left open when the mode closed, per generation (solution ids)
+        this.selectionStash = new Map();
+
         
         if (library) {
             this.library = library;
@@ -166,6 +173,11 @@ export class SaveMode {
         if (this.closeBtn) {
             this.closeBtn.style.display = 'block';
         }
+
+        const restored = this.restoreStashedSelection();
+        if (restored > 0) {
+            this.showSuccessMessage(`Restored ${restored} selected sound${restored === 1 ? '' : 's'}`);
+        }
         
         console.log('✅ Entered Save Mode - All movement stopped, solids frozen in place');
     }
@@ -174,6 +186,8 @@ export class SaveMode {
     exitSaveMode() {
         if (!this.isSaveMode) return;
         console.log('🚪 Exiting Save Mode...');
+
+        this.stashSelection();
         
         this.isSaveMode = false;
 
@@ -511,7 +525,7 @@ export class SaveMode {
         });
     }
 
-    selectSolid(solid, index) {
+    selectSolid(solid, index, { silent = false } = {}) {
         // If already selected, deselect
         if (solid.userData.__saveModeSelected === true || this.selectedSolids.includes(solid)) {
             this.deselectSolid(solid, index);
@@ -523,7 +537,7 @@ export class SaveMode {
 
         // CHANGED: Play with overlap allowed
         const id = solid?.userData?.solution?.id;
-        if (id != null) {
+        if (id != null && !silent) {
             try {
                 this.particleSystem?.surroundController?.playOneShot(id, { 
                     allowOverlap: true,  // CHANGED: Allow multiple sounds
@@ -547,6 +561,37 @@ export class SaveMode {
         console.log(`Selected solid ${index}, playing: ${Array.from(this._saveModePlayingIds)}`);
     }
 
+    // Keeps the current selection so closing the mode (or a new generation arriving) does not lose it.
+    // Only non-empty selections are stored; entering the mode consumes the stash again.
+    stashSelection() {
+        const solutions = this.selectedSolids.map(solid => solid?.userData?.solution).filter(Boolean);
+        if (solutions.length === 0) return;
+
+        const generation = solutions[0].generation ?? null;
+        this.selectionStash.set(generation, solutions.map(solution => String(solution.id)));
+        while (this.selectionStash.size > MAX_STASHED_SELECTIONS) {
+            this.selectionStash.delete(this.selectionStash.keys().next().value);
+        }
+        console.log(`📦 Stashed ${solutions.length} selected sounds of generation ${generation}`);
+    }
+
+    // Returns the number of reselected solids
+    restoreStashedSelection() {
+        const generation = this.solidMeshes.find(s => s.userData?.solution)?.userData.solution.generation ?? null;
+        const ids = this.selectionStash.get(generation);
+        if (!ids) return 0;
+        this.selectionStash.delete(generation);
+
+        let restored = 0;
+        this.solidMeshes.forEach((solid, index) => {
+            const id = solid.userData?.solution?.id;
+            if (id == null || !ids.includes(String(id))) return;
+            this.selectSolid(solid, index, { silent: true });
+            restored++;
+        });
+        return restored;
+    }
+
     getCameraFacingFaceCenter(solid) {
         // Get bounding box
         const box = new THREE.Box3().setFromObject(solid);
@@ -1458,7 +1503,8 @@ showErrorMessage(text) {
 
         if ('emissive' in cloned) {
             cloned.emissive = aura.clone();
-            cloned.emissiveIntensity = Math.max(intensity, cloned.emissiveIntensity ?? 0);
+            cloned.emissiveIntensity = Math.max(intensity, restingEmissiveIntensity(cloned));
+            cloned.userData.baseEmissiveIntensity = cloned.emissiveIntensity;
         }
         if ('color' in cloned) {
             cloned.color = cloned.color.clone().lerp(aura, 0.45);
@@ -1471,6 +1517,7 @@ showErrorMessage(text) {
     }
 
     forceReset({ restoreMaterials = true } = {}) {
+        if (this.isSaveMode) this.stashSelection();
         this.clearHover();
         this.clearAllSelections({ restoreMaterials: false }); // Don't double-restore
         if (restoreMaterials) {
@@ -0,0 +1,272 @@
+import {
+    EXPORT_FORMATS,
+    EXPORT_PLAYBACK,
+    MAX_EXPORT_SECONDS,
+    DEFAULT_GAP_SECONDS,
+    renderSoundscape,
+    sequenceDuration,
+    exportChannelCount,
+    exportChannelMask
+} from '../audio/SceneRenderer.js';
+import { audioBufferToWavBlob } from '../utils/wav.js';
+import { loadSetting, saveSetting } from '../utils/settings.js';
+import { downloadBlob } from '../utils/helpers.js';
+
+// Button next to the soundscape button and the dialog behind it: renders the soundscape
+// offline (see SceneRenderer.js) and downloads it as a 24-bit WAV file.
+const FORMAT_LABELS = {
+    [EXPORT_FORMATS.BINAURAL]: 'Binaural stereo',
+    [EXPORT_FORMATS.BFORMAT]: 'B-format (first-order ambisonics, AmbiX)',
+    [EXPORT_FORMATS.MULTICHANNEL]: 'Multichannel (speaker layout)'
+};
+
+const PLAYBACK_LABELS = {
+    [EXPORT_PLAYBACK.SEQUENTIAL]: 'One after another',
+    [EXPORT_PLAYBACK.SIMULTANEOUS]: 'All at once'
+};
+
+export class SceneExportDialog {
+    constructor(surroundController) {
+        this.surroundController = surroundController;
+        this.rendering = false;
+
+        const saved = loadSetting('sceneExport', {});
+        this.options = {
+            format: FORMAT_LABELS[saved.format] ? saved.format : EXPORT_FORMATS.BINAURAL,
+            playback: PLAYBACK_LABELS[saved.playback] ? saved.playback : EXPORT_PLAYBACK.SEQUENTIAL,
+            gapSeconds: Number.isFinite(saved.gapSeconds) ? saved.gapSeconds : DEFAULT_GAP_SECONDS
+        };
+
+        this.createButton();
+        this.createDialog();
+    }
+
+    createButton() {
+        this.button = document.createElement('button');
+        this.button.className = 'scene-export-btn';
+        this.button.title = 'Render soundscape to file';
+        const img = document.createElement('img');
+        img.src = '/assets/icons/Export.svg';
+        img.alt = 'Render soundscape';
+        this.button.appendChild(img);
+        this.button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.open();
+        });
+        document.body.appendChild(this.button);
+    }
+
+    createDialog() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'scene-export-overlay';
+        this.overlay.style.display = 'none';
+        this.overlay.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (e.target === this.overlay) this.close();
+        });
+
+        const dialog = document.createElement('div');
+        dialog.className = 'scene-export-dialog';
+
+        const title = document.createElement('h3');
+        title.className = 'scene-export-title';
+        title.textContent = 'Render soundscape';
+
+        const field = (label, control) => {
+            const row = document.createElement('label');
+            row.className = 'scene-export-field';
+            const span = document.createElement('span');
+            span.textContent = label;
+            row.append(span, control);
+            return row;
+        };
+        const select = (labels) => {
+            const el = document.createElement('select');
+            el.className = 'scene-export-input';
+            Object.entries(labels).forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                el.appendChild(option);
+            });
+            return el;
+        };
+        const number = (min, max, step) => {
+            const el = document.createElement('input');
+            el.type = 'number';
+            el.className = 'scene-export-input';
+            el.min = String(min);
+            el.max = String(max);
+            el.step = String(step);
+            return el;
+        };
+
+        this.playbackSelect = select(PLAYBACK_LABELS);
+        this.playbackSelect.addEventListener('change', () => this.onOptionsChanged(true));
+        this.gapInput = number(0, 60, 0.5);
+        this.gapInput.addEventListener('change', () => this.onOptionsChanged(true));
+        this.formatSelect = select(FORMAT_LABELS);
+        this.formatSelect.addEventListener('change', () => this.onOptionsChanged(false));
+        this.durationInput = number(1, MAX_EXPORT_SECONDS, 1);
+
+        this.gapField = field('Gap between sounds (s)', this.gapInput);
+
+        this.infoEl = document.createElement('div');
+        this.infoEl.className = 'scene-export-info';
+
+        this.progressBar = document.createElement('div');
+        this.progressBar.className = 'scene-export-progress';
+        this.progressFill = document.createElement('div');
+        this.progressFill.className = 'scene-export-progress-fill';
+        this.progressBar.appendChild(this.progressFill);
+
+        this.statusEl = document.createElement('div');
+        this.statusEl.className = 'scene-export-status';
+
+        const actions = document.createElement('div');
+        actions.className = 'scene-export-actions';
+        this.closeBtn = document.createElement('button');
+        this.closeBtn.className = 'scene-export-action secondary';
+        this.closeBtn.textContent = 'Close';
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.renderBtn = document.createElement('button');
+        this.renderBtn.className = 'scene-export-action';
+        this.renderBtn.textContent = 'Render';
+        this.renderBtn.addEventListener('click', () => this.render());
+        actions.append(this.closeBtn, this.renderBtn);
+
+        dialog.append(
+            title,
+            field('Playback', this.playbackSelect),
+            this.gapField,
+            field('Format', this.formatSelect),
+            field(`Duration (s, max ${MAX_EXPORT_SECONDS})`, this.durationInput),
+            this.infoEl,
+            this.progressBar,
+            this.statusEl,
+            actions
+        );
+        this.overlay.appendChild(dialog);
+        document.body.appendChild(this.overlay);
+    }
+
+    open() {
+        this.playbackSelect.value = this.options.playback;
+        this.gapInput.value = this.options.gapSeconds;
+        this.formatSelect.value = this.options.format;
+        this.durationInput.value = this.defaultDuration();
+        this.setProgress(0);
+        this.setStatus('');
+        this.updateInfo();
+        this.overlay.style.display = 'flex';
+    }
+
+    close() {
+        // The render keeps going without the dialog; the file still downloads when it is done
+        this.overlay.style.display = 'none';
+    }
+
+    readOptions() {
+        const gap = parseFloat(this.gapInput.value);
+        this.options = {
+            format: this.formatSelect.value,
+            playback: this.playbackSelect.value,
+            gapSeconds: Number.isFinite(gap) ? Math.max(0, gap) : DEFAULT_GAP_SECONDS
+        };
+        saveSetting('sceneExport', this.options);
+        return this.options;
+    }
+
+    onOptionsChanged(resetDuration) {
+        this.readOptions();
+        if (resetDuration) this.durationInput.value = this.defaultDuration();
+        this.updateInfo();
+    }
+
+    // One pass of the sequence, or the longest sound when everything plays at once
+    defaultDuration() {
+        const sc = this.surroundController;
+        let seconds;
+        if (this.options.playback === EXPORT_PLAYBACK.SIMULTANEOUS) {
+            seconds = Math.max(0, ...Array.from(sc.sources.values(), s => s.buffer?.duration || 0));
+        } else {
+            // The last gap is not needed
+            seconds = sequenceDuration(sc, this.options.gapSeconds) - this.options.gapSeconds;
+        }
+        return Math.max(1, Math.min(MAX_EXPORT_SECONDS, Math.ceil(seconds)));
+    }
+
+    updateInfo() {
+        const sc = this.surroundController;
+        const count = Array.from(sc.sources.values()).filter(s => s.buffer).length;
+        const channels = exportChannelCount(sc, this.options.format);
+        const recorded = sc.motionRecorder.getRecordedSeconds();
+        this.gapField.style.display = this.options.playback === EXPORT_PLAYBACK.SEQUENTIAL ? '' : 'none';
+        this.infoEl.textContent = [
+            `${count} sound${count === 1 ? '' : 's'}, ${channels} channels`,
+            recorded > 1 ? `${Math.round(recorded)}s of motion recorded (looped)` : 'no motion recorded yet, solids stay in place'
+        ].join(' · ');
+        this.renderBtn.disabled = this.rendering || count === 0;
+    }
+
+    setProgress(fraction) {
+        this.progressFill.style.width = `${Math.round(Math.max(0, Math.min(1, fraction)) * 100)}%`;
+    }
+
+    setStatus(text, isError = false) {
+        this.statusEl.textContent = text;
+        this.statusEl.classList.toggle('error', !!text && isError);
+    }
+
+    async render() {
+        if (this.rendering) return;
+        const options = this.readOptions();
+        const duration = Math.min(MAX_EXPORT_SECONDS, parseFloat(this.durationInput.value));
+        if (!(duration > 0)) {
+            this.setStatus('Enter a duration in seconds', true);
+            return;
+        }
+
+        this.rendering = true;
+        this.button.classList.add('rendering');
+        this.updateInfo();
+        this.setProgress(0);
+        this.setStatus('Rendering…');
+
+        try {
+            const sc = this.surroundController;
+            const { buffer } = await renderSoundscape(sc, {
+                ...options,
+                duration,
+                onProgress: (fraction) => this.setProgress(fraction)
+            });
+            this.setStatus('Encoding…');
+            // Let the status paint before the (blocking) encode
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const blob = audioBufferToWavBlob(buffer, {
+                bitDepth: 24,
+                channelMask: exportChannelMask(sc, options.format)
+            });
+            this.download(blob, `soundscape_${options.playback}_${options.format}.wav`);
+            this.setStatus('Done');
+        } catch (error) {
+            console.error('❌ Failed to render soundscape:', error);
+            this.setStatus(error?.message || 'Rendering failed', true);
+        } finally {
+            this.rendering = false;
+            this.button.classList.remove('rendering');
+            this.updateInfo();
+        }
+    }
+
+    download(blob, filename) {
+        downloadBlob(blob, filename);
+        console.log(`✅ Exported soundscape: ${filename}`);
+    }
+
+    dispose() {
+        this.button.remove();
+        this.overlay.remove();
+    }
+}
@@ -0,0 +1,233 @@
+import { SPEAKER_PRESETS, createSpeakerLayout } from '../audio/speakerArray.js';
+import { loadSetting, saveSetting } from '../utils/settings.js';
+
+// Speaker setup of the multichannel "array" renderer: a preset layout or speaker positions
+// entered by hand (room coordinates, origin at the room centre on the floor, -Z is the front
+// wall), plus a speaker test that plays pink noise through one output channel after the other.
+// The layout is remembered between sessions.
+const TEST_SECONDS = 1.5;
+
+export class SpeakerArrayPanel {
+    constructor(surroundContext, { onActivate } = {}) {
+        this.surroundContext = surroundContext;
+        // Asked to switch to the array renderer, which the speaker test needs; returns success
+        this.onActivate = onActivate || (() => false);
+        this.visible = false;
+        this.testing = null;   // index of the channel under test, or 'all'
+        this._stopRequested = false;
+
+        const saved = loadSetting('speakerLayout', null);
+        if (saved) surroundContext.setSpeakerLayout(saved);
+
+        this.createPanel();
+        this.render();
+    }
+
+    createPanel() {
+        this.container = document.createElement('div');
+        this.container.className = 'speaker-array-panel';
+        this.container.style.display = 'none';
+        this.container.addEventListener('click', (e) => e.stopPropagation());
+
+        const header = document.createElement('div');
+        header.className = 'speaker-array-header';
+        const title = document.createElement('span');
+        title.textContent = 'Speaker array';
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'speaker-array-close';
+        closeBtn.textContent = '×';
+        closeBtn.title = 'Close';
+        closeBtn.addEventListener('click', () => this.hide());
+        header.append(title, closeBtn);
+
+        this.presetSelect = document.createElement('select');
+        this.presetSelect.className = 'speaker-array-preset';
+        this.presetSelect.addEventListener('change', () => this.applyPreset(this.presetSelect.value));
+
+        this.channelInfo = document.createElement('div');
+        this.channelInfo.className = 'speaker-array-info';
+
+        this.list = document.createElement('div');
+        this.list.className = 'speaker-array-list';
+
+        const actions = document.createElement('div');
+        actions.className = 'speaker-array-actions';
+        this.addBtn = document.createElement('button');
+        this.addBtn.className = 'speaker-array-btn';
+        this.addBtn.textContent = '+ Speaker';
+        this.addBtn.addEventListener('click', () => this.addSpeaker());
+        this.testAllBtn = document.createElement('button');
+        this.testAllBtn.className = 'speaker-array-btn';
+        this.testAllBtn.addEventListener('click', () => {
+            if (this.testing !== null) this._stopRequested = true;
+            else this.testAll();
+        });
+        actions.append(this.addBtn, this.testAllBtn);
+
+        this.container.append(header, this.presetSelect, this.channelInfo, this.list, actions);
+        document.body.appendChild(this.container);
+    }
+
+    show() {
+        this.visible = true;
+        this.container.style.display = 'block';
+        this.render();
+    }
+
+    hide() {
+        this.visible = false;
+        this.container.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.visible) this.hide();
+        else this.show();
+    }
+
+    applyPreset(presetId) {
+        const { roomWidth, roomDepth } = this.surroundContext;
+        this.setLayout(createSpeakerLayout(presetId, roomWidth, roomDepth));
+    }
+
+    setLayout(layout) {
+        const applied = this.surroundContext.setSpeakerLayout(layout);
+        saveSetting('speakerLayout', applied);
+        this.render();
+    }
+
+    // Any hand edit turns the layout into a custom one
+    updateSpeaker(index, changes) {
+        const layout = this.surroundContext.getSpeakerLayout();
+        const speakers = layout.speakers.map((s, i) => (i === index ? { ...s, ...changes } : s));
+        this.setLayout({ preset: 'custom', speakers });
+    }
+
+    addSpeaker() {
+        const { speakers } = this.surroundContext.getSpeakerLayout();
+        const last = speakers[speakers.length - 1];
+        this.setLayout({
+            preset: 'custom',
+            speakers: [...speakers, { label: `${speakers.length + 1}`, x: 0, y: last ? last.y : 10, z: 0 }]
+        });
+    }
+
+    removeSpeaker(index) {
+        const { speakers } = this.surroundContext.getSpeakerLayout();
+        if (speakers.length <= 1) return;
+        this.setLayout({ preset: 'custom', speakers: speakers.filter((_, i) => i !== index) });
+    }
+
+    async testSpeaker(index) {
+        if (this.testing !== null) return;
+        if (!this.onActivate()) return;
+        this.testing = index;
+        this.render();
+        await this.surroundContext.testSpeaker(index, TEST_SECONDS);
+        this.testing = null;
+        this.render();
+    }
+
+    async testAll() {
+        if (this.testing !== null) return;
+        if (!this.onActivate()) return;
+        this._stopRequested = false;
+        this.testing = 'all';
+        for (let i = 0; i < this.surroundContext.outputChannels && !this._stopRequested; i++) {
+            this.testing = i;
+            this.render();
+            await this.surroundContext.testSpeaker(i, TEST_SECONDS);
+        }
+        this.testing = null;
+        this._stopRequested = false;
+        this.render();
+    }
+
+    render() {
+        const layout = this.surroundContext.getSpeakerLayout();
+        const maxChannels = this.surroundContext.getMaxOutputChannels();
+
+        this.presetSelect.innerHTML = '';
+        const options = { ...SPEAKER_PRESETS };
+        if (!SPEAKER_PRESETS[layout.preset]) options.custom = 'Custom';
+        Object.entries(options).forEach(([id, label]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = label;
+            option.disabled = id === 'custom';
+            this.presetSelect.appendChild(option);
+        });
+        this.presetSelect.value = SPEAKER_PRESETS[layout.preset] ? layout.preset : 'custom';
+
+        const count = layout.speakers.length;
+        this.channelInfo.textContent = count > maxChannels
+            ? `Output has ${maxChannels} channels, speakers ${maxChannels + 1}-${count} stay silent`
+            : `${count} speakers, output has ${maxChannels} channels`;
+        this.channelInfo.classList.toggle('error', count > maxChannels);
+
+        this.list.innerHTML = '';
+        layout.speakers.forEach((speaker, index) => {
+            this.list.appendChild(this.createSpeakerRow(speaker, index, index < maxChannels));
+        });
+
+        this.testAllBtn.textContent = this.testing !== null ? 'Stop test' : 'Test all';
+        this.addBtn.disabled = this.testing !== null;
+    }
+
+    createSpeakerRow(speaker, index, routable) {
+        const row = document.createElement('div');
+        row.className = 'speaker-array-row';
+        row.classList.toggle('testing', this.testing === index);
+        row.classList.toggle('unroutable', !routable);
+
+        const channel = document.createElement('span');
+        channel.className = 'speaker-array-channel';
+        channel.textContent = `${index + 1}`;
+        channel.title = `Output channel ${index + 1}`;
+
+        const label = document.createElement('input');
+        label.className = 'speaker-array-label';
+        label.value = speaker.label;
+        label.title = 'Name';
+        label.addEventListener('change', () => this.updateSpeaker(index, { label: label.value.trim() || `${index + 1}` }));
+        row.append(channel, label);
+
+        ['x', 'y', 'z'].forEach(axis => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = '0.5';
+            input.className = 'speaker-array-coord';
+            input.value = speaker[axis];
+            input.title = axis.toUpperCase();
+            input.disabled = speaker.lfe;
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (Number.isFinite(value)) this.updateSpeaker(index, { [axis]: value });
+                else input.value = speaker[axis];
+            });
+            row.appendChild(input);
+        });
+
+        const testBtn = document.createElement('button');
+        testBtn.className = 'speaker-array-btn';
+        testBtn.textContent = '▶';
+        testBtn.title = 'Play noise on this channel';
+        testBtn.disabled = !routable || this.testing !== null;
+        testBtn.addEventListener('click', () => this.testSpeaker(index));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'speaker-array-btn';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove speaker';
+        removeBtn.disabled = this.testing !== null;
+        removeBtn.addEventListener('click', () => this.removeSpeaker(index));
+
+        row.append(testBtn, removeBtn);
+        if (speaker.lfe) row.title = 'LFE: not panned, used for the speaker test only';
+        return row;
+    }
+
+    dispose() {
+        this._stopRequested = true;
+        this.container.remove();
+    }
+}
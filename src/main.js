@@ -4,9 +4,26 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { EvolvingUI } from './components/EvolvingUI';
 import { SaveMode } from './components/SaveMode';
 import { Library } from './components/Library';
-import { PythonCommunication } from './components/PythonCommunication.js';
-import { SurroundController } from './audio/SurroundController.js';
+import {
+    PythonCommunication,
+    CONNECTION_STATES,
+    CONNECTION_STATE_EVENT,
+    EVOLUTION_PROGRESS_EVENT,
+    GENERATION_QUEUE_EVENT,
+    GENERATION_HISTORY_EVENT,
+    AUDIO_DATA_EVENT
+} from './components/PythonCommunication.js';
+import { SurroundController, SOUND_LOAD_PROGRESS_EVENT } from './audio/SurroundController.js';
+import { AudioAnalysis } from './audio/AudioAnalysis.js';
 import { LoadingScreen } from './components/LoadingScreen.js';
+import { ConnectionPanel } from './components/ConnectionPanel.js';
+import { FeedbackStatus } from './components/FeedbackStatus.js';
+import { GenerationBanner } from './components/GenerationBanner.js';
+import { GenerationTimeline } from './components/GenerationTimeline.js';
+import { OutputMeter } from './components/OutputMeter.js';
+import { RendererSwitch } from './components/RendererSwitch.js';
+import { SceneExportDialog } from './components/SceneExportDialog.js';
+import { RecordButton } from './components/RecordButton.js';
 
 import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
@@ -65,7 +82,15 @@ document.addEventListener('keydown', (e) => {
             }
             return;
         }
-        
+
+        // NEW: Undo / redo of library edits (text fields keep their own undo above)
+        if (isLibraryMode && window.library?.handleHistoryKey(e)) {
+            e.preventDefault();
+            e.stopPropagation();
+            e.stopImmediatePropagation();
+            return;
+        }
+
         // Block everything else
         console.log('⌨️ BLOCKING key in mode:', e.key);
         e.preventDefault();
@@ -173,7 +198,7 @@ document.addEventListener('keypress', (e) => {
 
 let scene, camera, renderer, particleSystem, controls;
 let composer, bloomPass, grainPass;
-let staticFrequencyData;
+let audioAnalysis;
 let saveMode;
 let loadingScreen;
 // NEW
@@ -809,8 +834,6 @@ function init() {
         composer.setSize(width, height);
     });
 
-    staticFrequencyData = new Uint8Array(10);
-    
     // Create ParticleSystem WITHOUT initialization
     particleSystem = new ParticleSystem(scene);
     
@@ -824,6 +847,17 @@ function init() {
     // CRITICAL: Set camera for audio listener IMMEDIATELY after creating SurroundController
     surroundController.setCamera(camera);
     console.log('🎥 Camera attached to audio listener');
+
+    // Band energies / onsets of the master mix and each source, read every frame by the visuals
+    audioAnalysis = new AudioAnalysis(surroundController);
+    // Master output level after the compressor / limiter
+    new OutputMeter(surroundController.ctx);
+    // Panner / ambisonics / room renderer, switchable while listening
+    new RendererSwitch(surroundController.ctx);
+    // Offline render of the soundscape to a binaural, B-format or multichannel file
+    new SceneExportDialog(surroundController);
+    // Records the output bus to a WAV with markers, across mode switches
+    new RecordButton(surroundController);
     
     // Track if initial data has been received
     let initialDataReceived = false;
@@ -840,10 +874,13 @@ function init() {
         // Set particle system (needed for audio setup)
         surroundController.setParticleSystem(particleSystem);
         
-        // Load audio for new generation
-        surroundController.loadAll(data.solutions).then(() => {
-            console.log(`✅ Generation ${generationNum} audio loaded`);
-            
+        // Solids are already built; reveal them as soon as the first sound is playable
+        // and let the remaining sources (and audio still in transit) attach in the background
+        let revealed = false;
+        const reveal = () => {
+            if (revealed) return;
+            revealed = true;
+
             // Add a small delay for visual smoothness
             setTimeout(() => {
                 loadingScreen.hide();
@@ -854,10 +891,14 @@ function init() {
                     createSoundscapeToggle(surroundController);
                 }
             }, 300); // 300ms delay for smooth transition
-            
+        };
+
+        surroundController.loadAll(data.solutions, { onSourceReady: reveal, reportProgress: true }).then(() => {
+            console.log(`✅ Generation ${generationNum} audio loaded`);
+            reveal();
         }).catch(error => {
             console.error('❌ Failed to load audio:', error);
-            loadingScreen.hide();
+            reveal();
         });
     },
     // 2. onConnectionReady callback
@@ -882,6 +923,92 @@ function init() {
     
     window.pythonComm = pythonComm;
 
+    // Endpoint switcher + connection status (bottom-left), usable while waiting for the first generation
+    window.connectionPanel = new ConnectionPanel(pythonComm);
+    // Delivery state of submitted scores (queued / sent / acknowledged)
+    new FeedbackStatus(pythonComm);
+
+    // Engine progress while a new generation is evolving: progress bar, stage text and cancel
+    window.addEventListener(EVOLUTION_PROGRESS_EVENT, (event) => {
+        const progress = event.detail || {};
+
+        if (progress.active) {
+            loadingScreen.show('Evolving new sounds');
+            const details = [];
+            if (progress.candidate && progress.totalCandidates) {
+                details.push(`Candidate ${progress.candidate} of ${progress.totalCandidates}`);
+            }
+            if (typeof progress.etaSeconds === 'number') {
+                details.push(`about ${formatEta(progress.etaSeconds)} left`);
+            }
+            loadingScreen.setProgress({
+                percent: progress.percent,
+                stage: progress.stage,
+                detail: details.join(' · ')
+            });
+            if (!loadingScreen.cancelBtn) {
+                loadingScreen.setCancelAction('Cancel', () => pythonComm.abortEvolution());
+            }
+            return;
+        }
+
+        loadingScreen.clearProgress();
+        loadingScreen.clearCancelAction();
+        if (progress.aborted || progress.failed) {
+            console.log(`🛑 Evolution ${progress.aborted ? 'cancelled' : 'failed'}:`, progress.message || '');
+            if (initialDataReceived) {
+                loadingScreen.hide();
+            } else {
+                loadingScreen.updateMessage('Waiting for data');
+            }
+        }
+    });
+
+    // New generation held back while a mode is open: offer "load now" / "finish first"
+    new GenerationBanner(pythonComm);
+    window.addEventListener(GENERATION_QUEUE_EVENT, (event) => {
+        // The evolving progress screen would otherwise cover the open mode until it is closed
+        if (event.detail?.pending) loadingScreen.hide();
+    });
+
+    // Earlier generations can be shown again from the timeline; their decoded audio stays cached
+    new GenerationTimeline(pythonComm);
+    window.addEventListener(GENERATION_HISTORY_EVENT, (event) => {
+        const { generations = [], viewing } = event.detail || {};
+        surroundController.retainBuffers([...generations, viewing]);
+    });
+
+    // Audio sent separately from generation_data (binary frames / fetch) attaches as it arrives;
+    // a failed fetch is reported as a failed sound
+    window.addEventListener(AUDIO_DATA_EVENT, (event) => {
+        const { generation, solutionId } = event.detail || {};
+        surroundController.attachAudio(generation, solutionId);
+    });
+
+    // "x of y sounds ready" on the loading screen, then in a status pill listing failed sounds
+    window.addEventListener(SOUND_LOAD_PROGRESS_EVENT, (event) => {
+        loadingScreen.setSoundProgress(event.detail || {});
+    });
+
+    // Reflect connection problems on the initial loading screen instead of waiting silently
+    window.addEventListener(CONNECTION_STATE_EVENT, (event) => {
+        if (initialDataReceived) return;
+        const state = event.detail?.state;
+        if (state === CONNECTION_STATES.FAILED) {
+            loadingScreen.updateMessage('Evolution server unreachable');
+        } else if (state === CONNECTION_STATES.OFFLINE) {
+            loadingScreen.updateMessage('Waiting for network');
+        } else if (state === CONNECTION_STATES.UNCONFIGURED) {
+            loadingScreen.updateMessage('Choose an evolution server (bottom left)');
+        } else if (state === CONNECTION_STATES.RECONNECTING || state === CONNECTION_STATES.CONNECTING) {
+            loadingScreen.updateMessage('Waiting for data');
+        }
+    });
+    // The first state was dispatched before this listener existed
+    if (pythonComm.connectionStatus === CONNECTION_STATES.UNCONFIGURED) {
+        loadingScreen.updateMessage('Choose an evolution server (bottom left)');
+    }
+
     // Initialize other components
     const library = new Library(particleSystem, scene, camera, renderer, controls);
     const evolvingUI = new EvolvingUI(renderer, camera, controls, particleSystem, pythonComm, library);
@@ -932,6 +1059,12 @@ function init() {
             } catch {}
             await new Promise(r => setTimeout(r, 0));
             this._updateSoundscapeButton();
+            this._emitModeChange();
+        },
+
+        _emitModeChange() {
+            const active = ['evolve', 'save', 'library'].find(mode => this.isActive(mode)) || null;
+            window.dispatchEvent(new CustomEvent('mode-change', { detail: { active } }));
         },
 
         // Exit a specific mode (idempotent), then lightly normalize to main
@@ -992,6 +1125,7 @@ function init() {
             }
 
             this._updateSoundscapeButton();
+            this._emitModeChange();
         },
 
         async goTo(name) {
@@ -1025,6 +1159,13 @@ function init() {
                     window.__modeTransitioning = false;
                 });
                 this._locked = false;
+
+                // Back on the main scene: load the generation that was queued while the mode was open
+                // (unless an earlier generation from the timeline is being looked at)
+                const anyModeActive = this.isActive('evolve') || this.isActive('save') || this.isActive('library');
+                if (!anyModeActive && pythonComm.hasPendingGeneration() && !pythonComm.isViewingHistory()) {
+                    pythonComm.loadPendingGeneration();
+                }
             }
         }
     };
@@ -1149,7 +1290,7 @@ function animate() {
     }
 
     
-    particleSystem.update(staticFrequencyData);
+    particleSystem.update(audioAnalysis ? audioAnalysis.update() : null);
 
     
     if (saveMode) {
@@ -1408,17 +1549,22 @@ window.testPythonConnection = () => {
 window.sendTestMessage = () => {
     console.log('🧪 SENDING TEST MESSAGE TO PYTHON');
     if (window.pythonComm && window.pythonComm.isConnected()) {
-        window.pythonComm.websocket.send(JSON.stringify({
+        window.pythonComm.sendMessage({
             action: 'test',
             message: 'Hello from JavaScript!',
             timestamp: Date.now()
-        }));
+        });
         console.log('✅ Test message sent');
     } else {
         console.error('❌ Not connected to Python');
     }
 };
 
+function formatEta(seconds) {
+    if (seconds < 60) return `${Math.max(1, Math.ceil(seconds))}s`;
+    return `${Math.round(seconds / 60)} min`;
+}
+
 // Helper button because of chrome not auto play policy
 function createSoundscapeToggle(surroundController) {
     // Remove any existing toggle
@@ -0,0 +1,423 @@
+import { PARAMETER_RANGES, SPECTRAL_FLUX_MAX } from '../components/GeometricSolid.js';
+import { PROTOCOL_VERSION, AUDIO_TRANSPORTS } from '../protocol/messages.js';
+import { encodeAudioFrame } from '../protocol/audioFrames.js';
+import { encodeWav, arrayBufferToBase64 } from '../utils/wav.js';
+import { createRandom } from '../utils/helpers.js';
+
+// In-browser stand-in for the Python evolution engine.
+// Speaks the same protocol as the real server: synthesizes granular sounds, scores them
+// from user_feedback and answers with a new generation. Deterministic for a given seed.
+
+const CATEGORIES = ['low', 'mid', 'high', 'rhythmic'];
+
+// Base pitch range (Hz) per category
+const CATEGORY_PITCH = {
+    low: [55, 140],
+    mid: [220, 660],
+    high: [1200, 3200],
+    rhythmic: [90, 400]
+};
+
+// Simulated engine latency
+const RESPONSE_DELAY_MS = 300;
+const PROGRESS_STEP_MS = 250;
+// Gap between binary audio frames, so progressive loading is visible
+const AUDIO_FRAME_GAP_MS = 60;
+
+function clampParameter(name, value) {
+    const { min, max, integer } = PARAMETER_RANGES[name];
+    const clamped = Math.max(min, Math.min(max, value));
+    return integer ? Math.round(clamped) : Number(clamped.toFixed(4));
+}
+
+export class MockEvolutionEngine {
+    constructor({ seed = 1, populationSize = 12, sampleRate = 22050, duration = 3 } = {}) {
+        this.random = createRandom(seed);
+        this.populationSize = populationSize;
+        this.sampleRate = sampleRate;
+        this.duration = duration;
+        this.generation = -1;
+        this.solutions = [];
+        this.nextId = 0;
+        this.listeners = new Set();
+        this.seenFeedback = new Set();
+        this.job = null; // Running evolution: { timers, category }
+        this.wavById = new Map(); // Solution id -> WAV bytes, sent as binary frames
+        this.transports = new Map(); // Connection callback -> negotiated audio transport
+        this.pendingSeeds = []; // seed_solution messages waiting for the next evolution of their category
+    }
+
+    // A connected mock socket registers here to receive server messages
+    subscribe(listener) {
+        this.listeners.add(listener);
+        // Like the real engine, push the current generation to every new client
+        setTimeout(() => {
+            if (this.generation < 0) this._createInitialGeneration();
+            this._emitGeneration(listener);
+        }, RESPONSE_DELAY_MS);
+        return () => {
+            this.listeners.delete(listener);
+            this.transports.delete(listener);
+        };
+    }
+
+    receive(message, reply) {
+        switch (message.action) {
+            case 'hello': {
+                // Binary frames when the client offers them; the mock cannot serve HTTP fetches
+                const offered = message.audio_transports || [];
+                const transport = offered.includes(AUDIO_TRANSPORTS.BINARY) ? AUDIO_TRANSPORTS.BINARY : AUDIO_TRANSPORTS.INLINE;
+                this.transports.set(reply, transport);
+                setTimeout(() => reply({
+                    type: 'hello',
+                    protocol_version: PROTOCOL_VERSION,
+                    server: 'mock-engine',
+                    capabilities: ['feedback_ack', 'evolution_progress', 'binary_audio', 'seed_solutions'],
+                    audio_transport: transport
+                }), RESPONSE_DELAY_MS / 3);
+                break;
+            }
+            case 'user_feedback':
+                setTimeout(() => reply({ type: 'feedback_ack', feedback_id: message.feedback_id }), RESPONSE_DELAY_MS);
+                // Re-sent payloads (after a reconnect) must not trigger a second evolution
+                if (this.seenFeedback.has(message.feedback_id)) break;
+                this.seenFeedback.add(message.feedback_id);
+                this._applyFeedback(message.feedback || []);
+                this._scheduleEvolution(null);
+                break;
+            case 'evolve_generation':
+                this._scheduleEvolution(message.category || null);
+                break;
+            case 'seed_solution': {
+                const accepted = CATEGORIES.includes(message.category);
+                if (accepted) this.pendingSeeds.push(message);
+                setTimeout(() => reply({
+                    type: 'seed_ack',
+                    seed_id: message.seed_id,
+                    accepted,
+                    message: accepted
+                        ? `Seed joins the next ${message.category} generation`
+                        : `Unknown category "${message.category}"`
+                }), RESPONSE_DELAY_MS / 3);
+                break;
+            }
+            case 'abort_evolution':
+                setTimeout(() => reply({
+                    type: 'evolution_aborted',
+                    message: this._cancelEvolution() ? 'Evolution cancelled' : 'No evolution was running'
+                }), RESPONSE_DELAY_MS / 3);
+                break;
+            case 'protocol_error':
+                console.warn('🧪 Mock engine: client rejected a message', message.rejected_type, message.issues);
+                break;
+            default:
+                console.log('🧪 Mock engine: ignoring action', message.action);
+        }
+    }
+
+    _broadcast(message) {
+        this.listeners.forEach(listener => listener(message));
+    }
+
+    _emitGeneration(listener = null) {
+        const targets = listener ? [listener] : [...this.listeners];
+        targets.forEach(target => this._sendGeneration(target));
+    }
+
+    _sendGeneration(listener) {
+        if (this.transports.get(listener) !== AUDIO_TRANSPORTS.BINARY) {
+            listener({ type: 'generation_data', generation: this.generation, solutions: this.solutions });
+            return;
+        }
+
+        // Solutions without audio data, then one binary frame per solution
+        const generation = this.generation;
+        listener({
+            type: 'generation_data',
+            generation,
+            solutions: this.solutions.map(({ audio, ...solution }) => ({
+                ...solution,
+                audio: { format: audio.format, sample_rate: audio.sample_rate }
+            }))
+        });
+        this.solutions.forEach((solution, i) => {
+            setTimeout(() => {
+                if (!this.listeners.has(listener) || !this.wavById.has(solution.id)) return;
+                listener(encodeAudioFrame(
+                    { type: 'audio', generation, solution_id: solution.id, format: 'wav' },
+                    this.wavById.get(solution.id)
+                ));
+            }, (i + 1) * AUDIO_FRAME_GAP_MS);
+        });
+    }
+
+    // Emits evolution_progress for each simulated stage, then the new generation
+    _scheduleEvolution(category) {
+        this._cancelEvolution();
+
+        const total = category
+            ? this.solutions.filter(s => s.actual_category === category).length
+            : this.solutions.length;
+        const steps = [{ stage: 'Selecting parents', percent: 5 }];
+        for (let i = 1; i <= total; i++) {
+            steps.push({
+                stage: 'Rendering candidates',
+                percent: 5 + (i / total) * 85,
+                candidate: i,
+                total_candidates: total
+            });
+        }
+        steps.push({ stage: 'Analysing descriptors', percent: 95 });
+
+        const job = { category, timers: [] };
+        const nextGeneration = this.generation + 1;
+        steps.forEach((step, i) => {
+            job.timers.push(setTimeout(() => this._broadcast({
+                type: 'evolution_progress',
+                generation: nextGeneration,
+                eta_seconds: ((steps.length - i) * PROGRESS_STEP_MS) / 1000,
+                ...step
+            }), i * PROGRESS_STEP_MS));
+        });
+        job.timers.push(setTimeout(() => {
+            this.job = null;
+            this._evolve(category);
+            this._emitGeneration();
+            this._broadcast({
+                type: 'evolution_complete',
+                generation: this.generation,
+                message: category ? `Evolved ${category} sounds` : 'Evolved from user scores'
+            });
+        }, steps.length * PROGRESS_STEP_MS));
+        this.job = job;
+    }
+
+    _cancelEvolution() {
+        if (!this.job) return false;
+        this.job.timers.forEach(clearTimeout);
+        this.job = null;
+        console.log('🧪 Mock engine: evolution cancelled');
+        return true;
+    }
+
+    // **POPULATION**
+
+    _createInitialGeneration() {
+        this.generation = 0;
+        this.solutions = [];
+        for (let i = 0; i < this.populationSize; i++) {
+            const category = CATEGORIES[i % CATEGORIES.length];
+            this.solutions.push(this._createSolution(this._randomParameters(), category, this._randomPitch(category)));
+        }
+        console.log(`🧪 Mock engine: created initial generation with ${this.solutions.length} solutions`);
+    }
+
+    _applyFeedback(feedback) {
+        const scores = new Map(feedback
+            .filter(entry => entry.was_scored)
+            .map(entry => [String(entry.solution_id), entry.user_score]));
+        this.solutions.forEach(solution => {
+            if (scores.has(String(solution.id))) {
+                solution.fitness = scores.get(String(solution.id));
+            }
+        });
+        console.log(`🧪 Mock engine: received ${scores.size} user scores`);
+    }
+
+    // Tournament selection + uniform crossover + gaussian mutation, per category.
+    // With a category only that category is replaced, the rest survives unchanged.
+    _evolve(category) {
+        const next = [];
+        CATEGORIES.forEach(cat => {
+            const pool = this.solutions.filter(s => s.actual_category === cat);
+            if (pool.length === 0) return;
+            if (category && category !== cat) {
+                next.push(...pool);
+                return;
+            }
+            pool.forEach(() => {
+                const a = this._select(pool);
+                const b = this._select(pool);
+                const parameters = {};
+                Object.keys(PARAMETER_RANGES).forEach(name => {
+                    const inherited = this.random() < 0.5 ? a.parameters[name] : b.parameters[name];
+                    parameters[name] = this._mutate(name, inherited);
+                });
+                const pitch = (this.random() < 0.5 ? a : b).descriptors.base_frequency;
+                const child = this._createSolution(parameters, cat, pitch * (1 + (this.random() - 0.5) * 0.2));
+                child.fitness = Number((((a.fitness || 0) + (b.fitness || 0)) / 2).toFixed(3));
+                next.push(child);
+            });
+            this._plantSeeds(cat, pool, next);
+        });
+        this.generation++;
+        this.solutions = next;
+        // Solutions of earlier generations are never sent again
+        const liveIds = new Set(next.map(solution => solution.id));
+        [...this.wavById.keys()].forEach(id => {
+            if (!liveIds.has(id)) this.wavById.delete(id);
+        });
+        console.log(`🧪 Mock engine: evolved generation ${this.generation}${category ? ` (${category})` : ''}`);
+    }
+
+    // Seeds of the category replace the last children, one per seed (the newest seeds win
+    // when there are more seeds than children); they sound at the pitch of their parent
+    _plantSeeds(category, pool, next) {
+        const seeds = this.pendingSeeds.filter(seed => seed.category === category);
+        if (seeds.length === 0) return;
+        this.pendingSeeds = this.pendingSeeds.filter(seed => seed.category !== category);
+
+        const children = next.filter(solution => solution.actual_category === category);
+        seeds.slice(-children.length).forEach((seed, i) => {
+            const parameters = {};
+            Object.keys(PARAMETER_RANGES).forEach(name => {
+                parameters[name] = clampParameter(name, Number(seed.parameters[name]) || 0);
+            });
+            const parent = pool.find(solution => String(solution.id) === String(seed.parent_id));
+            const pitch = parent ? parent.descriptors.base_frequency : this._randomPitch(category);
+            const solution = this._createSolution(parameters, category, pitch);
+            solution.fitness = parent?.fitness || 0;
+            next[next.indexOf(children[children.length - 1 - i])] = solution;
+        });
+        console.log(`🧪 Mock engine: planted ${Math.min(seeds.length, children.length)} seed(s) in ${category}`);
+    }
+
+    _select(pool) {
+        const a = pool[Math.floor(this.random() * pool.length)];
+        const b = pool[Math.floor(this.random() * pool.length)];
+        return (a.fitness || 0) >= (b.fitness || 0) ? a : b;
+    }
+
+    _mutate(name, value) {
+        const { min, max } = PARAMETER_RANGES[name];
+        // Box-Muller gaussian, sigma = 10% of the range
+        const gaussian = Math.sqrt(-2 * Math.log(1 - this.random())) * Math.cos(2 * Math.PI * this.random());
+        return clampParameter(name, value + gaussian * (max - min) * 0.1);
+    }
+
+    _randomParameters() {
+        const parameters = {};
+        Object.entries(PARAMETER_RANGES).forEach(([name, { min, max }]) => {
+            parameters[name] = clampParameter(name, min + this.random() * (max - min));
+        });
+        return parameters;
+    }
+
+    _randomPitch(category) {
+        const [lo, hi] = CATEGORY_PITCH[category];
+        return lo * Math.pow(hi / lo, this.random());
+    }
+
+    _createSolution(parameters, category, baseFrequency) {
+        const [lo, hi] = CATEGORY_PITCH[category];
+        const frequency = Math.max(lo, Math.min(hi, baseFrequency));
+        const samples = this._synthesize(parameters, category, frequency);
+
+        let sumSquares = 0;
+        let crossings = 0;
+        for (let i = 1; i < samples.length; i++) {
+            sumSquares += samples[i] * samples[i];
+            if ((samples[i - 1] < 0) !== (samples[i] < 0)) crossings++;
+        }
+
+        const overlapNorm = (parameters.overlap - PARAMETER_RANGES.overlap.min) /
+            (PARAMETER_RANGES.overlap.max - PARAMETER_RANGES.overlap.min);
+        const pitchNorm = Math.abs(parameters.pitch_variance) / PARAMETER_RANGES.pitch_variance.max;
+        const wav = encodeWav([samples], this.sampleRate, { bitDepth: 16 });
+        const id = this.nextId++;
+        this.wavById.set(id, wav);
+
+        return {
+            id,
+            parameters,
+            descriptors: {
+                spectral_flux: Number(Math.min(SPECTRAL_FLUX_MAX, overlapNorm * 900 + pitchNorm * 800).toFixed(2)),
+                spectral_centroid: Number((frequency * (category === 'high' ? 3 : 1.6)).toFixed(2)),
+                rms: Number(Math.sqrt(sumSquares / samples.length).toFixed(4)),
+                zero_crossing_rate: Number((crossings / samples.length).toFixed(4)),
+                base_frequency: Number(frequency.toFixed(2)),
+                category
+            },
+            actual_category: category,
+            fitness: 0,
+            audio: {
+                format: 'wav',
+                sample_rate: this.sampleRate,
+                data: arrayBufferToBase64(wav)
+            }
+        };
+    }
+
+    // **GRANULAR SYNTHESIS**
+    // Hann-windowed grains of a category-specific source, laid out by grain_duration/overlap,
+    // spread across num_voices detuned streams and sent through a small comb "room".
+    _synthesize(parameters, category, frequency) {
+        const sr = this.sampleRate;
+        const length = Math.floor(this.duration * sr);
+        const out = new Float32Array(length);
+
+        const grainLength = Math.max(0.02, parameters.grain_duration * 0.3);
+        const grainSamples = Math.floor(grainLength * sr);
+        const hop = grainLength / parameters.overlap;
+        const voices = Math.max(1, Math.round(parameters.num_voices));
+        // Rhythmic grains snap to a 16th-note grid at 120 BPM
+        const grid = category === 'rhythmic' ? 0.125 : 0;
+
+        for (let time = 0, index = 0; time < this.duration - grainLength; time += hop, index++) {
+            const start = grid ? Math.round(time / grid) * grid : time;
+            const voice = index % voices;
+            const detune = 1 + (voice - (voices - 1) / 2) * 0.006;
+            const pitch = frequency * detune * (1 + (this.random() * 2 - 1) * parameters.pitch_variance * 4);
+            const phaseOffset = this.random() * Math.PI * 2;
+            const offset = Math.floor(start * sr);
+            const amplitude = 0.3 + this.random() * 0.7;
+
+            for (let n = 0; n < grainSamples && offset + n < length; n++) {
+                const window = 0.5 - 0.5 * Math.cos((2 * Math.PI * n) / grainSamples);
+                const phase = (2 * Math.PI * pitch * n) / sr + phaseOffset;
+                let sample;
+                switch (category) {
+                    case 'low':
+                        sample = Math.sin(phase) + 0.3 * Math.sin(phase * 0.5);
+                        break;
+                    case 'high':
+                        sample = Math.sin(phase) + 0.4 * Math.sin(phase * 2.01) + 0.2 * Math.sin(phase * 3.02);
+                        break;
+                    case 'rhythmic': {
+                        // Percussive: noise + pitched body with a fast decay
+                        const decay = Math.exp(-n / (grainSamples * 0.15));
+                        sample = ((this.random() * 2 - 1) * 0.6 + Math.sin(phase) * 0.8) * decay;
+                        break;
+                    }
+                    default:
+                        sample = Math.sin(phase) + 0.15 * (this.random() * 2 - 1);
+                }
+                out[offset + n] += sample * window * amplitude;
+            }
+        }
+
+        // Feedback comb as a cheap room, sized by room_size and mixed by wet_level
+        const delay = Math.max(1, Math.floor((0.02 + parameters.room_size * 0.2) * sr));
+        const feedback = 0.4 + parameters.room_size;
+        const wet = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            wet[i] = out[i] + (i >= delay ? wet[i - delay] * feedback : 0);
+        }
+
+        let peak = 0;
+        for (let i = 0; i < length; i++) {
+            out[i] = out[i] * (1 - parameters.wet_level) + wet[i] * parameters.wet_level;
+            peak = Math.max(peak, Math.abs(out[i]));
+        }
+
+        // Normalize and fade the edges so loops don't click
+        const gain = peak > 0 ? 0.8 / peak : 0;
+        const fade = Math.floor(0.02 * sr);
+        for (let i = 0; i < length; i++) {
+            const edge = Math.min(1, i / fade, (length - 1 - i) / fade);
+            out[i] *= gain * edge;
+        }
+
+        return out;
+    }
+}
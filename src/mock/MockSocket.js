@@ -0,0 +1,82 @@
+import { MockEvolutionEngine } from './MockEvolutionEngine.js';
+
+// WebSocket look-alike that talks to the in-browser MockEvolutionEngine.
+// Selected by using a mock:// endpoint, e.g. ?server=mock://local?seed=7&size=8 or ?mock
+export const MOCK_PROTOCOL = 'mock:';
+
+export function isMockEndpoint(url) {
+    return typeof url === 'string' && url.toLowerCase().startsWith(MOCK_PROTOCOL);
+}
+
+// One engine per page and seed, so reconnecting keeps the evolution state like a real server would
+const engines = new Map();
+
+function getEngine(url) {
+    let params;
+    try {
+        params = new URL(url).searchParams;
+    } catch (err) {
+        params = new URLSearchParams();
+    }
+    const seed = parseInt(params.get('seed'), 10) || 1;
+    const populationSize = parseInt(params.get('size'), 10) || 12;
+    const key = `${seed}:${populationSize}`;
+    if (!engines.has(key)) {
+        console.log(`🧪 Starting mock evolution engine (seed ${seed}, ${populationSize} solutions)`);
+        engines.set(key, new MockEvolutionEngine({ seed, populationSize }));
+    }
+    return engines.get(key);
+}
+
+export class MockSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = MockSocket.CONNECTING;
+        this.binaryType = 'blob';
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+
+        this.engine = getEngine(url);
+        this._unsubscribe = null;
+        // Same callback for pushes and replies, so the engine can keep per-connection state (audio transport)
+        this._listener = (message) => this._deliver(message);
+
+        setTimeout(() => {
+            if (this.readyState !== MockSocket.CONNECTING) return;
+            this.readyState = MockSocket.OPEN;
+            this._unsubscribe = this.engine.subscribe(this._listener);
+            this.onopen?.({ type: 'open' });
+        }, 50);
+    }
+
+    send(data) {
+        if (this.readyState !== MockSocket.OPEN) {
+            throw new Error('MockSocket is not open');
+        }
+        // Round-trip through JSON so the engine never shares objects with the client
+        const message = JSON.parse(data);
+        this.engine.receive(message, this._listener);
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState === MockSocket.CLOSED) return;
+        this.readyState = MockSocket.CLOSED;
+        this._unsubscribe?.();
+        this._unsubscribe = null;
+        setTimeout(() => this.onclose?.({ type: 'close', code, reason, wasClean: true }), 0);
+    }
+
+    _deliver(message) {
+        if (this.readyState !== MockSocket.OPEN) return;
+        // Binary frames go through as-is, like a WebSocket with binaryType 'arraybuffer'
+        const data = message instanceof ArrayBuffer ? message.slice(0) : JSON.stringify(message);
+        this.onmessage?.({ type: 'message', data });
+    }
+}
@@ -0,0 +1,95 @@
+import { PROTOCOL_VERSION } from './messages.js';
+import { downloadBlob } from '../utils/helpers.js';
+
+// Captures every message crossing the bridge so a session can be downloaded and replayed later.
+// Entries keep the raw JSON text: inbound handlers mutate the parsed objects they receive.
+
+export const SESSION_FORMAT = 'shard-session';
+export const SESSION_FORMAT_VERSION = 1;
+
+export class SessionRecorder {
+    constructor() {
+        this.recording = false;
+        this.entries = [];
+        this.startedAt = null;
+        this._startTime = 0;
+        this.meta = {};
+    }
+
+    start(meta = {}) {
+        this.entries = [];
+        this.meta = meta;
+        this.startedAt = new Date().toISOString();
+        this._startTime = performance.now();
+        this.recording = true;
+        console.log('⏺️ Session recording started');
+    }
+
+    stop() {
+        this.recording = false;
+        console.log(`⏹️ Session recording stopped (${this.entries.length} messages)`);
+    }
+
+    record(direction, rawText) {
+        if (!this.recording) return;
+        this.entries.push({
+            t: Math.round(performance.now() - this._startTime),
+            direction,
+            raw: rawText
+        });
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    toJSON() {
+        return {
+            format: SESSION_FORMAT,
+            version: SESSION_FORMAT_VERSION,
+            protocol_version: PROTOCOL_VERSION,
+            started_at: this.startedAt,
+            ...this.meta,
+            entries: this.entries.map(entry => {
+                let message;
+                try {
+                    message = JSON.parse(entry.raw);
+                } catch (err) {
+                    message = { unparsed: entry.raw };
+                }
+                return { t: entry.t, direction: entry.direction, message };
+            })
+        };
+    }
+
+    download(filename = null) {
+        const stamp = (this.startedAt || new Date().toISOString()).replace(/[:.]/g, '-');
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        downloadBlob(blob, filename || `shard-session-${stamp}.json`);
+    }
+
+    // Parses and checks a downloaded session file; throws with a readable reason
+    static parse(text) {
+        let session;
+        try {
+            session = JSON.parse(text);
+        } catch (err) {
+            throw new Error('Session file is not valid JSON');
+        }
+        if (session?.format !== SESSION_FORMAT) {
+            throw new Error(`Not a session file (format: ${session?.format ?? 'missing'})`);
+        }
+        if (session.version > SESSION_FORMAT_VERSION) {
+            throw new Error(`Session file version ${session.version} is newer than supported (${SESSION_FORMAT_VERSION})`);
+        }
+        if (!Array.isArray(session.entries)) {
+            throw new Error('Session file has no entries');
+        }
+        session.entries.forEach((entry, i) => {
+            if (typeof entry.t !== 'number' || !entry.message || typeof entry.message !== 'object') {
+                throw new Error(`Session entry ${i} is malformed`);
+            }
+        });
+        return session;
+    }
+}
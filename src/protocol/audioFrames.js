@@ -0,0 +1,48 @@
+import { ProtocolError, validateInbound } from './messages.js';
+
+// Binary WebSocket frame carrying the audio file of one solution:
+//   [uint32 big-endian header length][UTF-8 JSON header][audio file bytes]
+// The header is an inbound "audio" message: { type: 'audio', generation, solution_id, format? }
+
+export function encodeAudioFrame(header, audioBytes) {
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const body = audioBytes instanceof ArrayBuffer ? new Uint8Array(audioBytes) : audioBytes;
+
+    const frame = new Uint8Array(4 + headerBytes.length + body.byteLength);
+    new DataView(frame.buffer).setUint32(0, headerBytes.length);
+    frame.set(headerBytes, 4);
+    frame.set(body, 4 + headerBytes.length);
+    return frame.buffer;
+}
+
+// Returns { header, audio } or throws a ProtocolError naming what is wrong with the frame
+export function decodeAudioFrame(buffer) {
+    const fail = (message) => {
+        throw new ProtocolError('inbound', 'audio', [{ path: '(frame)', message }]);
+    };
+
+    if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < 4) {
+        fail('binary frame is too short');
+    }
+    const headerLength = new DataView(buffer).getUint32(0);
+    if (headerLength === 0 || 4 + headerLength > buffer.byteLength) {
+        fail(`header length ${headerLength} does not fit a ${buffer.byteLength} byte frame`);
+    }
+
+    let header;
+    try {
+        header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 4, headerLength)));
+    } catch (err) {
+        fail('header is not valid JSON');
+    }
+    validateInbound(header);
+    if (header.type !== 'audio') {
+        fail(`expected an "audio" header, got "${header.type}"`);
+    }
+
+    const audio = buffer.slice(4 + headerLength);
+    if (audio.byteLength === 0) {
+        fail('frame carries no audio bytes');
+    }
+    return { header, audio };
+}
@@ -0,0 +1,301 @@
+// Wire protocol between the frontend and the Python evolution engine.
+// Inbound messages are keyed by `type`, outbound messages by `action`.
+// Both directions are validated here so a backend change surfaces as a readable
+// error instead of crashing solid creation deep inside the scene.
+
+export const PROTOCOL_VERSION = '1.0';
+export const CLIENT_NAME = 'shard-frontend';
+
+// How solution audio reaches the client, negotiated per connection in the hello exchange:
+// inline base64 in generation_data, binary WebSocket frames, or an HTTP fetch per solution
+export const AUDIO_TRANSPORTS = Object.freeze({
+    INLINE: 'inline',
+    BINARY: 'binary',
+    FETCH: 'fetch'
+});
+const AUDIO_TRANSPORT_NAMES = Object.values(AUDIO_TRANSPORTS);
+
+export class ProtocolError extends Error {
+    constructor(direction, kind, issues) {
+        const summary = issues.map(issue => `${issue.path}: ${issue.message}`).join('; ');
+        super(`Rejected ${direction} "${kind}" message - ${summary}`);
+        this.name = 'ProtocolError';
+        this.direction = direction;
+        this.kind = kind;
+        this.issues = issues;
+    }
+}
+
+// Protocol versions are "major.minor"; only the major part has to match
+export function parseVersion(version) {
+    const [major, minor] = String(version ?? '').split('.').map(n => parseInt(n, 10));
+    if (!Number.isFinite(major)) return null;
+    return { major, minor: Number.isFinite(minor) ? minor : 0 };
+}
+
+export function isCompatibleVersion(remoteVersion, localVersion = PROTOCOL_VERSION) {
+    const remote = parseVersion(remoteVersion);
+    const local = parseVersion(localVersion);
+    return !!remote && !!local && remote.major === local.major;
+}
+
+// **SCHEMA BUILDERS**
+// Each rule is a function (value, path, issues) that appends { path, message } entries.
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isNaN(value)) return 'NaN';
+    return typeof value;
+}
+
+const t = {
+    any: () => () => {},
+
+    string: ({ nonEmpty = false, oneOf = null } = {}) => (value, path, issues) => {
+        if (typeof value !== 'string') {
+            issues.push({ path, message: `expected string, got ${describe(value)}` });
+        } else if (nonEmpty && !value.trim()) {
+            issues.push({ path, message: 'must not be empty' });
+        } else if (oneOf && !oneOf.includes(value)) {
+            issues.push({ path, message: `expected one of ${oneOf.join(', ')}, got "${value}"` });
+        }
+    },
+
+    number: ({ integer = false, min = -Infinity } = {}) => (value, path, issues) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            issues.push({ path, message: `expected ${integer ? 'integer' : 'number'}, got ${describe(value)}` });
+        } else if (integer && !Number.isInteger(value)) {
+            issues.push({ path, message: `expected integer, got ${value}` });
+        } else if (value < min) {
+            issues.push({ path, message: `must be >= ${min}, got ${value}` });
+        }
+    },
+
+    boolean: () => (value, path, issues) => {
+        if (typeof value !== 'boolean') {
+            issues.push({ path, message: `expected boolean, got ${describe(value)}` });
+        }
+    },
+
+    id: () => (value, path, issues) => {
+        const ok = (typeof value === 'string' && value.length > 0) ||
+                   (typeof value === 'number' && Number.isFinite(value));
+        if (!ok) issues.push({ path, message: `expected string or number id, got ${describe(value)}` });
+    },
+
+    array: (item, { minItems = 0 } = {}) => (value, path, issues) => {
+        if (!Array.isArray(value)) {
+            issues.push({ path, message: `expected array, got ${describe(value)}` });
+            return;
+        }
+        if (value.length < minItems) {
+            issues.push({ path, message: `expected at least ${minItems} item(s), got ${value.length}` });
+        }
+        value.forEach((entry, i) => item(entry, `${path}[${i}]`, issues));
+    },
+
+    // Extra keys are allowed so the backend can add fields without breaking older clients
+    object: (shape) => (value, path, issues) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            issues.push({ path, message: `expected object, got ${describe(value)}` });
+            return;
+        }
+        Object.entries(shape).forEach(([key, rule]) => {
+            const childPath = path ? `${path}.${key}` : key;
+            if (rule.optional) {
+                if (value[key] !== undefined && value[key] !== null) rule.rule(value[key], childPath, issues);
+            } else if (value[key] === undefined) {
+                issues.push({ path: childPath, message: 'is required' });
+            } else {
+                rule(value[key], childPath, issues);
+            }
+        });
+    },
+
+    optional: (rule) => ({ optional: true, rule })
+};
+
+// **SHARED SHAPES**
+
+const parametersSchema = t.object({
+    room_size: t.number(),
+    pitch_variance: t.number(),
+    grain_duration: t.number(),
+    overlap: t.number(),
+    wet_level: t.number(),
+    num_voices: t.number({ min: 1 })
+});
+
+const solutionSchema = t.object({
+    id: t.id(),
+    parameters: parametersSchema,
+    descriptors: t.object({
+        spectral_flux: t.number()
+    }),
+    fitness: t.optional(t.number()),
+    actual_category: t.optional(t.string()),
+    category: t.optional(t.string()),
+    assigned_category: t.optional(t.string()),
+    // Without `data` the audio follows as a binary frame / audio_data message, or is fetched
+    audio: t.optional(t.object({
+        data: t.optional(t.string({ nonEmpty: true })),
+        url: t.optional(t.string({ nonEmpty: true })),
+        format: t.optional(t.string())
+    }))
+});
+
+const feedbackEntrySchema = t.object({
+    solution_id: t.id(),
+    category: t.string(),
+    was_scored: t.boolean(),
+    user_score: t.number(),
+    global_index: t.optional(t.number({ integer: true })),
+    local_index: t.optional(t.number({ integer: true }))
+});
+
+// **INBOUND (server -> client), keyed by `type`**
+
+export const INBOUND_SCHEMAS = {
+    hello: t.object({
+        type: t.string(),
+        protocol_version: t.string({ nonEmpty: true }),
+        server: t.optional(t.string()),
+        capabilities: t.optional(t.array(t.string())),
+        audio_transport: t.optional(t.string({ oneOf: AUDIO_TRANSPORT_NAMES })),
+        // Fetch transport: URL template with {generation} and {id}, relative to the server
+        audio_url: t.optional(t.string({ nonEmpty: true }))
+    }),
+    generation_data: t.object({
+        type: t.string(),
+        generation: t.number({ integer: true, min: 0 }),
+        solutions: t.array(solutionSchema, { minItems: 1 })
+    }),
+    evolution_complete: t.object({
+        type: t.string(),
+        generation: t.optional(t.number({ integer: true, min: 0 })),
+        message: t.optional(t.string())
+    }),
+    evolution_progress: t.object({
+        type: t.string(),
+        stage: t.string({ nonEmpty: true }),
+        percent: t.optional(t.number({ min: 0 })),
+        candidate: t.optional(t.number({ integer: true, min: 0 })),
+        total_candidates: t.optional(t.number({ integer: true, min: 0 })),
+        eta_seconds: t.optional(t.number({ min: 0 })),
+        generation: t.optional(t.number({ integer: true, min: 0 }))
+    }),
+    evolution_aborted: t.object({
+        type: t.string(),
+        message: t.optional(t.string())
+    }),
+    feedback_ack: t.object({
+        type: t.string(),
+        feedback_id: t.string({ nonEmpty: true })
+    }),
+    // Answer to seed_solution; accepted: false when the engine will not use the seed
+    seed_ack: t.object({
+        type: t.string(),
+        seed_id: t.string({ nonEmpty: true }),
+        accepted: t.optional(t.boolean()),
+        message: t.optional(t.string())
+    }),
+    // Header of a binary audio frame (see audioFrames.js)
+    audio: t.object({
+        type: t.string(),
+        generation: t.number({ integer: true, min: 0 }),
+        solution_id: t.id(),
+        format: t.optional(t.string())
+    }),
+    // One solution's audio as its own JSON message (also how binary frames are recorded)
+    audio_data: t.object({
+        type: t.string(),
+        generation: t.number({ integer: true, min: 0 }),
+        solution_id: t.id(),
+        data: t.string({ nonEmpty: true }),
+        format: t.optional(t.string())
+    }),
+    error: t.object({
+        type: t.string(),
+        message: t.string()
+    })
+};
+
+// **OUTBOUND (client -> server), keyed by `action`**
+
+export const OUTBOUND_SCHEMAS = {
+    hello: t.object({
+        action: t.string(),
+        protocol_version: t.string({ nonEmpty: true }),
+        client: t.string(),
+        capabilities: t.array(t.string()),
+        audio_transports: t.optional(t.array(t.string({ oneOf: AUDIO_TRANSPORT_NAMES })))
+    }),
+    user_feedback: t.object({
+        action: t.string(),
+        type: t.string({ nonEmpty: true }),
+        feedback_id: t.string({ nonEmpty: true }),
+        feedback: t.array(feedbackEntrySchema, { minItems: 1 }),
+        timestamp: t.number()
+    }),
+    evolve_generation: t.object({
+        action: t.string(),
+        category: t.string(),
+        generation: t.number({ integer: true, min: 0 }),
+        timestamp: t.number()
+    }),
+    // Hand-edited parameters to add as an individual of the next generation (servers that
+    // announce the "seed_solutions" capability)
+    seed_solution: t.object({
+        action: t.string(),
+        seed_id: t.string({ nonEmpty: true }),
+        category: t.string({ nonEmpty: true }),
+        generation: t.number({ integer: true, min: 0 }),
+        parent_id: t.optional(t.id()),
+        parameters: parametersSchema,
+        timestamp: t.number()
+    }),
+    abort_evolution: t.object({
+        action: t.string(),
+        generation: t.number({ integer: true, min: 0 }),
+        timestamp: t.number()
+    }),
+    protocol_error: t.object({
+        action: t.string(),
+        rejected_type: t.string(),
+        issues: t.array(t.object({ path: t.string(), message: t.string() }))
+    }),
+    test: t.object({
+        action: t.string(),
+        message: t.optional(t.string())
+    })
+};
+
+function validate(direction, keyField, schemas, message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        throw new ProtocolError(direction, 'unknown', [{ path: '(root)', message: `expected object, got ${describe(message)}` }]);
+    }
+    const kind = message[keyField];
+    if (typeof kind !== 'string') {
+        throw new ProtocolError(direction, 'unknown', [{ path: keyField, message: `expected string, got ${describe(kind)}` }]);
+    }
+    const schema = schemas[kind];
+    if (!schema) {
+        throw new ProtocolError(direction, kind, [{ path: keyField, message: `unknown ${keyField} "${kind}"` }]);
+    }
+
+    const issues = [];
+    schema(message, '', issues);
+    if (issues.length > 0) {
+        throw new ProtocolError(direction, kind, issues);
+    }
+    return message;
+}
+
+export function validateInbound(message) {
+    return validate('inbound', 'type', INBOUND_SCHEMAS, message);
+}
+
+export function validateOutbound(message) {
+    return validate('outbound', 'action', OUTBOUND_SCHEMAS, message);
+}
@@ -0,0 +1,132 @@
+// Persistent Library (IndexedDB): the saved records with a serialized snapshot of their solid,
+// and the decoded audio of every saved sound, so saved items outlive reloads and generations.
+// Each helper resolves to false / null when storage is unavailable; the Library then works
+// from memory for the session.
+const DB_NAME = 'shard-library';
+const DB_VERSION = 1;
+const RECORDS = 'records';
+const AUDIO = 'audio';
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!window.indexedDB) return Promise.resolve(null);
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(RECORDS)) db.createObjectStore(RECORDS, { keyPath: 'key' });
+                if (!db.objectStoreNames.contains(AUDIO)) db.createObjectStore(AUDIO, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('library database is blocked by another tab'));
+        }).catch(error => {
+            // Opening may be retried later (e.g. after the other tab closes)
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+function run(storeName, mode, operation) {
+    return openDatabase().then(db => {
+        if (!db) return null;
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('transaction aborted'));
+        });
+    });
+}
+
+export async function loadLibraryRecords() {
+    try {
+        const records = await run(RECORDS, 'readonly', store => store.getAll());
+        return (records || []).sort((a, b) => (a.savedAt || 0) - (b.savedAt || 0));
+    } catch (error) {
+        console.warn('⚠️ Could not read the stored library:', error);
+        // Not [] so callers can tell an empty library from an unreadable one
+        return null;
+    }
+}
+
+// record.key identifies the record; saving again replaces it
+export async function saveLibraryRecord(record) {
+    try {
+        await run(RECORDS, 'readwrite', store => store.put(record));
+        return true;
+    } catch (error) {
+        console.warn(`⚠️ Could not store library item "${record?.name}":`, error);
+        return false;
+    }
+}
+
+export async function deleteLibraryRecord(key) {
+    try {
+        await run(RECORDS, 'readwrite', store => store.delete(key));
+        return true;
+    } catch (error) {
+        console.warn(`⚠️ Could not remove library item ${key} from storage:`, error);
+        return false;
+    }
+}
+
+export async function saveLibraryAudio(key, buffer, normalization = 1) {
+    try {
+        const channels = [];
+        for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+        await run(AUDIO, 'readwrite', store => store.put({
+            key,
+            sampleRate: buffer.sampleRate,
+            normalization,
+            channels
+        }));
+        return true;
+    } catch (error) {
+        console.warn(`⚠️ Could not store the audio of ${key}:`, error);
+        return false;
+    }
+}
+
+// Resolves to { buffer: AudioBuffer, normalization } or null when the sound was not stored
+export async function loadLibraryAudio(key, audioContext) {
+    try {
+        const entry = await run(AUDIO, 'readonly', store => store.get(key));
+        if (!entry?.channels?.length) return null;
+        const buffer = audioContext.createBuffer(entry.channels.length, entry.channels[0].length, entry.sampleRate);
+        entry.channels.forEach((data, c) => buffer.copyToChannel(data, c));
+        return { buffer, normalization: entry.normalization ?? 1 };
+    } catch (error) {
+        console.warn(`⚠️ Could not read the stored audio of ${key}:`, error);
+        return null;
+    }
+}
+
+// Drops stored sounds no record uses anymore (deleted items stay undoable for the session,
+// so this runs when the library is restored). getKeepKeys() is asked for the keys in use once
+// the stored keys are read, inside the same transaction: audio saved meanwhile is either among
+// them or written after the deletes.
+export async function pruneLibraryAudio(getKeepKeys) {
+    try {
+        const removed = await run(AUDIO, 'readwrite', store => {
+            // run() resolves with .result, like a request's
+            const pruned = { result: 0 };
+            store.getAllKeys().onsuccess = (event) => {
+                const keepKeys = getKeepKeys();
+                const unused = event.target.result.filter(key => !keepKeys.has(key));
+                unused.forEach(key => store.delete(key));
+                pruned.result = unused.length;
+            };
+            return pruned;
+        });
+        return removed || 0;
+    } catch (error) {
+        console.warn('⚠️ Could not clean up the stored library audio:', error);
+        return 0;
+    }
+}
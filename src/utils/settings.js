@@ -0,0 +1,31 @@
+// Persisted user settings (localStorage, JSON encoded).
+// Every key is namespaced so we never collide with other apps on the same origin.
+const STORAGE_PREFIX = 'shard.';
+
+export function loadSetting(key, fallback = null) {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (err) {
+        console.warn(`⚠️ Could not read setting "${key}":`, err);
+        return fallback;
+    }
+}
+
+export function saveSetting(key, value) {
+    try {
+        window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+        return true;
+    } catch (err) {
+        console.warn(`⚠️ Could not persist setting "${key}":`, err);
+        return false;
+    }
+}
+
+export function clearSetting(key) {
+    try {
+        window.localStorage.removeItem(STORAGE_PREFIX + key);
+    } catch (err) {
+        console.warn(`⚠️ Could not clear setting "${key}":`, err);
+    }
+}
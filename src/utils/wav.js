@@ -0,0 +1,154 @@
+// WAV (RIFF, integer PCM) encoding helpers shared by exports and the mock engine.
+
+function writeString(view, offset, string) {
+    for (let i = 0; i < string.length; i++) {
+        view.setUint8(offset + i, string.charCodeAt(i));
+    }
+}
+
+// Speaker bits of WAVE_FORMAT_EXTENSIBLE files (dwChannelMask)
+export const WAV_CHANNEL_MASKS = Object.freeze({
+    quad: 0x33,   // FL FR BL BR
+    '5.1': 0x3F   // FL FR FC LFE BL BR
+});
+
+// KSDATAFORMAT_SUBTYPE_PCM
+const PCM_SUBFORMAT = [0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71];
+
+// Markers as a 'cue ' chunk plus a LIST/adtl chunk with one 'labl' per cue point, the way
+// most editors (Audacity, Reaper, Audition) read them. markers: [{ frame, label }]
+function markerChunkSizes(markers) {
+    if (markers.length === 0) return { cue: 0, list: 0 };
+    const cue = 8 + 4 + markers.length * 24;
+    const labels = markers.reduce((size, { label }) => {
+        const textSize = String(label).length + 1;
+        return size + 8 + 4 + textSize + (textSize % 2);
+    }, 0);
+    return { cue, list: 8 + 4 + labels };
+}
+
+function writeMarkers(view, offset, markers, sizes) {
+    writeString(view, offset, 'cue ');
+    view.setUint32(offset + 4, sizes.cue - 8, true);
+    view.setUint32(offset + 8, markers.length, true);
+    offset += 12;
+    markers.forEach(({ frame }, i) => {
+        view.setUint32(offset, i + 1, true); // cue point id
+        view.setUint32(offset + 4, frame, true); // play order position
+        writeString(view, offset + 8, 'data');
+        view.setUint32(offset + 12, 0, true); // chunk start
+        view.setUint32(offset + 16, 0, true); // block start
+        view.setUint32(offset + 20, frame, true); // sample offset
+        offset += 24;
+    });
+
+    writeString(view, offset, 'LIST');
+    view.setUint32(offset + 4, sizes.list - 8, true);
+    writeString(view, offset + 8, 'adtl');
+    offset += 12;
+    markers.forEach(({ label }, i) => {
+        // Labels are stored as 8-bit text
+        const text = String(label).replace(/[^\x20-\x7E]/g, '?');
+        const textSize = text.length + 1;
+        writeString(view, offset, 'labl');
+        view.setUint32(offset + 4, 4 + textSize, true);
+        view.setUint32(offset + 8, i + 1, true);
+        writeString(view, offset + 12, text);
+        view.setUint8(offset + 12 + text.length, 0);
+        offset += 12 + textSize + (textSize % 2);
+    });
+}
+
+// channelData: array of Float32Array (one per channel, same length), values in -1..1.
+// More than two channels are written as WAVE_FORMAT_EXTENSIBLE; channelMask 0 leaves the
+// channels unassigned (ambisonics, custom speaker arrays). markers: [{ frame, label }].
+export function encodeWav(channelData, sampleRate, { bitDepth = 16, channelMask = 0, markers = [] } = {}) {
+    const numberOfChannels = channelData.length;
+    const samples = numberOfChannels > 0 ? channelData[0].length : 0;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numberOfChannels * bytesPerSample;
+    const dataSize = samples * blockAlign;
+    const extensible = numberOfChannels > 2;
+    const fmtSize = extensible ? 40 : 16;
+    const headerSize = 28 + fmtSize;
+    const validMarkers = markers
+        .filter(m => Number.isFinite(m.frame) && m.frame >= 0 && m.frame <= samples)
+        .map(m => ({ frame: Math.round(m.frame), label: m.label ?? '' }));
+    const markerSizes = markerChunkSizes(validMarkers);
+    // The data chunk is padded to an even size before the marker chunks
+    const dataPadding = validMarkers.length > 0 ? dataSize % 2 : 0;
+    const bufferSize = headerSize + dataSize + dataPadding + markerSizes.cue + markerSizes.list;
+
+    const buffer = new ArrayBuffer(bufferSize);
+    const view = new DataView(buffer);
+
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, bufferSize - 8, true);
+    writeString(view, 8, 'WAVE');
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, fmtSize, true); // fmt chunk size
+    view.setUint16(20, extensible ? 0xFFFE : 1, true); // PCM or WAVE_FORMAT_EXTENSIBLE
+    view.setUint16(22, numberOfChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    if (extensible) {
+        view.setUint16(36, 22, true); // extension size
+        view.setUint16(38, bitDepth, true); // valid bits
+        view.setUint32(40, channelMask, true);
+        PCM_SUBFORMAT.forEach((byte, i) => view.setUint8(44 + i, byte));
+    }
+    writeString(view, headerSize - 8, 'data');
+    view.setUint32(headerSize - 4, dataSize, true);
+
+    let offset = headerSize;
+    for (let i = 0; i < samples; i++) {
+        for (let channel = 0; channel < numberOfChannels; channel++) {
+            const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
+            if (bitDepth === 16) {
+                // Convert float32 (-1 to 1) to int16 (-32768 to 32767)
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            } else if (bitDepth === 24) {
+                const int24 = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+                view.setUint8(offset, int24 & 0xFF);
+                view.setUint8(offset + 1, (int24 >> 8) & 0xFF);
+                view.setUint8(offset + 2, (int24 >> 16) & 0xFF);
+            } else {
+                throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    if (validMarkers.length > 0) {
+        writeMarkers(view, headerSize + dataSize + dataPadding, validMarkers, markerSizes);
+    }
+    return buffer;
+}
+
+export function audioBufferToWavBlob(audioBuffer, options) {
+    const channels = [];
+    for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+        channels.push(audioBuffer.getChannelData(i));
+    }
+    return new Blob([encodeWav(channels, audioBuffer.sampleRate, options)], { type: 'audio/wav' });
+}
+
+export function arrayBufferToBase64(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    let binary = '';
+    // Chunked to stay under the argument limit of String.fromCharCode
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+export function base64ToArrayBuffer(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
+}
@@ -0,0 +1,145 @@
+// ZIP archives (PKWARE APPNOTE) for Library bundles. Entries are written uncompressed (the
+// bulk is audio, which barely deflates); reading also accepts deflated entries where the
+// browser has DecompressionStream, so a bundle repacked by another zip tool still imports.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_NAMES = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// files: [{ name, data: Uint8Array | string }] → Blob (application/zip)
+export function createZip(files, { date = new Date() } = {}) {
+    const encoder = new TextEncoder();
+    const { time, date: day } = dosDateTime(date);
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        const crc = crc32(bytes);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_HEADER, true);
+        local.setUint16(4, 20, true); // version needed
+        local.setUint16(6, UTF8_NAMES, true);
+        local.setUint16(8, STORED, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, bytes.length, true);
+        local.setUint32(22, bytes.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true); // extra field length
+        parts.push(local, nameBytes, bytes);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, CENTRAL_HEADER, true);
+        entry.setUint16(4, 20, true); // version made by
+        entry.setUint16(6, 20, true); // version needed
+        entry.setUint16(8, UTF8_NAMES, true);
+        entry.setUint16(10, STORED, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, day, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, bytes.length, true);
+        entry.setUint32(24, bytes.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        // extra, comment, disk number, attributes: 0
+        entry.setUint32(42, offset, true);
+        central.push(entry, nameBytes);
+
+        offset += 30 + nameBytes.length + bytes.length;
+    });
+
+    const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('this browser cannot read compressed zip entries');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// ArrayBuffer | Blob → Map<name, Uint8Array>; directories are left out
+export async function readZip(source) {
+    const buffer = source instanceof ArrayBuffer ? source : await source.arrayBuffer();
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // The end record sits before an optional comment of up to 64 KiB
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('not a zip file');
+
+    const count = view.getUint16(end + 10, true);
+    let cursor = view.getUint32(end + 16, true);
+    const files = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(cursor, true) !== CENTRAL_HEADER) throw new Error('damaged zip directory');
+        const flags = view.getUint16(cursor + 8, true);
+        const method = view.getUint16(cursor + 10, true);
+        const crc = view.getUint32(cursor + 16, true);
+        const compressedSize = view.getUint32(cursor + 20, true);
+        const nameLength = view.getUint16(cursor + 28, true);
+        const extraLength = view.getUint16(cursor + 30, true);
+        const commentLength = view.getUint16(cursor + 32, true);
+        const localOffset = view.getUint32(cursor + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, cursor + 46, nameLength));
+        cursor += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (flags & 0x1) throw new Error(`${name} is encrypted`);
+        if (method !== STORED && method !== DEFLATED) throw new Error(`${name} uses an unsupported compression method`);
+
+        // The local header may have its own extra field length
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = new Uint8Array(buffer, dataStart, compressedSize);
+        const bytes = method === STORED ? raw : await inflateRaw(raw);
+        if (crc32(bytes) !== crc) throw new Error(`${name} is damaged (checksum mismatch)`);
+        files.set(name, bytes);
+    }
+    return files;
+}
@@ -1,8 +1,13 @@
 const path = require('path');
+const webpack = require('webpack');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 
 const isProduction = process.env.NODE_ENV === 'production';
 
+// Optional default evolution server, overridden at runtime (?server= or the connection panel).
+// Without one the connection panel asks for a server.
+const evolutionServerUrl = process.env.EVOLUTION_SERVER_URL || '';
+
 module.exports = {
     mode: isProduction ? 'production' : 'development',
     entry: './src/main.js',
@@ -71,6 +76,9 @@ module.exports = {
             template: './index.html',
             favicon: './public/Shard.ico'
         }),
+        new webpack.DefinePlugin({
+            __EVOLUTION_SERVER_URL__: JSON.stringify(evolutionServerUrl),
+        }),
     ],
     devServer: {
         static: {